@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Local stand-in for the evaluation backend
+ *
+ * Serves the bundled result fixtures through both protocols understood by
+ * src/services/evaluationApi.js, so the UI can be developed and tested
+ * without the LLM service:
+ *
+ *   POST   /evaluate-erisa          -> result after MOCK_SYNC_DELAY_MS
+ *   POST   /evaluate-erisa/jobs     -> { jobId }
+ *   POST   /evaluate-erisa/rules    -> fixture holding only the rule named by
+ *                                      the "ruleName" form field
+ *   GET    /jobs/:jobId             -> { jobId, status, progress }
+ *   GET    /jobs/:jobId/result      -> result once completed
+ *   DELETE /jobs/:jobId             -> cancels the job
+ *
+ * Environment:
+ *   PORT                 Listen port (default 8000)
+ *   MOCK_FIXTURE         File in src/data to return (default nordea_llm_result_v1.json)
+ *   MOCK_RULE_MS         Simulated time per rule for jobs and re-runs (default 1000)
+ *   MOCK_SYNC_DELAY_MS   Delay of the single-request endpoint (default 2000)
+ *   MOCK_FAIL_JOBS       "true" to make every job fail halfway
+ *
+ * Usage: npm run mock-server
+ * src/services/evaluationApi.test.js starts it on a free port for its tests.
+ */
+
+import { randomUUID } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { createServer } from "node:http";
+
+const PORT = Number(process.env.PORT) || 8000;
+const FIXTURE = process.env.MOCK_FIXTURE || "nordea_llm_result_v1.json";
+const RULE_MS = Number(process.env.MOCK_RULE_MS) || 1000;
+const SYNC_DELAY_MS = Number(process.env.MOCK_SYNC_DELAY_MS) || 2000;
+const FAIL_JOBS = process.env.MOCK_FAIL_JOBS === "true";
+
+// Endpoints with a fixture; other regulations answer 501
+const SUPPORTED_ENDPOINTS = ["/evaluate-erisa"];
+
+const result = JSON.parse(
+  readFileSync(new URL(`../src/data/${FIXTURE}`, import.meta.url), "utf8")
+);
+const ruleNames = Array.isArray(result.rules)
+  ? result.rules.map((rule) => rule.ruleName)
+  : result.steps.steps.map((step) => step.name);
+
+const jobs = new Map();
+
+/**
+ * Derives a job's state from the time elapsed since submission
+ * @param {Object} job - Stored job
+ * @returns {Object} Status response body
+ */
+const describeJob = (job) => {
+  const total = ruleNames.length;
+  const elapsedRules = Math.floor((Date.now() - job.submittedAt) / RULE_MS);
+  const failAt = FAIL_JOBS ? Math.floor(total / 2) : Infinity;
+
+  let status = job.status;
+  let completed = job.completed ?? Math.min(elapsedRules, total);
+  if (status === "running") {
+    if (completed >= failAt) {
+      status = "failed";
+      completed = failAt;
+    } else if (completed >= total) {
+      status = "completed";
+    }
+  }
+
+  return {
+    jobId: job.jobId,
+    status,
+    ...(status === "failed" && { error: "Mock job failed." }),
+    progress: {
+      completed,
+      total,
+      rules: ruleNames.map((ruleName, index) => ({
+        ruleName,
+        status:
+          index < completed ? "done"
+            : index === completed && status === "running" ? "running"
+              : index === completed && status === "failed" ? "failed"
+                : "pending",
+      })),
+    },
+  };
+};
+
+const sendJSON = (res, statusCode, body) => {
+  res.writeHead(statusCode, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Reduces the fixture to the rules with the given name, as a single-rule
+ * re-run answers
+ * @param {string} ruleName - Rule to keep
+ * @returns {Object} Fixture in its own format
+ */
+const selectRules = (ruleName) =>
+  Array.isArray(result.rules)
+    ? { ...result, rules: result.rules.filter((rule) => rule.ruleName === ruleName) }
+    : { ...result, steps: { ...result.steps, steps: result.steps.steps.filter((step) => step.name === ruleName) } };
+
+/**
+ * Parses the uploaded multipart form
+ * @returns {Promise<FormData>}
+ */
+const readForm = (req) =>
+  new Request(`http://localhost${req.url}`, {
+    method: "POST",
+    headers: req.headers,
+    body: req,
+    duplex: "half",
+  }).formData();
+
+/**
+ * Reads and discards the uploaded form body
+ */
+const drainBody = (req) =>
+  new Promise((resolve, reject) => {
+    req.on("data", () => {});
+    req.on("end", resolve);
+    req.on("error", reject);
+  });
+
+const server = createServer(async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, DELETE, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+  console.log(req.method, pathname);
+
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  if (req.method === "POST" && pathname.startsWith("/evaluate-")) {
+    const endpoint = pathname.replace(/\/(jobs|rules)$/, "");
+    if (!SUPPORTED_ENDPOINTS.includes(endpoint)) {
+      await drainBody(req);
+      sendJSON(res, 501, { error: `No mock fixture for ${endpoint}` });
+      return;
+    }
+
+    if (pathname.endsWith("/rules")) {
+      let ruleName;
+      try {
+        ruleName = (await readForm(req)).get("ruleName");
+      } catch {
+        sendJSON(res, 400, { error: "Expected a multipart form" });
+        return;
+      }
+      if (!ruleNames.includes(ruleName)) {
+        sendJSON(res, 404, { error: `No rule named ${ruleName} in ${FIXTURE}` });
+        return;
+      }
+      setTimeout(() => sendJSON(res, 200, selectRules(ruleName)), RULE_MS);
+      return;
+    }
+
+    await drainBody(req);
+
+    if (pathname.endsWith("/jobs")) {
+      const jobId = randomUUID();
+      jobs.set(jobId, { jobId, status: "running", submittedAt: Date.now() });
+      sendJSON(res, 202, { jobId });
+      return;
+    }
+
+    setTimeout(() => sendJSON(res, 200, result), SYNC_DELAY_MS);
+    return;
+  }
+
+  const match = pathname.match(/^\/jobs\/([^/]+)(\/result)?$/);
+  const job = match && jobs.get(match[1]);
+  if (!job) {
+    sendJSON(res, 404, { error: "Not found" });
+    return;
+  }
+
+  if (req.method === "DELETE" && !match[2]) {
+    const { progress } = describeJob(job);
+    jobs.set(job.jobId, { ...job, status: "cancelled", completed: progress.completed });
+    sendJSON(res, 200, describeJob(jobs.get(job.jobId)));
+    return;
+  }
+
+  if (req.method === "GET" && match[2]) {
+    if (describeJob(job).status !== "completed") {
+      sendJSON(res, 409, { error: "Job has not completed" });
+      return;
+    }
+    sendJSON(res, 200, result);
+    return;
+  }
+
+  if (req.method === "GET") {
+    sendJSON(res, 200, describeJob(job));
+    return;
+  }
+
+  sendJSON(res, 405, { error: "Method not allowed" });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock evaluation backend on http://localhost:${PORT} serving ${FIXTURE}`);
+});
@@ -1,17 +1,22 @@
 import { Route, Routes } from "react-router-dom";
 import { useState } from "react";
 import Sidebar from "./components/Sidebar";
+import AuditLogPage from "./pages/AuditLogPage";
+import ComparePage from "./pages/ComparePage";
 import EvaluationDashboardPage from "./pages/EvaluationDashboardPage";
 import RunEvaluationPage from "./pages/RunEvaluationPage";
+import SettingsPage from "./pages/SettingsPage";
 
 const App = () => {
   const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [activeRegulation, setActiveRegulation] = useState(null);
 
   return (
     <div className="min-h-screen bg-gray-50 flex">
       <Sidebar
         isOpen={sidebarOpen}
         onToggle={() => setSidebarOpen(!sidebarOpen)}
+        regulation={activeRegulation}
       />
       <div
         className={`flex-1 transition-all duration-300 ${
@@ -20,8 +25,14 @@ const App = () => {
       >
         <main className="mt-12 h-full">
           <Routes>
-            <Route path="/" element={<RunEvaluationPage />} />
+            <Route
+              path="/"
+              element={<RunEvaluationPage onRegulationChange={setActiveRegulation} />}
+            />
             <Route path="/dashboard" element={<EvaluationDashboardPage />} />
+            <Route path="/compare" element={<ComparePage />} />
+            <Route path="/audit" element={<AuditLogPage />} />
+            <Route path="/settings" element={<SettingsPage />} />
           </Routes>
         </main>
       </div>
@@ -3,38 +3,167 @@
  * 
  * Component Flow:
  * 1. Component receives PDF blob URL and evidence data
- * 2. PDF loads and renders pages progressively
- * 3. User can navigate pages, adjust zoom, and set page offset
- * 4. Evidence text is highlighted automatically on target pages
+ * 2. PDF loads; every page gets a placeholder sized from its viewport and
+ *    only pages near the visible area are rendered. The most recently
+ *    seen pages stay rendered up to PAGE_CACHE_SIZE, older ones revert to
+ *    placeholders
+ * 3. User can navigate pages, adjust zoom, and set page offset. The offset
+ *    is detected from page labels or printed folios (utils/pageOffset)
+ *    and remembered per document hash; a manual offset always wins
+ * 4. Evidence passages are located in their pages' text (utils/textMatch),
+ *    fetched without rendering, and the matched characters are highlighted
+ *    on every page, coloured by rule; the legend toggles each rule's
+ *    highlights
+ * 5. Clicking a highlight selects its evidence so EvaluationPanel reveals
+ *    the owning rule; overlapping passages offer a choice in a popover
+ * 6. The search box finds text on all pages (hooks/usePdfSearch); hits are
+ *    highlighted, stepped through with next/previous and listed with
+ *    snippets in a side list
+ * 7. The collapsible sidebar (PdfSidebar) shows page thumbnails, marking
+ *    pages cited by evidence, and the document outline
+ * 8. Text selected on a page can be attached as reviewer evidence to the
+ *    rule open in EvaluationPanel
+ * 9. Keyboard: "/" focuses the search box, "+" and "-" zoom
  * 
  * Props:
  * - file: PDF blob URL to display
- * - evidences: Array of evidence entries to highlight
+ * - fileHash: SHA-256 of the PDF, keying its stored page offset; computed
+ *   from the document when null
+ * - evidences: Array of evidence entries from getAllEvidences
  * - targetPage: Page number to navigate to
+ * - onMatchResults: Receives { [evidenceKey]: { found, confidence, pageNumber } }
+ * - selectedEvidenceKey: Evidence emphasized among the highlights
+ * - onEvidenceSelect: Called with the evidence key of a clicked highlight
+ * - attachTargetName: Rule receiving attached evidence, null when none is open
+ * - onAttachEvidence: Called with { pageNumber, pageText } of a selection,
+ *   pageNumber being the printed page
  */
 
-import { useEffect, useRef, useState } from "react";
+import { memo, useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { Document, Page, pdfjs } from "react-pdf";
+import workerSrc from "pdfjs-dist/build/pdf.worker.min.js?url";
 import "react-pdf/dist/esm/Page/AnnotationLayer.css";
 import "react-pdf/dist/esm/Page/TextLayer.css";
+import useKeyboardShortcuts from "../hooks/useKeyboardShortcuts";
+import usePdfSearch, { MAX_SEARCH_HITS } from "../hooks/usePdfSearch";
+import PdfSidebar from "./PdfSidebar";
+import { loadPageOffset, savePageOffset } from "../services/pageOffsetStore";
+import { sha256Hex } from "../utils/fileHash";
+import { detectPageOffset } from "../utils/pageOffset";
+import { getRuleColor } from "../utils/ruleColors";
+import { escapeHTML, matchEvidencesOnPage, renderHighlightedText } from "../utils/textMatch";
+import logger from '../logger';
 
 // Configure PDF.js worker - Required for PDF rendering
-pdfjs.GlobalWorkerOptions.workerSrc = `https://unpkg.com/pdfjs-dist@3.6.172/build/pdf.worker.min.js`;
+// Bundled by Vite from the installed pdfjs-dist, which package.json pins to
+// the exact version react-pdf uses; the API and worker versions must match
+pdfjs.GlobalWorkerOptions.workerSrc = workerSrc;
 
-const AdvancedPDFViewer = ({ file, evidences = [], targetPage }) => {
+// Matches below this confidence are underlined as approximate
+const APPROXIMATE_MATCH_CONFIDENCE = 0.9;
+
+const NO_HIGHLIGHTS_PAGE = { rangesByItem: new Map(), results: {} };
+
+// Rendered pages kept when scrolled away (visible pages are always rendered)
+const PAGE_CACHE_SIZE = 10;
+
+// Distance beyond the visible area within which pages are rendered
+const RENDER_MARGIN = "150% 0px";
+
+// Height / width ratio used until a page's viewport is known (A4)
+const DEFAULT_PAGE_RATIO = 1.414;
+
+// Jumps farther than this many pages skip smooth scrolling, which would
+// render every page along the way
+const SMOOTH_SCROLL_MAX_PAGES = 3;
+
+// Zoom change per button press or +/- key, and the smallest zoom
+const ZOOM_STEP = 0.2;
+const MIN_ZOOM = 0.5;
+
+const OFFSET_SOURCE_LABELS = {
+  manual: "Set manually",
+  labels: "Detected from the PDF's page labels",
+  folios: "Detected from printed page numbers",
+};
+
+// Highlight keys of search hits; other keys are evidence keys
+const SEARCH_KEY_PREFIX = "search:";
+
+// Attempts, 100 ms apart, to find a highlight while its page renders
+const REVEAL_ATTEMPTS = 30;
+
+/**
+ * Renders one page, wrapping matched evidence characters in <mark>
+ * Memoized so pages re-render only when their own highlights change
+ */
+const PdfPage = memo(({ pageNumber, width, highlights, describeMark }) => {
+  // A new renderer identity re-renders the text layer, so it is memoized
+  const customTextRenderer = useCallback(
+    ({ str, itemIndex }) => renderHighlightedText(
+      str,
+      highlights.rangesByItem.get(itemIndex),
+      (keys) => describeMark(keys, highlights.results)
+    ),
+    [highlights, describeMark]
+  );
+
+  return (
+    <Page
+      pageNumber={pageNumber}
+      width={width}
+      renderTextLayer={true}
+      customTextRenderer={customTextRenderer}
+    />
+  );
+});
+PdfPage.displayName = "PdfPage";
+
+const AdvancedPDFViewer = ({
+  file,
+  fileHash = null,
+  evidences = [],
+  targetPage,
+  onMatchResults,
+  selectedEvidenceKey,
+  onEvidenceSelect,
+  attachTargetName,
+  onAttachEvidence,
+}) => {
   // State Management
+  const [pdfDocument, setPdfDocument] = useState(null);    // Loaded pdf.js document
   const [numPages, setNumPages] = useState(null);          // Total pages in PDF
   const [zoom, setZoom] = useState(1.2);                   // Current zoom level
-  const [renderedPages, setRenderedPages] = useState({}); // Tracks which pages are rendered
+  const [pageRatios, setPageRatios] = useState([]);        // Height / width per page
+  const [mountedPages, setMountedPages] = useState([]);    // Rendered pages, least recent first
   const [userPageInput, setUserPageInput] = useState("");  // Manual page input value
   const [currentPage, setCurrentPage] = useState(null);    // Currently visible page
   const [pageOffset, setPageOffset] = useState(0);         // Offset for page numbering
+  const [offsetSource, setOffsetSource] = useState(null);  // How the offset was found
+  const [documentHash, setDocumentHash] = useState(null);  // SHA-256 keying the stored offset
   const [isEditingOffset, setIsEditingOffset] = useState(false); // Offset edit mode
   const [offsetInput, setOffsetInput] = useState("0");     // Temporary offset input
+  const [pageTexts, setPageTexts] = useState({});          // Text items per page number
+  const [hiddenRules, setHiddenRules] = useState([]);      // Rule ids whose highlights are off
+  const [isLegendOpen, setIsLegendOpen] = useState(true);  // Legend visibility
+  const [highlightMenu, setHighlightMenu] = useState(null); // { keys, x, y } for overlapping highlights
+  const [selectionMenu, setSelectionMenu] = useState(null); // { pageNumber, text, x, y } for selected text
+  const [loadError, setLoadError] = useState(null);        // Document or worker failure message
+  const [loadAttempt, setLoadAttempt] = useState(0);       // Remounts Document on retry
+  const [searchInput, setSearchInput] = useState("");      // Search box value
+  const [activeHit, setActiveHit] = useState(null);        // Index of the focused search hit
+  const [isSearchListOpen, setIsSearchListOpen] = useState(false); // Search results list visibility
+  const [isSidebarOpen, setIsSidebarOpen] = useState(false); // Thumbnail and outline sidebar visibility
   const viewerRef = useRef();                              // Reference to viewer container
+  const visiblePagesRef = useRef(new Set());               // Pages near the visible area
+  const requestedTextsRef = useRef(new Set());             // Pages whose text was requested
+  const matchCacheRef = useRef(new WeakMap());             // Page text items -> { signature, match }
+  const awaitingFirstHitRef = useRef(false);               // Jump to the first hit once found
+  const searchInputRef = useRef(null);                     // Search box, focused by "/"
+  const search = usePdfSearch(pdfDocument);
 
-  // Called after all pages are rendered
-  const isLoaded = numPages && Object.keys(renderedPages).length >= numPages;
+  // Navigation works as soon as the document structure is known
+  const isLoaded = Boolean(numPages);
 
   /**
    * Calculates page width based on container size and zoom level
@@ -53,12 +182,14 @@ const AdvancedPDFViewer = ({ file, evidences = [], targetPage }) => {
    * - Manual page navigation
    * - URL hash navigation
    * - Target page navigation from evidence
+   * - Sidebar thumbnails and outline
    * @param {number} actualPageNum - Target page number
    */
   const scrollToPage = (actualPageNum) => {
     const el = document.getElementById(`page_${actualPageNum}`);
     if (el) {
-      el.scrollIntoView({ behavior: "smooth", block: "start" });
+      const distance = Math.abs(actualPageNum - (currentPage || 1));
+      el.scrollIntoView({ behavior: distance > SMOOTH_SCROLL_MAX_PAGES ? "auto" : "smooth", block: "start" });
       setCurrentPage(actualPageNum);
     }
   };
@@ -85,6 +216,8 @@ const AdvancedPDFViewer = ({ file, evidences = [], targetPage }) => {
     const newOffset = parseInt(offsetInput, 10);
     if (!isNaN(newOffset)) {
       setPageOffset(newOffset);
+      setOffsetSource("manual");
+      if (documentHash) savePageOffset(documentHash, { offset: newOffset, source: "manual" });
     }
     setIsEditingOffset(false);
   };
@@ -94,7 +227,8 @@ const AdvancedPDFViewer = ({ file, evidences = [], targetPage }) => {
    * Triggered when:
    * - Component mounts
    * - URL hash changes
-   * - Pages finish rendering
+   * - Document finishes loading
+   * - Page offset changes
    */
   useEffect(() => {
     const tryScrollToAnchor = () => {
@@ -102,7 +236,7 @@ const AdvancedPDFViewer = ({ file, evidences = [], targetPage }) => {
       if (!isLoaded || !hash.startsWith("#page-")) return;
       const printedPage = parseInt(hash.replace("#page-", ""), 10);
       const actualPage = printedPage + pageOffset;
-      if (renderedPages[actualPage]) {
+      if (actualPage >= 1 && actualPage <= numPages) {
         scrollToPage(actualPage);
       }
     };
@@ -110,7 +244,7 @@ const AdvancedPDFViewer = ({ file, evidences = [], targetPage }) => {
     tryScrollToAnchor();
     window.addEventListener("hashchange", tryScrollToAnchor);
     return () => window.removeEventListener("hashchange", tryScrollToAnchor);
-  }, [renderedPages, isLoaded]);
+  }, [isLoaded, numPages, pageOffset]);
 
   /**
    * Handles navigation to target page from evidence
@@ -126,64 +260,452 @@ const AdvancedPDFViewer = ({ file, evidences = [], targetPage }) => {
         scrollToPage(actualPage);
       }
     }
-  }, [targetPage, isLoaded, numPages]);
+  }, [targetPage, isLoaded, numPages, pageOffset]);
 
   /**
    * Called when PDF document finishes loading
-   * Sets total number of pages
+   * Keeps the document for page sizes and text extraction
    */
-  const onDocumentLoadSuccess = ({ numPages }) => setNumPages(numPages);
+  const onDocumentLoadSuccess = (pdf) => {
+    setPdfDocument(pdf);
+    setNumPages(pdf.numPages);
+  };
 
   /**
-   * Called when each page finishes rendering
-   * Updates renderedPages state to track loading progress
+   * Called when the file cannot be read or parsed, or the worker fails
+   * Replaces the spinner with an error message
    */
-  const onPageRenderSuccess = (pageNumber) => {
-    setRenderedPages((prev) => ({ ...prev, [pageNumber]: true }));
+  const onDocumentLoadError = (err) => {
+    logger.error('PDF failed to load', { error: err, pdfjsVersion: pdfjs.version });
+    setLoadError(err?.message || "Unknown error");
   };
 
   /**
-   * Highlights evidence text on specified page
-   * Called after text layer renders for each page
-   * Only highlights text on the target page
+   * Loads the document again after a failure
    */
-  const tryHighlight = (pageNumber) => {
-    if (targetPage === pageNumber) {
-      const container = document.getElementById(`page_${pageNumber}`);
-      if (!container) return;
-
-      const evidenceText = evidences
-        .filter((ev) => ev.pageNumber + pageOffset === pageNumber)
-        .map((ev) => ev.evidence?.toLowerCase());
-
-      if (evidenceText.length === 0) return;
-      
-      // Find and highlight matching text spans
-      const spans = Array.from(container.querySelectorAll(".textLayer span"));
-      spans.forEach((span) => {
-        const spanText = span.textContent?.toLowerCase();
-        if (!spanText) return;
-
-        for (const search of evidenceText) {
-          if (search && search.includes(spanText)) {
-            span.classList.add(
-              "bg-yellow-500",
-              "rounded-sm",
-              "px-[1px]",
-              "opacity-50"
-            );
-          }
-        }
+  const handleRetry = () => {
+    setLoadError(null);
+    setLoadAttempt((attempt) => attempt + 1);
+  };
+
+  // State of a previous document must not leak into a new one
+  useEffect(() => {
+    setPdfDocument(null);
+    setNumPages(null);
+    setPageRatios([]);
+    setMountedPages([]);
+    setPageTexts({});
+    setPageOffset(0);
+    setOffsetSource(null);
+    setDocumentHash(null);
+    setLoadError(null);
+    setSelectionMenu(null);
+    visiblePagesRef.current = new Set();
+    requestedTextsRef.current = new Set();
+  }, [file]);
+
+  /**
+   * Reads every page's viewport to size its placeholder
+   * The first page's size is published at once and used for the others
+   * until all are known
+   */
+  useEffect(() => {
+    if (!pdfDocument) return;
+    let cancelled = false;
+
+    const loadPageRatios = async () => {
+      const ratios = [];
+      for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber++) {
+        const page = await pdfDocument.getPage(pageNumber);
+        if (cancelled) return;
+        const { width, height } = page.getViewport({ scale: 1 });
+        ratios.push(height / width);
+        if (pageNumber === 1) setPageRatios([...ratios]);
+      }
+      setPageRatios(ratios);
+    };
+
+    loadPageRatios().catch((err) => logger.warn('Failed to read PDF page sizes', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [pdfDocument]);
+
+  /**
+   * Applies the stored offset of the document, or detects one
+   * Detection never replaces an offset saved in the meantime
+   */
+  useEffect(() => {
+    if (!pdfDocument) return;
+    let cancelled = false;
+
+    const resolvePageOffset = async () => {
+      const hash = fileHash ?? await sha256Hex(await pdfDocument.getData());
+      if (cancelled) return;
+      setDocumentHash(hash);
+
+      const stored = loadPageOffset(hash);
+      if (stored) {
+        setPageOffset(stored.offset);
+        setOffsetSource(stored.source);
+        return;
+      }
+
+      const detected = await detectPageOffset(pdfDocument);
+      if (cancelled || !detected || loadPageOffset(hash)) return;
+      logger.info('Detected printed page offset', detected);
+      setPageOffset(detected.offset);
+      setOffsetSource(detected.source);
+      savePageOffset(hash, detected);
+    };
+
+    resolvePageOffset().catch((err) => logger.warn('Failed to resolve printed page offset', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [pdfDocument, fileHash]);
+
+  /**
+   * Renders pages as they approach the visible area
+   * Pages that scroll away stay rendered until PAGE_CACHE_SIZE more
+   * recent pages push them out
+   */
+  useEffect(() => {
+    if (!numPages) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      const visible = visiblePagesRef.current;
+      entries.forEach((entry) => {
+        const pageNumber = Number(entry.target.dataset.pageNumber);
+        if (entry.isIntersecting) visible.add(pageNumber);
+        else visible.delete(pageNumber);
+      });
+
+      setMountedPages((prev) => {
+        const recent = prev.filter((pageNumber) => !visible.has(pageNumber));
+        const next = [...recent, ...[...visible].sort((a, b) => a - b)];
+        return next.slice(-Math.max(PAGE_CACHE_SIZE, visible.size));
+      });
+    }, { root: viewerRef.current, rootMargin: RENDER_MARGIN });
+
+    viewerRef.current
+      .querySelectorAll("[data-page-number]")
+      .forEach((placeholder) => observer.observe(placeholder));
+    return () => observer.disconnect();
+  }, [numPages]);
+
+  /**
+   * Fetches the text of pages cited by evidence
+   * Runs without rendering so match confidence covers the whole document
+   */
+  useEffect(() => {
+    if (!pdfDocument) return;
+
+    const pagesToLoad = [...new Set(evidences.map((ev) => ev.pageNumber + pageOffset))].filter(
+      (pageNumber) => pageNumber >= 1
+        && pageNumber <= pdfDocument.numPages
+        && !requestedTextsRef.current.has(pageNumber)
+    );
+
+    pagesToLoad.forEach(async (pageNumber) => {
+      requestedTextsRef.current.add(pageNumber);
+      try {
+        const page = await pdfDocument.getPage(pageNumber);
+        const { items } = await page.getTextContent();
+        setPageTexts((prev) => ({ ...prev, [pageNumber]: items }));
+      } catch (err) {
+        logger.warn('Failed to read PDF page text', { pageNumber, error: err });
+      }
+    });
+  }, [pdfDocument, evidences, pageOffset]);
+
+  /**
+   * Locates the evidences of every page whose text is available
+   * Evidence page numbers are printed pages, shifted by the offset. A page
+   * is matched again only when its evidence keys or texts change, and keeps
+   * its match object otherwise so its text layer does not re-render
+   */
+  const pageMatches = useMemo(() => {
+    const cache = matchCacheRef.current;
+    const matches = {};
+    Object.entries(pageTexts).forEach(([pageNumber, items]) => {
+      const pageEvidences = evidences.filter((ev) => ev.pageNumber + pageOffset === Number(pageNumber));
+      if (pageEvidences.length === 0) return;
+
+      const signature = JSON.stringify(pageEvidences.map(({ key, evidence }) => [key, evidence]));
+      const cached = cache.get(items);
+      if (cached?.signature === signature) {
+        matches[pageNumber] = cached.match;
+        return;
+      }
+      matches[pageNumber] = matchEvidencesOnPage(items, pageEvidences);
+      cache.set(items, { signature, match: matches[pageNumber] });
+    });
+    return matches;
+  }, [pageTexts, evidences, pageOffset]);
+
+  /**
+   * Reports match confidence per evidence
+   * Triggered when matches are recomputed
+   */
+  useEffect(() => {
+    if (!onMatchResults) return;
+    const results = {};
+    Object.entries(pageMatches).forEach(([pageNumber, { results: pageResults }]) => {
+      Object.entries(pageResults).forEach(([key, result]) => {
+        results[key] = { ...result, pageNumber: Number(pageNumber) };
+      });
+    });
+    onMatchResults(results);
+  }, [pageMatches, onMatchResults]);
+
+  /**
+   * Rules with evidence, in result order, for the legend
+   */
+  const legendRules = useMemo(() => {
+    const rules = new Map();
+    evidences.forEach(({ ruleId, ruleName, ruleIndex }) => {
+      const rule = rules.get(ruleId) ?? { ruleId, ruleName, ruleIndex, evidenceCount: 0 };
+      rule.evidenceCount += 1;
+      rules.set(ruleId, rule);
+    });
+    return [...rules.values()];
+  }, [evidences]);
+
+  /**
+   * Rules citing each physical page, for the thumbnail markers
+   */
+  const evidencePages = useMemo(() => {
+    const pages = {};
+    evidences.forEach(({ pageNumber, ruleIndex }) => {
+      const physicalPage = pageNumber + pageOffset;
+      pages[physicalPage] ??= [];
+      if (!pages[physicalPage].includes(ruleIndex)) pages[physicalPage].push(ruleIndex);
+    });
+    return pages;
+  }, [evidences, pageOffset]);
+
+  /**
+   * Drops the ranges of hidden rules from each page's matches
+   */
+  const visibleMatches = useMemo(() => {
+    if (hiddenRules.length === 0) return pageMatches;
+
+    const hiddenKeys = new Set(
+      evidences.filter((ev) => hiddenRules.includes(ev.ruleId)).map((ev) => ev.key)
+    );
+    const visible = {};
+    Object.entries(pageMatches).forEach(([pageNumber, { rangesByItem, results }]) => {
+      const visibleRanges = new Map();
+      rangesByItem.forEach((ranges, itemIndex) => {
+        const kept = ranges.filter((range) => !hiddenKeys.has(range.key));
+        if (kept.length > 0) visibleRanges.set(itemIndex, kept);
       });
+      visible[pageNumber] = { rangesByItem: visibleRanges, results };
+    });
+    return visible;
+  }, [pageMatches, hiddenRules, evidences]);
+
+  /**
+   * Adds search hit ranges to the evidence highlights of each page
+   * Pages without hits keep their evidence highlights object unchanged
+   */
+  const pageHighlights = useMemo(() => {
+    if (search.hits.length === 0) return visibleMatches;
+
+    const highlights = { ...visibleMatches };
+    const copiedPages = new Set();
+    search.hits.forEach((hit) => {
+      if (!copiedPages.has(hit.pageNumber)) {
+        const page = visibleMatches[hit.pageNumber] ?? NO_HIGHLIGHTS_PAGE;
+        highlights[hit.pageNumber] = { ...page, rangesByItem: new Map(page.rangesByItem) };
+        copiedPages.add(hit.pageNumber);
+      }
+
+      const { rangesByItem } = highlights[hit.pageNumber];
+      const key = `${SEARCH_KEY_PREFIX}${hit.id}`;
+      hit.ranges.forEach(({ itemIndex, start, end }) => {
+        rangesByItem.set(itemIndex, [...(rangesByItem.get(itemIndex) ?? []), { start, end, key }]);
+      });
+    });
+    return highlights;
+  }, [visibleMatches, search.hits]);
+
+  // Rule of each evidence key, compared by value so review edits that leave
+  // it unchanged keep describeMark, and the text layers, as they are
+  const evidenceRulesJson = useMemo(() => JSON.stringify(Object.fromEntries(
+    evidences.map(({ key, ruleIndex, ruleName }) => [key, { ruleIndex, ruleName }])
+  )), [evidences]);
+  const evidenceRules = useMemo(() => JSON.parse(evidenceRulesJson), [evidenceRulesJson]);
+
+  /**
+   * Builds the attributes of a highlight covering the given keys
+   * Search hits take precedence; overlapping evidences of several rules
+   * take the first rule's colour. Values are escaped, as they end up in
+   * the text layer's HTML
+   */
+  const describeMark = useCallback((keys, results) => {
+    const searchKeys = keys.filter((key) => key.startsWith(SEARCH_KEY_PREFIX));
+    if (searchKeys.length > 0) {
+      const isActive = searchKeys.includes(`${SEARCH_KEY_PREFIX}${activeHit}`);
+      const tone = isActive ? "bg-orange-500 bg-opacity-70" : "bg-blue-400 bg-opacity-40";
+      return `class="${tone} text-transparent rounded-sm" data-highlight-keys="${escapeHTML(keys.join(" "))}"`;
+    }
+
+    const marked = keys.map((key) => evidenceRules[key]).filter(Boolean);
+    const confidence = Math.min(...keys.map((key) => results[key].confidence));
+    const classes = [
+      getRuleColor(marked[0]?.ruleIndex ?? 0).highlight,
+      "bg-opacity-60 text-transparent rounded-sm cursor-pointer",
+      confidence < APPROXIMATE_MATCH_CONFIDENCE && "border-b-2 border-dashed border-gray-700",
+      keys.includes(selectedEvidenceKey) && "ring-2 ring-blue-600",
+    ].filter(Boolean).join(" ");
+    const ruleNames = [...new Set(marked.map((ev) => ev.ruleName))].join(", ");
+    const title = `${ruleNames} (match: ${Math.round(confidence * 100)}%)`;
+
+    return `class="${escapeHTML(classes)}" data-highlight-keys="${escapeHTML(keys.join(" "))}" title="${escapeHTML(title)}"`;
+  }, [evidenceRules, selectedEvidenceKey, activeHit]);
+
+  /**
+   * Selects the evidence behind a clicked highlight
+   * Clicks that end a text selection are left alone
+   */
+  const handleHighlightClick = (event) => {
+    const mark = event.target.closest?.("mark[data-highlight-keys]");
+    const keys = mark?.dataset.highlightKeys.split(" ").filter((key) => !key.startsWith(SEARCH_KEY_PREFIX));
+    if (!keys?.length || window.getSelection()?.toString()) {
+      setHighlightMenu(null);
+      return;
+    }
+
+    if (keys.length === 1) {
+      setHighlightMenu(null);
+      onEvidenceSelect?.(keys[0]);
+      return;
+    }
+
+    const bounds = viewerRef.current.getBoundingClientRect();
+    setHighlightMenu({
+      keys,
+      x: event.clientX - bounds.left,
+      y: event.clientY - bounds.top,
+    });
+  };
+
+  /**
+   * Scrolls a highlight into view once its page has rendered
+   * @param {string} key - Highlight key
+   * @param {number} [attempts] - Remaining retries
+   */
+  const revealHighlight = (key, attempts = REVEAL_ATTEMPTS) => {
+    const mark = viewerRef.current?.querySelector(`mark[data-highlight-keys~="${CSS.escape(key)}"]`);
+    if (mark) {
+      mark.scrollIntoView({ behavior: "smooth", block: "center" });
+    } else if (attempts > 0) {
+      setTimeout(() => revealHighlight(key, attempts - 1), 100);
+    }
+  };
+
+  /**
+   * Focuses a search hit, wrapping around at both ends
+   * @param {number} index - Hit index
+   */
+  const goToHit = (index) => {
+    if (search.hits.length === 0) return;
+    const wrapped = (index + search.hits.length) % search.hits.length;
+    const hit = search.hits[wrapped];
+    setActiveHit(wrapped);
+    scrollToPage(hit.pageNumber);
+    revealHighlight(`${SEARCH_KEY_PREFIX}${hit.id}`);
+  };
+
+  /**
+   * Starts a search for the text in the search box
+   */
+  const handleSearch = (event) => {
+    event.preventDefault();
+    const query = searchInput.trim();
+    if (query === search.query) {
+      goToHit((activeHit ?? -1) + 1);
+      return;
+    }
+    search.setQuery(query);
+    setActiveHit(null);
+    awaitingFirstHitRef.current = Boolean(query);
+  };
+
+  /**
+   * Clears the search and its highlights
+   */
+  const clearSearch = () => {
+    setSearchInput("");
+    search.setQuery("");
+    setActiveHit(null);
+    setIsSearchListOpen(false);
+    awaitingFirstHitRef.current = false;
+  };
+
+  // Jump to the first hit as soon as indexing finds one
+  useEffect(() => {
+    if (!awaitingFirstHitRef.current || search.hits.length === 0) return;
+    awaitingFirstHitRef.current = false;
+    goToHit(0);
+  });
+
+  /**
+   * Offers to attach selected page text as evidence
+   * Triggered on mouse up in the pages area
+   */
+  const handleTextSelection = () => {
+    if (!onAttachEvidence) return;
+    const selection = window.getSelection();
+    const text = selection?.toString().replace(/\s+/g, " ").trim();
+    const anchor = selection?.anchorNode;
+    const anchorElement = anchor?.nodeType === Node.TEXT_NODE ? anchor.parentElement : anchor;
+    const pageElement = anchorElement?.closest?.("[data-page-number]");
+    if (!text || !pageElement || !viewerRef.current.contains(pageElement)) {
+      setSelectionMenu(null);
+      return;
     }
+
+    const selectionBounds = selection.getRangeAt(0).getBoundingClientRect();
+    const bounds = viewerRef.current.getBoundingClientRect();
+    setSelectionMenu({
+      pageNumber: Number(pageElement.dataset.pageNumber),
+      text,
+      x: selectionBounds.left - bounds.left,
+      y: selectionBounds.bottom - bounds.top,
+    });
   };
 
   /**
-   * Gets evidence highlights for specific page
-   * Currently unused but available for future features
+   * Hands the selected text to the open rule as evidence
    */
-  const getHighlightsForPage = (pageNumber) =>
-    evidences.filter((ev) => ev.page_number + pageOffset === pageNumber);
+  const attachSelection = () => {
+    onAttachEvidence({ pageNumber: selectionMenu.pageNumber - pageOffset, pageText: selectionMenu.text });
+    window.getSelection()?.removeAllRanges();
+    setSelectionMenu(null);
+  };
+
+  const zoomIn = () => setZoom((z) => z + ZOOM_STEP);
+  const zoomOut = () => setZoom((z) => Math.max(MIN_ZOOM, z - ZOOM_STEP));
+
+  useKeyboardShortcuts({
+    "/": () => searchInputRef.current?.focus(),
+    "+": zoomIn,
+    "=": zoomIn, // "+" without Shift on most layouts
+    "-": zoomOut,
+  }, Boolean(file));
+
+  /**
+   * Shows or hides the highlights of one rule
+   * @param {string} ruleId - Rule to toggle
+   */
+  const toggleRule = (ruleId) => {
+    setHiddenRules((prev) =>
+      prev.includes(ruleId) ? prev.filter((id) => id !== ruleId) : [...prev, ruleId]
+    );
+  };
 
   // Don't render anything if no file is provided
   if (!file) return null;
@@ -193,7 +715,17 @@ const AdvancedPDFViewer = ({ file, evidences = [], targetPage }) => {
     <aside className="w-full h-screen bg-white shadow-inner border-l flex flex-col">
       {/* Toolbar */}
       <div className="flex justify-between items-center p-4">
-        <h2 className="text-lg font-semibold">📄 PDF Viewer</h2>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setIsSidebarOpen((open) => !open)}
+            disabled={!pdfDocument}
+            className={`px-2 py-1 rounded disabled:opacity-50 ${isSidebarOpen ? "bg-blue-100 text-blue-800" : "bg-gray-200"}`}
+            title="Page thumbnails and outline"
+          >
+            ▤
+          </button>
+          <h2 className="text-lg font-semibold">📄 PDF Viewer</h2>
+        </div>
         <div className="flex items-center space-x-2 text-sm">
           {/* Page offset control */}
           <div className="flex items-center mr-4">
@@ -220,22 +752,28 @@ const AdvancedPDFViewer = ({ file, evidences = [], targetPage }) => {
                   setOffsetInput(pageOffset.toString());
                 }}
                 className="px-2 py-1 bg-gray-200 rounded flex items-center"
+                title={OFFSET_SOURCE_LABELS[offsetSource] ?? "Physical page = printed page + offset"}
               >
                 <span className="mr-1">Offset: {pageOffset}</span>
+                {(offsetSource === "labels" || offsetSource === "folios") && (
+                  <span className="mr-1 text-xs text-gray-500">(auto)</span>
+                )}
                 ✏️
               </button>
             )}
           </div>
 
           <button
-            onClick={() => setZoom((z) => z + 0.2)}
+            onClick={zoomIn}
             className="px-2 py-1 bg-gray-200 rounded"
+            title="Zoom in (+)"
           >
             Zoom ➕
           </button>
           <button
-            onClick={() => setZoom((z) => Math.max(0.5, z - 0.2))}
+            onClick={zoomOut}
             className="px-2 py-1 bg-gray-200 rounded"
+            title="Zoom out (-)"
           >
             Zoom ➖
           </button>
@@ -271,43 +809,274 @@ const AdvancedPDFViewer = ({ file, evidences = [], targetPage }) => {
         </div>
       </div>
 
+      {/* Search */}
+      <form onSubmit={handleSearch} className="flex items-center gap-2 px-4 pb-3 text-sm">
+        <input
+          ref={searchInputRef}
+          type="search"
+          placeholder="Search document… (/)"
+          className="flex-1 px-2 py-1 border rounded"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          disabled={!pdfDocument}
+        />
+        <button type="submit" className="px-2 py-1 bg-blue-500 text-white rounded" disabled={!pdfDocument}>
+          Search
+        </button>
+        {search.query && (
+          <>
+            <span className="text-gray-600 whitespace-nowrap">
+              {search.hits.length > 0
+                ? `${activeHit !== null ? activeHit + 1 : "–"} / ${search.hits.length}${search.isTruncated ? "+" : ""}`
+                : search.isIndexing ? "Searching…" : "No results"}
+              {search.isIndexing && search.hits.length > 0 && (
+                <span className="text-gray-400"> ({search.indexedPages}/{numPages} pages)</span>
+              )}
+            </span>
+            <button
+              type="button"
+              onClick={() => goToHit((activeHit ?? 0) - 1)}
+              disabled={search.hits.length === 0}
+              className="px-2 py-1 bg-gray-200 rounded disabled:opacity-50"
+              aria-label="Previous result"
+            >
+              ▲
+            </button>
+            <button
+              type="button"
+              onClick={() => goToHit((activeHit ?? -1) + 1)}
+              disabled={search.hits.length === 0}
+              className="px-2 py-1 bg-gray-200 rounded disabled:opacity-50"
+              aria-label="Next result"
+            >
+              ▼
+            </button>
+            <button
+              type="button"
+              onClick={() => setIsSearchListOpen((open) => !open)}
+              disabled={search.hits.length === 0}
+              className={`px-2 py-1 rounded disabled:opacity-50 ${isSearchListOpen ? "bg-blue-100 text-blue-800" : "bg-gray-200"}`}
+            >
+              ☰ Results
+            </button>
+            <button
+              type="button"
+              onClick={clearSearch}
+              className="px-2 py-1 text-gray-500 hover:text-gray-800"
+              aria-label="Clear search"
+            >
+              ✕
+            </button>
+          </>
+        )}
+      </form>
+
+      {/* Highlight legend */}
+      {legendRules.length > 0 && (
+        <div className="px-4 pb-3 border-b text-sm">
+          <div className="flex items-center justify-between">
+            <button
+              onClick={() => setIsLegendOpen((open) => !open)}
+              className="font-medium text-gray-700 flex items-center gap-1"
+            >
+              {isLegendOpen ? "▾" : "▸"} Highlights by rule
+            </button>
+            {isLegendOpen && (
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setHiddenRules([])}
+                  className="px-2 py-0.5 bg-gray-100 rounded hover:bg-gray-200"
+                >
+                  Show all
+                </button>
+                <button
+                  onClick={() => setHiddenRules(legendRules.map((rule) => rule.ruleId))}
+                  className="px-2 py-0.5 bg-gray-100 rounded hover:bg-gray-200"
+                >
+                  Hide all
+                </button>
+              </div>
+            )}
+          </div>
+          {isLegendOpen && (
+            <div className="mt-2 flex flex-wrap gap-x-4 gap-y-1 max-h-28 overflow-y-auto">
+              {legendRules.map((rule) => (
+                <label key={rule.ruleId} className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={!hiddenRules.includes(rule.ruleId)}
+                    onChange={() => toggleRule(rule.ruleId)}
+                  />
+                  <span className={`w-3 h-3 rounded-sm ${getRuleColor(rule.ruleIndex).swatch}`}></span>
+                  <span className="text-gray-700">{rule.ruleName}</span>
+                  <span className="text-gray-400">({rule.evidenceCount})</span>
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="flex-1 flex overflow-hidden">
+      {/* Thumbnails and outline */}
+      {isSidebarOpen && pdfDocument && (
+        <PdfSidebar
+          pdfDocument={pdfDocument}
+          pageRatios={pageRatios}
+          currentPage={currentPage}
+          pageOffset={pageOffset}
+          evidencePages={evidencePages}
+          onPageSelect={scrollToPage}
+        />
+      )}
+
       {/* PDF Pages */}
       <div className="flex-1 relative overflow-hidden">
+        {/* Load error */}
+        {loadError && (
+          <div className="absolute inset-0 flex flex-col items-center justify-center bg-white z-[9999] p-8 text-center">
+            <p className="text-lg font-medium text-red-700 mb-2">The PDF could not be displayed</p>
+            <p className="text-sm text-gray-600 mb-1">{loadError}</p>
+            <p className="text-xs text-gray-400 mb-4">PDF.js {pdfjs.version}</p>
+            <button
+              onClick={handleRetry}
+              className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600"
+            >
+              Try again
+            </button>
+          </div>
+        )}
+
         {/* Spinner */}
-        {!isLoaded && (
+        {!isLoaded && !loadError && (
           <div className="absolute inset-0 flex items-center justify-center bg-white bg-opacity-80 z-[9999]">
             <div className="w-10 h-10 border-4 border-blue-400 border-t-transparent rounded-full animate-spin"></div>
             <span className="ml-3 text-gray-600">Loading PDF...</span>
           </div>
         )}
 
-        <div className="absolute inset-0 overflow-auto px-4" ref={viewerRef}>
+        <div
+          className="absolute inset-0 overflow-auto px-4"
+          ref={viewerRef}
+          onClick={handleHighlightClick}
+          onMouseUp={handleTextSelection}
+          onScroll={() => {
+            setHighlightMenu(null);
+            setSelectionMenu(null);
+          }}
+        >
           <Document
+            key={loadAttempt}
             file={file}
             onLoadSuccess={onDocumentLoadSuccess}
+            onLoadError={onDocumentLoadError}
+            onSourceError={onDocumentLoadError}
             loading="Loading PDF..."
+            error=""
           >
             {Array.from(new Array(numPages), (_, i) => {
               const pageNumber = i + 1;
+              const pageWidth = calculatePageWidth();
+              const ratio = pageRatios[i] ?? pageRatios[0] ?? DEFAULT_PAGE_RATIO;
 
               return (
                 <div
                   key={pageNumber}
                   id={`page_${pageNumber}`}
-                  className="relative border rounded mb-6 shadow mx-auto flex justify-center"
+                  data-page-number={pageNumber}
+                  className="relative box-content border rounded mb-6 shadow mx-auto flex justify-center"
+                  style={{ width: pageWidth, height: pageWidth * ratio }}
                 >
-                  <Page
-                    pageNumber={pageNumber}
-                    width={calculatePageWidth()}
-                    renderTextLayer={true}
-                    onRenderSuccess={() => onPageRenderSuccess(pageNumber)}
-                    onRenderTextLayerSuccess={() => tryHighlight(pageNumber)}
-                  />
+                  {mountedPages.includes(pageNumber) ? (
+                    <PdfPage
+                      pageNumber={pageNumber}
+                      width={pageWidth}
+                      highlights={pageHighlights[pageNumber] ?? NO_HIGHLIGHTS_PAGE}
+                      describeMark={describeMark}
+                    />
+                  ) : (
+                    <span className="self-center text-gray-300 text-sm">Page {pageNumber}</span>
+                  )}
                 </div>
               );
             })}
           </Document>
         </div>
+
+        {/* Rule choice for overlapping highlights */}
+        {highlightMenu && (
+          <div
+            className="absolute z-50 bg-white border rounded-lg shadow-lg py-1 text-sm min-w-[12rem]"
+            style={{ left: highlightMenu.x, top: highlightMenu.y + 8 }}
+          >
+            <p className="px-3 py-1 text-xs text-gray-500">Passage cited by</p>
+            {highlightMenu.keys.map((key) => {
+              const evidence = evidences.find((ev) => ev.key === key);
+              if (!evidence) return null;
+              return (
+                <button
+                  key={key}
+                  onClick={() => {
+                    setHighlightMenu(null);
+                    onEvidenceSelect?.(key);
+                  }}
+                  className="w-full text-left px-3 py-1 hover:bg-gray-100 flex items-center gap-2"
+                >
+                  <span className={`w-3 h-3 rounded-sm ${getRuleColor(evidence.ruleIndex).swatch}`}></span>
+                  {evidence.ruleName}
+                </button>
+              );
+            })}
+          </div>
+        )}
+
+        {/* Attach selected text as evidence */}
+        {selectionMenu && (
+          <div
+            className="absolute z-50 bg-white border rounded-lg shadow-lg p-2 text-sm max-w-xs"
+            style={{ left: selectionMenu.x, top: selectionMenu.y + 8 }}
+          >
+            {attachTargetName ? (
+              <button
+                onClick={attachSelection}
+                className="w-full text-left px-2 py-1 rounded hover:bg-gray-100"
+              >
+                📎 Attach as evidence to <span className="font-medium">{attachTargetName}</span>
+              </button>
+            ) : (
+              <p className="px-2 py-1 text-gray-500">Open a rule in the results to attach this passage as evidence.</p>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Search results */}
+      {isSearchListOpen && search.hits.length > 0 && (
+        <div className="w-72 border-l overflow-y-auto text-sm">
+          <p className="px-3 py-2 text-xs text-gray-500 border-b sticky top-0 bg-white">
+            {search.hits.length} result{search.hits.length === 1 ? "" : "s"} for “{search.query}”
+            {search.isTruncated && ` (first ${MAX_SEARCH_HITS} shown)`}
+          </p>
+          {search.hits.map((hit, index) => (
+            <button
+              key={hit.id}
+              onClick={() => goToHit(index)}
+              className={`block w-full text-left px-3 py-2 border-b hover:bg-gray-50 ${
+                index === activeHit ? "bg-orange-50" : ""}`}
+            >
+              <span className="block text-xs font-medium text-gray-500 mb-1">
+                Page {hit.pageNumber - pageOffset}
+                {pageOffset !== 0 && <span className="text-gray-400"> (PDF page {hit.pageNumber})</span>}
+              </span>
+              <span className="text-gray-700">
+                …{hit.snippet.before}
+                <mark className="bg-orange-200">{hit.snippet.match}</mark>
+                {hit.snippet.after}…
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
       </div>
     </aside>
   );
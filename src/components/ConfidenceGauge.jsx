@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Confidence score shown against the configured bands
+ *
+ * Props:
+ * -----
+ * - score: Confidence between 0 and 1, null when not reported
+ * - thresholds: { low, high } lower bounds of the medium and high bands
+ *   (Settings)
+ */
+
+import { CONFIDENCE_BANDS, getConfidenceBand } from "../utils/evidenceStrength";
+
+const ConfidenceGauge = ({ score, thresholds }) => {
+  const band = getConfidenceBand(score, thresholds);
+  if (!band) return <span className="text-gray-400">Not reported</span>;
+
+  const { label, bar, text } = CONFIDENCE_BANDS[band];
+  const percent = (value) => `${Math.round(Math.min(Math.max(value, 0), 1) * 100)}%`;
+  const high = Math.max(thresholds.low, thresholds.high);
+
+  return (
+    <div className="w-full max-w-xs">
+      <div className="flex items-baseline justify-between">
+        <span className={`text-lg font-semibold ${text}`}>{percent(score)}</span>
+        <span className={`text-sm font-medium ${text}`}>{label} confidence</span>
+      </div>
+      <div
+        className="relative mt-1 h-3 rounded-full bg-gray-200 overflow-hidden"
+        role="meter"
+        aria-valuemin={0}
+        aria-valuemax={1}
+        aria-valuenow={score}
+        aria-label="Confidence score"
+      >
+        <div className={`h-full ${bar}`} style={{ width: percent(score) }} />
+        {/* Band boundaries */}
+        <div className="absolute inset-y-0 w-px bg-white" style={{ left: percent(thresholds.low) }} />
+        <div className="absolute inset-y-0 w-px bg-white" style={{ left: percent(high) }} />
+      </div>
+      <div className="relative mt-0.5 h-4 text-[10px] text-gray-500">
+        <span className="absolute -translate-x-1/2" style={{ left: percent(thresholds.low) }}>
+          {percent(thresholds.low)}
+        </span>
+        <span className="absolute -translate-x-1/2" style={{ left: percent(high) }}>
+          {percent(high)}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default ConfidenceGauge;
@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Explanation of a final decision
+ *
+ * Component Purpose:
+ * ----------------
+ * Draws the reasoning chain from the final decision to the rules it cites
+ * and on to their evidence passages and pages, so a reviewer can answer
+ * "why eligible?" from the document itself (see utils/decisionGraph).
+ * Rules whose findings contradict the decision are highlighted, cited or
+ * not.
+ *
+ * Props:
+ * -----
+ * - graph: Result of buildDecisionGraph
+ * - decisionLabel: Headline of the decision, e.g. "ERISA Eligible"
+ * - eligible: Decision explained, null when absent
+ * - formatLabel(key): Display name of a field
+ * - onSelectRule(index): Opens a rule tab
+ * - onOpenPDF(pageNumber, evidenceKey): Opens the PDF at a passage
+ */
+
+import { useState } from "react";
+import { REFERENCE_MATCHES } from "../utils/decisionGraph";
+import { formatReviewValue } from "../utils/review";
+
+// Passages longer than this are cut until expanded
+const EXCERPT_LENGTH = 160;
+
+const DecisionGraph = ({ graph, decisionLabel, eligible, formatLabel, onSelectRule, onOpenPDF }) => {
+  const [expandedRules, setExpandedRules] = useState({}); // rule index -> passages shown
+
+  const toggleRule = (index) =>
+    setExpandedRules((expanded) => ({ ...expanded, [index]: !expanded[index] }));
+
+  const renderNode = (node) => {
+    const pages = [...new Set(node.evidence.map((ev) => ev.pageNumber))].sort((a, b) => a - b);
+    const isExpanded = expandedRules[node.index];
+
+    return (
+      <li key={node.index} className="relative pl-6">
+        {/* Connector to the decision */}
+        <span className="absolute left-0 top-5 w-5 border-t-2 border-gray-300" aria-hidden="true" />
+        <div className={`rounded-lg p-3 border ${node.contradicts
+          ? 'bg-red-50 border-red-300'
+          : 'bg-white border-gray-200'}`}>
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              onClick={() => onSelectRule?.(node.index)}
+              className="font-medium text-blue-700 hover:text-blue-900 hover:underline text-left"
+            >
+              {node.rule.step !== undefined ? `Step ${node.rule.step}` : `Rule ${node.index + 1}`}: {node.rule.ruleName}
+            </button>
+            {node.contradicts && (
+              <span className="px-2 py-0.5 bg-red-100 text-red-800 rounded-full text-xs font-medium border border-red-200">
+                ✗ Contradicts decision
+              </span>
+            )}
+            {node.match === REFERENCE_MATCHES.position && (
+              <span
+                className="px-2 py-0.5 bg-amber-100 text-amber-800 rounded-full text-xs border border-amber-200"
+                title="The decision cites this rule by number only; the match depends on the order of the rules"
+              >
+                Matched by position
+              </span>
+            )}
+          </div>
+
+          {node.signals.length > 0 && (
+            <ul className="mt-2 space-y-1 text-sm">
+              {node.signals.map(({ field, value, leaning }) => (
+                <li key={field} className={leaning === 'against' ? 'text-red-700' : 'text-green-700'}>
+                  {leaning === 'against' ? '▼' : '▲'} {formatLabel(field)}: {formatReviewValue(value)}
+                  <span className="text-gray-500"> · argues {leaning} eligibility</span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {node.evidence.length === 0 ? (
+            <p className="mt-2 text-sm text-red-700">⚠ No evidence cited</p>
+          ) : (
+            <div className="mt-2 border-l-2 border-blue-200 pl-3">
+              <button
+                onClick={() => toggleRule(node.index)}
+                className="text-sm text-gray-600 hover:text-blue-600"
+                aria-expanded={Boolean(isExpanded)}
+              >
+                {isExpanded ? '▾' : '▸'} {node.evidence.length}{' '}
+                {node.evidence.length === 1 ? 'passage' : 'passages'} on{' '}
+                {pages.length === 1 ? 'page' : 'pages'} {pages.join(', ')}
+              </button>
+              {isExpanded && (
+                <ul className="mt-2 space-y-2">
+                  {node.evidence.map((ev) => (
+                    <li key={ev.key} className="text-sm bg-gray-50 rounded p-2">
+                      <button
+                        onClick={() => onOpenPDF?.(ev.pageNumber, ev.key)}
+                        className="text-blue-600 hover:text-blue-800 font-medium mr-2"
+                      >
+                        📄 Page {ev.pageNumber}
+                      </button>
+                      <span className="text-gray-700" title={ev.evidence}>
+                        {ev.evidence.length > EXCERPT_LENGTH
+                          ? `${ev.evidence.slice(0, EXCERPT_LENGTH).trimEnd()}…`
+                          : ev.evidence}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+      </li>
+    );
+  };
+
+  const contradictionCount = graph.supporting.filter((node) => node.contradicts).length + graph.contradicting.length;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className={`px-3 py-1 rounded-full text-sm font-medium border ${eligible === null
+          ? 'bg-gray-100 text-gray-700 border-gray-300'
+          : eligible
+            ? 'bg-green-100 text-green-800 border-green-200'
+            : 'bg-red-100 text-red-800 border-red-200'}`}>
+          {decisionLabel}: {eligible === null ? '—' : eligible ? 'Yes' : 'No'}
+        </span>
+        {contradictionCount > 0 && (
+          <span className="text-sm text-red-700">
+            {contradictionCount} {contradictionCount === 1 ? 'rule contradicts' : 'rules contradict'} this decision
+          </span>
+        )}
+      </div>
+
+      {graph.unresolved.length > 0 && (
+        <div className="text-sm text-amber-800 bg-amber-50 p-3 rounded-lg border border-amber-200">
+          The decision cites {graph.unresolved.map((reference) => `"${reference}"`).join(', ')}, which
+          {graph.unresolved.length === 1 ? ' matches' : ' match'} no rule in this result.
+        </div>
+      )}
+
+      <div>
+        <span className="text-sm font-medium text-gray-600 block mb-2">Supported by</span>
+        {graph.supporting.length > 0 ? (
+          <ul className="ml-2 border-l-2 border-gray-300 space-y-3 py-1">
+            {graph.supporting.map(renderNode)}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500">The decision cites no rules.</p>
+        )}
+      </div>
+
+      {graph.contradicting.length > 0 && (
+        <div>
+          <span className="text-sm font-medium text-red-700 block mb-2">Not cited, but pointing the other way</span>
+          <ul className="ml-2 border-l-2 border-red-300 space-y-3 py-1">
+            {graph.contradicting.map(renderNode)}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DecisionGraph;
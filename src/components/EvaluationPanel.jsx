@@ -1,11 +1,124 @@
-import { useRef, useState } from "react";
+import { useEffect, useRef, useState } from "react";
+import { getEligibility, getRegulation, inferRegulation } from "../config/regulations";
+import useKeyboardShortcuts from "../hooks/useKeyboardShortcuts";
+import { buildDecisionGraph } from "../utils/decisionGraph";
+import { buildExportFileName, downloadBlob, printHtml } from "../utils/download";
+import { STRENGTH_LEVELS, getEvidenceStrength } from "../utils/evidenceStrength";
+import { RULE_META_KEYS, formatFieldLabel, getAllEvidences, getEvidenceKey } from "../utils/resultSchema";
+import {
+  FINAL_DECISION_ID,
+  REVIEW_ACTIONS,
+  applyReview,
+  formatReviewValue,
+  getOverridableFields,
+  getReviewChanges,
+  getSignOffBlocker,
+  withReview,
+} from "../utils/review";
+import { buildReportHtml } from "../utils/reportHtml";
+import { getRuleColor } from "../utils/ruleColors";
+import { buildExportTables, buildTabularExport } from "../utils/tabularExport";
+import { VERDICTS, getVerdictKey, tallyVerdicts } from "../utils/verdicts";
+import ConfidenceGauge from "./ConfidenceGauge";
+import DecisionGraph from "./DecisionGraph";
+import MarkdownSummary from "./MarkdownSummary";
+import ReviewControls from "./ReviewControls";
+import RuleVersions from "./RuleVersions";
+import TableExportMenu from "./TableExportMenu";
 import logger from '../logger';
 
-const EvaluationPanel = ({ data, onOpenPDF }) => {
+const DEFAULT_CONFIDENCE_THRESHOLDS = { low: 0.6, high: 0.8 };
+
+const REVIEW_ICONS = {
+  accept: '✓',
+  reject: '✗',
+  override: '✎',
+};
+
+/**
+ * Checks whether a rule's tab passes the verdict filter
+ * @param {Object} rule - Reviewed rule
+ * @param {string|null} verdictFilter - VERDICTS key or "other", null for all
+ * @returns {boolean}
+ */
+const isRuleShown = (rule, verdictFilter) =>
+  !verdictFilter || (getVerdictKey(rule.verdict) ?? 'other') === verdictFilter;
+
+const EvaluationPanel = ({
+  data,
+  regulation,
+  evidenceMatches = {},
+  activeSection = 'final-decision',
+  onSectionChange,
+  selectedEvidenceKey,
+  onOpenPDF,
+  review = null,
+  onReviewDecision,
+  onRemoveEvidence,
+  reviewerName,
+  onSignOff,
+  onExport,
+  sourceDocument,
+  ruleHistory = null,
+  rerunningRuleId = null,
+  onRerunRule,
+  confidenceThresholds = DEFAULT_CONFIDENCE_THRESHOLDS,
+}) => {
   const [expandedRules, setExpandedRules] = useState({});
   const [isFinalDecisionExpanded, setIsFinalDecisionExpanded] = useState(true);
-  const [activeSection, setActiveSection] = useState('final-decision');
+  const [verdictFilter, setVerdictFilter] = useState(null); // VERDICTS key of the rule tabs shown, null for all
   const finalDecisionRef = useRef(null);
+  const panelRef = useRef(null);
+
+  // A new result starts with all rule tabs visible
+  useEffect(() => {
+    setVerdictFilter(null);
+  }, [data]);
+
+  // Bring evidence selected in the PDF viewer into view
+  useEffect(() => {
+    if (!selectedEvidenceKey) return;
+    const card = panelRef.current?.querySelector(`[data-evidence-key="${CSS.escape(selectedEvidenceKey)}"]`);
+    card?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [selectedEvidenceKey, activeSection]);
+
+  /**
+   * Moves to the next or previous tab shown
+   * @param {number} direction - 1 for next, -1 for previous
+   */
+  const stepSection = (direction) => {
+    const sections = [
+      'final-decision',
+      ...applyReview(data, review).rules
+        .map((rule, index) => (isRuleShown(rule, verdictFilter) ? `rule-${index}` : null))
+        .filter(Boolean),
+    ];
+    const position = sections.indexOf(activeSection);
+    const next = sections[Math.min(Math.max(position + direction, 0), sections.length - 1)];
+    if (next !== activeSection) onSectionChange?.(next);
+  };
+
+  /**
+   * Selects the next or previous evidence of the open rule in the PDF
+   * @param {number} direction - 1 for next, -1 for previous
+   */
+  const stepEvidence = (direction) => {
+    if (!activeSection.startsWith('rule-')) return;
+    const ruleIndex = Number(activeSection.slice('rule-'.length));
+    const entries = getAllEvidences(applyReview(data, review)).filter((ev) => ev.ruleIndex === ruleIndex);
+    const position = entries.findIndex((ev) => ev.key === selectedEvidenceKey);
+    const next = position === -1
+      ? entries[direction > 0 ? 0 : entries.length - 1]
+      : entries[position + direction];
+    if (next) onOpenPDF(next.pageNumber, next.key);
+  };
+
+  useKeyboardShortcuts({
+    j: () => stepSection(1),
+    k: () => stepSection(-1),
+    n: () => stepEvidence(1),
+    p: () => stepEvidence(-1),
+  }, Boolean(data));
 
   if (!data) return (
     <div className="flex items-center justify-center h-full text-gray-500">
@@ -16,55 +129,230 @@ const EvaluationPanel = ({ data, onOpenPDF }) => {
     </div>
   );
 
+  const regulationEntry = getRegulation(regulation) ?? inferRegulation(data.final_decision);
+  const isEligible = getEligibility(regulationEntry, data.final_decision);
+  const reviewed = applyReview(data, review);
+  const verdictTally = tallyVerdicts(reviewed.rules);
+  const ruleStrengths = reviewed.rules.map((rule) => getEvidenceStrength(rule, evidenceMatches));
+  const reviewedEligible = getEligibility(regulationEntry, reviewed.final_decision);
+  const decisionGraph = buildDecisionGraph(reviewed, regulationEntry, reviewedEligible);
+  const reviewChanges = getReviewChanges(data, review);
+  const finalDecisionChanges = review?.decisions[FINAL_DECISION_ID]?.changes ?? {};
+  const signOffBlocker = getSignOffBlocker(review);
+
+  // Exports are named after the source document
+  const sourceName = sourceDocument?.fileName ?? data.document;
+
   const handleDownloadJSON = () => {
     try {
-      const jsonString = JSON.stringify(data, null, 2);
-      const blob = new Blob([jsonString], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = 'erisa_analysis_result.json';
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      URL.revokeObjectURL(url);
+      const jsonString = JSON.stringify(withReview(data, review), null, 2);
+      const fileName = buildExportFileName(sourceName, {
+        regulation: regulationEntry?.id,
+        kind: 'evaluation',
+        extension: 'json',
+      });
+      downloadBlob(new Blob([jsonString], { type: 'application/json' }), fileName);
+      onExport?.({ format: 'json', fileName });
       logger.info('JSON download initiated from EvaluationPanel');
     } catch (err) {
       logger.error('JSON download failed in EvaluationPanel', err);
     }
   };
 
-  const formatLabel = (key) => {
-    return key
-      .replace(/([A-Z])/g, ' $1')
-      .split(' ')
-      .map((word, index) => index === 0 ? word.charAt(0).toUpperCase() + word.slice(1) : word)
-      .join(' ')
-      .trim();
+  /**
+   * Builds the compliance report and downloads it or opens the print dialog
+   * @param {"html"|"pdf"} format - HTML file, or PDF through printing
+   */
+  const handleReport = (format) => {
+    try {
+      const html = buildReportHtml({
+        result: data,
+        review,
+        regulation: regulationEntry,
+        fileName: sourceName ?? 'Unnamed document',
+        fileHash: sourceDocument?.fileHash,
+        evaluatedAt: sourceDocument?.evaluatedAt,
+      });
+      const fileName = buildExportFileName(sourceName, {
+        regulation: regulationEntry?.id,
+        kind: 'report',
+        extension: format,
+      });
+      if (format === 'html') {
+        downloadBlob(new Blob([html], { type: 'text/html' }), fileName);
+      } else {
+        printHtml(html);
+      }
+      onExport?.({ format, fileName });
+      logger.info('Report generated from EvaluationPanel', { format });
+    } catch (err) {
+      logger.error('Report generation failed in EvaluationPanel', err);
+    }
   };
 
-  const renderRuleContent = (rule) => {
+  /**
+   * Downloads the current result as spreadsheet tables
+   * @param {string} format - See TableExportMenu
+   */
+  const handleSpreadsheetExport = (format) => {
+    try {
+      const tables = buildExportTables([{
+        result: data,
+        review,
+        regulation: regulationEntry,
+        fileName: sourceName ?? 'Unnamed document',
+        fileHash: sourceDocument?.fileHash,
+        evaluatedAt: sourceDocument?.evaluatedAt,
+      }]);
+      const { blob, kind, extension } = buildTabularExport(tables, format);
+      const fileName = buildExportFileName(sourceName, { regulation: regulationEntry?.id, kind, extension });
+      downloadBlob(blob, fileName);
+      onExport?.({ format: extension, fileName });
+      logger.info('Spreadsheet export from EvaluationPanel', { format });
+    } catch (err) {
+      logger.error('Spreadsheet export failed in EvaluationPanel', err);
+    }
+  };
+
+  /**
+   * Shows how closely an evidence passage matched the PDF text
+   * Nothing is shown until the PDF has been opened and searched
+   */
+  const renderMatchBadge = (evidenceKey) => {
+    const match = evidenceMatches[evidenceKey];
+    if (!match) return null;
+    if (!match.found) {
+      return (
+        <span className="px-2 py-1 bg-red-100 text-red-800 rounded-full text-xs border border-red-200">
+          Not located in PDF
+        </span>
+      );
+    }
+    const percent = Math.round(match.confidence * 100);
+    return (
+      <span
+        className={`px-2 py-1 rounded-full text-xs border ${percent === 100
+          ? 'bg-green-100 text-green-800 border-green-200'
+          : 'bg-yellow-100 text-yellow-800 border-yellow-200'}`}
+        title="Similarity between the cited text and the PDF text"
+      >
+        {percent}% match
+      </span>
+    );
+  };
+
+  const renderBooleanPill = (value) => (
+    <span className={`px-3 py-1 rounded-full text-sm font-medium transition-colors
+      ${value
+        ? 'bg-green-100 text-green-800 border border-green-200'
+        : 'bg-red-100 text-red-800 border border-red-200'}`}>
+      {value ? 'Yes' : 'No'}
+    </span>
+  );
+
+  const renderVerdictPill = (value) => {
+    const verdict = VERDICTS[getVerdictKey(value)];
+    if (!verdict) {
+      return (
+        <span className="px-3 py-1 rounded-full text-sm font-medium border bg-white text-gray-700 border-gray-200">
+          {value}
+        </span>
+      );
+    }
+    return (
+      <span className={`px-3 py-1 rounded-full text-sm font-medium border ${verdict.pill}`}>
+        {verdict.icon} {verdict.label}
+        {value !== verdict.label && <span className="font-normal opacity-75"> ({value})</span>}
+      </span>
+    );
+  };
+
+  /**
+   * Shows a finding, or the model's value struck out next to the reviewer's
+   * when the reviewer overrode it
+   */
+  const renderReviewedValue = (key, value, changes, renderValue) => {
+    if (!(key in changes)) return renderValue(value);
+    return (
+      <span className="flex items-center gap-2" title="Overridden by reviewer">
+        <span className="line-through opacity-50">{renderValue(value)}</span>
+        <span className="text-gray-400">→</span>
+        {renderValue(changes[key])}
+        <span className="text-xs text-amber-700">Reviewer</span>
+      </span>
+    );
+  };
+
+  const renderRuleContent = (rule, index) => {
     const isTransactionRule = rule.ruleName === "Contemplated Transactions";
+    const overrides = review?.decisions[rule.id]?.changes ?? {};
+    const evidence = reviewed.rules[index].evidence;
+    const strength = ruleStrengths[index];
+    const strengthLevel = STRENGTH_LEVELS[strength.level];
+    const contradiction = [...decisionGraph.supporting, ...decisionGraph.contradicting]
+      .find((node) => node.index === index && node.contradicts);
 
     return (
       <div className="bg-gradient-to-r from-blue-50 to-blue-100 p-6 rounded-lg shadow-lg border border-blue-200 space-y-6">
+        {onReviewDecision && (
+          <ReviewControls
+            target={rule}
+            fields={getOverridableFields(rule)}
+            decision={review?.decisions[rule.id]}
+            formatLabel={formatFieldLabel}
+            onDecide={(decision) => onReviewDecision(rule.id, decision)}
+          />
+        )}
+
+        <RuleVersions
+          versions={ruleHistory?.versions[rule.id] ?? []}
+          isRunning={rerunningRuleId === rule.id}
+          isBusy={Boolean(rerunningRuleId)}
+          onRerun={onRerunRule && (() => onRerunRule(rule.id))}
+          formatLabel={formatFieldLabel}
+        />
+
+        {/* Evidence Strength */}
+        <div className={`rounded-lg p-3 border flex flex-wrap items-center gap-3 text-sm ${
+          strength.level === 'unsupported' ? 'bg-red-50 border-red-200' : 'bg-white border-gray-200'}`}>
+          <span className={`px-3 py-1 rounded-full border font-medium ${strengthLevel.pill}`}>
+            {strengthLevel.icon} {strengthLevel.label}
+          </span>
+          {strength.level === 'unsupported' ? (
+            <span className="text-red-800">
+              No evidence was cited for this finding. Treat it as unsupported until verified.
+            </span>
+          ) : (
+            <span className="text-gray-600">
+              {strength.count} {strength.count === 1 ? 'citation' : 'citations'} on{' '}
+              {strength.pages} {strength.pages === 1 ? 'page' : 'pages'} ·{' '}
+              {strength.checked > 0
+                ? `${strength.located} of ${strength.checked} located in the PDF text`
+                : 'open the PDF to check the citations against its text'}
+            </span>
+          )}
+        </div>
+
+        {contradiction && (
+          <div className="text-sm text-red-800 bg-red-50 p-3 rounded-lg border border-red-200">
+            ✗ These findings point against the final decision
+            ({contradiction.signals.map(({ field }) => formatFieldLabel(field)).join(', ')}).
+            {contradiction.references.length > 0 && ' The decision nevertheless cites this rule in its support.'}
+          </div>
+        )}
+
         {/* Rule Summary Card */}
         <div className="bg-white rounded-lg p-4 shadow-sm border border-gray-200">
           {Object.entries(rule).map(([key, value]) => {
-            if (key === 'evidence' || key === 'transactionDetails' || key === 'ruleName') return null;
+            if (RULE_META_KEYS.includes(key)) return null;
 
             if (typeof value === 'boolean') {
               return (
                 <div key={key} className="flex items-center gap-4 py-2 border-b border-gray-200 last:border-0">
                   <span className="font-medium text-gray-700 min-w-[120px]">
-                    {formatLabel(key)}:
-                  </span>
-                  <span className={`px-3 py-1 rounded-full text-sm font-medium transition-colors
-                    ${value
-                      ? 'bg-green-100 text-green-800 border border-green-200'
-                      : 'bg-red-100 text-red-800 border border-red-200'}`}>
-                    {value ? 'Yes' : 'No'}
+                    {formatFieldLabel(key)}:
                   </span>
+                  {renderReviewedValue(key, value, overrides, renderBooleanPill)}
                 </div>
               );
             }
@@ -74,7 +362,7 @@ const EvaluationPanel = ({ data, onOpenPDF }) => {
               return (
                 <div key={key} className="py-3 border-b border-gray-200 last:border-0">
                   <span className="text-gray-700 font-medium block mb-2">
-                    {formatLabel(key)}:
+                    {formatFieldLabel(key)}:
                   </span>
                   <div className="flex flex-wrap gap-2">
                     {value.map((item, idx) => (
@@ -90,17 +378,30 @@ const EvaluationPanel = ({ data, onOpenPDF }) => {
               );
             }
 
+            if (key === 'verdict' && value) {
+              return (
+                <div key={key} className="flex items-center gap-4 py-2 border-b border-gray-200 last:border-0">
+                  <span className="font-medium text-gray-700 min-w-[120px]">
+                    {formatFieldLabel(key)}:
+                  </span>
+                  {renderReviewedValue(key, value, overrides, renderVerdictPill)}
+                </div>
+              );
+            }
+
             if (typeof value === 'string' && value) {
               const isDetails = key === 'details';
               return (
                 <div key={key} className={`py-2 border-b border-gray-200 last:border-0 ${isDetails ? '' : 'flex items-center gap-4'}`}>
                   <span className="font-medium text-gray-700 min-w-[120px]">
-                    {formatLabel(key)}:
+                    {formatFieldLabel(key)}:
                   </span>
                   {isDetails ? (
                     <p className="mt-2 text-gray-800 leading-relaxed">{value}</p>
                   ) : (
-                    <span className="text-gray-800">{value}</span>
+                    renderReviewedValue(key, value, overrides, (shown) => (
+                      <span className="text-gray-800">{shown}</span>
+                    ))
                   )}
                 </div>
               );
@@ -110,7 +411,7 @@ const EvaluationPanel = ({ data, onOpenPDF }) => {
         </div>
 
         {/* Evidence Section */}
-        {isTransactionRule ? (
+        {isTransactionRule && (
           <div className="space-y-4">
             <h4 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
               <span className="text-blue-500">📋</span>
@@ -129,66 +430,96 @@ const EvaluationPanel = ({ data, onOpenPDF }) => {
                 <p className="text-gray-700">{transaction.impact}</p>
                 <div className="space-y-3">
                   {transaction.evidence.map((ev, evIdx) => (
-                    <div key={evIdx} className="bg-gray-50 rounded-lg p-4 shadow-sm">
+                    <div
+                      key={evIdx}
+                      data-evidence-key={getEvidenceKey(rule.id, evIdx, idx)}
+                      className={`bg-gray-50 rounded-lg p-4 shadow-sm ${
+                        selectedEvidenceKey === getEvidenceKey(rule.id, evIdx, idx) ? 'ring-2 ring-blue-400' : ''}`}
+                    >
                       <p className="text-gray-700 mb-3">{ev.pageText}</p>
-                      <button
-                        onClick={() => {
-                          logger.info('Opening PDF for transaction evidence', {
-                            transaction: transaction.transaction,
-                            pageNumber: ev.pageNumber
-                          });
-                          onOpenPDF(ev.pageNumber);
-                        }}
-                        className="inline-flex items-center text-blue-600 hover:text-blue-800 hover:bg-blue-50 px-3 py-1 rounded-full transition-all"
-                      >
-                        <span className="mr-2">📄</span>
-                        Page {ev.pageNumber}
-                      </button>
+                      <div className="flex items-center gap-2">
+                        <button
+                          onClick={() => {
+                            logger.info('Opening PDF for transaction evidence', {
+                              transaction: transaction.transaction,
+                              pageNumber: ev.pageNumber
+                            });
+                            onOpenPDF(ev.pageNumber, getEvidenceKey(rule.id, evIdx, idx));
+                          }}
+                          className="inline-flex items-center text-blue-600 hover:text-blue-800 hover:bg-blue-50 px-3 py-1 rounded-full transition-all"
+                        >
+                          <span className="mr-2">📄</span>
+                          Page {ev.pageNumber}
+                        </button>
+                        {renderMatchBadge(getEvidenceKey(rule.id, evIdx, idx))}
+                      </div>
                     </div>
                   ))}
                 </div>
               </div>
             ))}
           </div>
-        ) : (
-          rule.evidence && rule.evidence.length > 0 && (
-            <div className="space-y-4 bg-white p-4 rounded-lg border-l-4 border-blue-400 shadow-sm">
-              <h4 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
-                <span className="text-blue-500">📋</span>
-                Evidence
-              </h4>
-              {rule.evidence.map((ev, idx) => (
-                <div key={idx} className="bg-gray-50 rounded-lg p-4">
-                  <p className="text-gray-700 mb-3">{ev.pageText}</p>
+        )}
+        {evidence.length > 0 && (
+          <div className="space-y-4 bg-white p-4 rounded-lg border-l-4 border-blue-400 shadow-sm">
+            <h4 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+              <span className="text-blue-500">📋</span>
+              Evidence
+            </h4>
+            {evidence.map((ev, idx) => (
+              <div
+                key={idx}
+                data-evidence-key={getEvidenceKey(rule.id, idx)}
+                className={`bg-gray-50 rounded-lg p-4 ${
+                  selectedEvidenceKey === getEvidenceKey(rule.id, idx) ? 'ring-2 ring-blue-400' : ''}`}
+              >
+                <p className="text-gray-700 mb-3">{ev.pageText}</p>
+                <div className="flex items-center gap-2">
                   <button
                     onClick={() => {
                       logger.info('Opening PDF for evidence', {
                         pageNumber: ev.pageNumber
                       });
-                      onOpenPDF(ev.pageNumber);
+                      onOpenPDF(ev.pageNumber, getEvidenceKey(rule.id, idx));
                     }}
                     className="inline-flex items-center text-blue-600 hover:text-blue-800 hover:bg-blue-50 px-3 py-1 rounded-full transition-all"
                   >
                     <span className="mr-2">📄</span>
                     Page {ev.pageNumber}
                   </button>
+                  {renderMatchBadge(getEvidenceKey(rule.id, idx))}
+                  {ev.addedByReviewer && (
+                    <>
+                      <span className="px-2 py-1 bg-amber-100 text-amber-800 rounded-full text-xs border border-amber-200">
+                        Added by reviewer
+                      </span>
+                      {onRemoveEvidence && (
+                        <button
+                          onClick={() => onRemoveEvidence(rule.id, idx - rule.evidence.length)}
+                          className="ml-auto text-xs text-gray-500 hover:text-red-700"
+                        >
+                          Remove
+                        </button>
+                      )}
+                    </>
+                  )}
                 </div>
-              ))}
-            </div>
-          )
+              </div>
+            ))}
+          </div>
         )}
       </div>
     );
   };
 
   return (
-    <div className="space-y-6 overflow-y-auto max-h-[calc(100vh-200px)]">
+    <div ref={panelRef} className="space-y-6 overflow-y-auto max-h-[calc(100vh-200px)]">
       {/* Sticky Navigation Header */}
       <nav className="sticky top-0 bg-white z-10 p-4 border-b shadow-sm">
         <div className="flex justify-between items-start">
           <div className="flex flex-wrap gap-2 flex-1 mr-4">
             <button
-              onClick={() => setActiveSection('final-decision')}
+              onClick={() => onSectionChange?.('final-decision')}
               className={`px-4 py-2 rounded-lg transition-all flex items-center gap-2 cursor-pointer
                 hover:shadow-md hover:scale-102 ${
                 activeSection === 'final-decision'
@@ -202,35 +533,113 @@ const EvaluationPanel = ({ data, onOpenPDF }) => {
                 <span className="text-xs text-gray-500">Analysis Summary</span>
               </div>
             </button>
-            {data.rules.map((rule, index) => (
-              <button
-                key={index}
-                onClick={() => setActiveSection(`rule-${index}`)}
-                className={`px-4 py-2 rounded-lg transition-all flex items-center gap-2 cursor-pointer
-                  hover:shadow-md hover:scale-102 ${
-                  activeSection === `rule-${index}`
-                    ? 'bg-blue-100 text-blue-800 border-2 border-blue-300'
-                    : 'text-gray-600 hover:bg-gray-100 border border-gray-200'
-                }`}
-              >
-                <span className="text-lg">📋</span>
-                <div className="flex flex-col items-start">
-                  <span className="font-medium">Rule {index + 1}</span>
-                  <span className="text-xs text-gray-500">{rule.ruleName}</span>
-                </div>
-              </button>
-            ))}
+            {data.rules.map((rule, index) => {
+              if (!isRuleShown(reviewed.rules[index], verdictFilter)) return null;
+              const verdictKey = getVerdictKey(reviewed.rules[index].verdict);
+              return (
+                <button
+                  key={index}
+                  onClick={() => onSectionChange?.(`rule-${index}`)}
+                  className={`px-4 py-2 rounded-lg transition-all flex items-center gap-2 cursor-pointer
+                    hover:shadow-md hover:scale-102 ${
+                    activeSection === `rule-${index}`
+                      ? 'bg-blue-100 text-blue-800 border-2 border-blue-300'
+                      : 'text-gray-600 hover:bg-gray-100 border border-gray-200'
+                  }`}
+                >
+                  <span className="text-lg">📋</span>
+                  <div className="flex flex-col items-start">
+                    <span className="font-medium flex items-center gap-1">
+                      <span
+                        className={`w-2 h-2 rounded-full ${getRuleColor(index).swatch}`}
+                        title="Highlight colour in the PDF viewer"
+                      ></span>
+                      {rule.step !== undefined ? `Step ${rule.step}` : `Rule ${index + 1}`}
+                      {ruleStrengths[index].level === 'unsupported' && (
+                        <span className="text-red-600" title={STRENGTH_LEVELS.unsupported.label}>
+                          {STRENGTH_LEVELS.unsupported.icon}
+                        </span>
+                      )}
+                      {verdictKey && (
+                        <span
+                          className={`px-1.5 rounded-full text-xs border ${VERDICTS[verdictKey].pill}`}
+                          title={VERDICTS[verdictKey].label}
+                        >
+                          {VERDICTS[verdictKey].icon}
+                        </span>
+                      )}
+                      {review?.decisions[rule.id] && (
+                        <span title={REVIEW_ACTIONS[review.decisions[rule.id].action]}>
+                          {REVIEW_ICONS[review.decisions[rule.id].action]}
+                        </span>
+                      )}
+                    </span>
+                    <span className="text-xs text-gray-500">{rule.ruleName}</span>
+                  </div>
+                </button>
+              );
+            })}
+          </div>
+          <div className="flex flex-col gap-2 shrink-0">
+            <button
+              onClick={handleDownloadJSON}
+              className="px-4 py-2 bg-gradient-to-r from-blue-500 to-blue-600 text-white rounded-lg 
+                       hover:from-blue-600 hover:to-blue-700 transition-colors flex items-center gap-2 
+                       shadow-sm hover:shadow"
+            >
+              <span>⬇️</span>
+              <span className="hidden sm:inline">Download JSON</span>
+            </button>
+            <button
+              onClick={() => handleReport('html')}
+              className="px-4 py-2 bg-white text-blue-700 border border-blue-300 rounded-lg 
+                       hover:bg-blue-50 transition-colors flex items-center gap-2 text-sm"
+            >
+              <span>📝</span>
+              <span className="hidden sm:inline">HTML report</span>
+            </button>
+            <button
+              onClick={() => handleReport('pdf')}
+              className="px-4 py-2 bg-white text-blue-700 border border-blue-300 rounded-lg 
+                       hover:bg-blue-50 transition-colors flex items-center gap-2 text-sm"
+              title="Opens the print dialog; choose “Save as PDF”"
+            >
+              <span>🖨️</span>
+              <span className="hidden sm:inline">PDF report</span>
+            </button>
+            <TableExportMenu
+              onSelect={handleSpreadsheetExport}
+              className="w-full px-4 py-2 bg-white text-blue-700 border border-blue-300 rounded-lg 
+                       hover:bg-blue-50 transition-colors flex items-center gap-2 text-sm"
+            />
           </div>
-          <button
-            onClick={handleDownloadJSON}
-            className="px-4 py-2 bg-gradient-to-r from-blue-500 to-blue-600 text-white rounded-lg 
-                     hover:from-blue-600 hover:to-blue-700 transition-colors flex items-center gap-2 
-                     shadow-sm hover:shadow shrink-0"
-          >
-            <span>⬇️</span>
-            <span className="hidden sm:inline">Download JSON</span>
-          </button>
         </div>
+
+        {verdictTally && (
+          <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+            <span className="text-gray-500">Verdicts:</span>
+            {Object.entries(verdictTally)
+              .filter(([key, count]) => count > 0 || key === verdictFilter)
+              .map(([key, count]) => (
+                <button
+                  key={key}
+                  onClick={() => setVerdictFilter((current) => (current === key ? null : key))}
+                  aria-pressed={verdictFilter === key}
+                  title={verdictFilter === key ? 'Show all steps' : 'Show only these steps'}
+                  className={`px-3 py-1 rounded-full border ${
+                    VERDICTS[key]?.pill ?? 'bg-white text-gray-700 border-gray-200'} ${
+                    verdictFilter === key ? 'ring-2 ring-blue-400' : 'hover:shadow-sm'}`}
+                >
+                  {count} {VERDICTS[key]?.label ?? 'Other'}
+                </button>
+              ))}
+            {verdictFilter && (
+              <button onClick={() => setVerdictFilter(null)} className="text-blue-600 hover:underline">
+                Show all steps
+              </button>
+            )}
+          </div>
+        )}
       </nav>
 
       {/* Content Section */}
@@ -241,43 +650,59 @@ const EvaluationPanel = ({ data, onOpenPDF }) => {
             {data.final_decision && (
               <div className="bg-gradient-to-r from-blue-50 to-blue-100 p-6 rounded-lg shadow-lg border border-blue-200">
                 <div className="grid gap-6">
+                  {onReviewDecision && (
+                    <ReviewControls
+                      target={data.final_decision}
+                      fields={getOverridableFields(data.final_decision)}
+                      decision={review?.decisions[FINAL_DECISION_ID]}
+                      formatLabel={formatFieldLabel}
+                      onDecide={(decision) => onReviewDecision(FINAL_DECISION_ID, decision)}
+                    />
+                  )}
+
+                  {ruleHistory?.finalDecisionStale && (
+                    <div className="text-sm text-amber-800 bg-amber-50 p-3 rounded-lg border border-amber-200">
+                      A rule was re-run after this decision was made and the service did not refresh it.
+                      Check the re-run rules before relying on it, or run the full evaluation again.
+                    </div>
+                  )}
+
                   <div className="bg-white rounded-lg p-4 shadow-sm">
                     <div className="flex items-center justify-between">
-                      <span className="font-medium text-gray-700">ERISA Eligible</span>
-                      <span className={`px-4 py-1 rounded-full text-sm font-medium transition-colors
-                        ${data.final_decision.isERISAEligible
-                          ? 'bg-green-100 text-green-800 border border-green-200'
-                          : 'bg-red-100 text-red-800 border border-red-200'}`}>
-                        {data.final_decision.isERISAEligible ? 'Yes' : 'No'}
+                      <span className="font-medium text-gray-700">
+                        {regulationEntry?.decisionLabel ?? 'Eligible'}
                       </span>
+                      {renderReviewedValue(regulationEntry?.decisionField, isEligible, finalDecisionChanges, (value) => (
+                        <span className={`px-4 py-1 rounded-full text-sm font-medium transition-colors
+                          ${value
+                            ? 'bg-green-100 text-green-800 border border-green-200'
+                            : 'bg-red-100 text-red-800 border border-red-200'}`}>
+                          {value ? 'Yes' : 'No'}
+                        </span>
+                      ))}
                     </div>
                   </div>
 
                   <div className="bg-white rounded-lg p-4 shadow-sm">
-                    <div className="flex items-center justify-between">
+                    <div className="flex items-center justify-between gap-4">
                       <span className="font-medium text-gray-700">Confidence Score</span>
-                      <span className="px-4 py-1 bg-blue-100 text-blue-800 rounded-full text-sm font-medium border border-blue-200">
-                        {data.final_decision.confidenceScore}
-                      </span>
+                      <ConfidenceGauge
+                        score={data.final_decision.confidenceScore ?? null}
+                        thresholds={confidenceThresholds}
+                      />
                     </div>
                   </div>
 
                   <div className="bg-white rounded-lg p-4 shadow-sm">
-                    <span className="font-medium text-gray-700 block mb-2">Supporting Rules</span>
-                    <div className="flex flex-wrap gap-2">
-                      {data.final_decision.supportingRules?.map((ruleNumber) => (
-                        <button
-                          key={ruleNumber}
-                          onClick={() => setActiveSection(`rule-${ruleNumber - 1}`)}
-                          className="px-3 py-1 bg-purple-100 text-purple-800 rounded-full text-sm 
-                                   font-medium border border-purple-200 hover:bg-purple-200 
-                                   transition-colors cursor-pointer flex items-center gap-1"
-                        >
-                          <span>📋</span>
-                          Rule {ruleNumber}
-                        </button>
-                      ))}
-                    </div>
+                    <span className="font-medium text-gray-700 block mb-2">Why this decision</span>
+                    <DecisionGraph
+                      graph={decisionGraph}
+                      decisionLabel={regulationEntry?.decisionLabel ?? 'Eligible'}
+                      eligible={reviewedEligible}
+                      formatLabel={formatFieldLabel}
+                      onSelectRule={(ruleIndex) => onSectionChange?.(`rule-${ruleIndex}`)}
+                      onOpenPDF={onOpenPDF}
+                    />
                   </div>
 
                   <div className="bg-white rounded-lg p-4 shadow-sm">
@@ -289,6 +714,62 @@ const EvaluationPanel = ({ data, onOpenPDF }) => {
                 </div>
               </div>
             )}
+            {data.summary && (
+              <div className={`bg-gradient-to-r from-blue-50 to-blue-100 p-6 rounded-lg shadow-lg border border-blue-200 ${
+                data.final_decision ? 'mt-6' : ''}`}>
+                <div className="bg-white rounded-lg p-4 shadow-sm">
+                  <span className="font-medium text-gray-700 block mb-2">Summary</span>
+                  <MarkdownSummary markdown={data.summary} onOpenPDF={onOpenPDF} />
+                </div>
+              </div>
+            )}
+            {reviewChanges.length > 0 && (
+              <div className="mt-6 bg-white rounded-lg p-4 shadow-sm border border-amber-200">
+                <span className="font-medium text-gray-700 block mb-2">Reviewer Changes</span>
+                <ul className="space-y-2">
+                  {reviewChanges.map((change) => (
+                    <li key={`${change.targetId}:${change.field}`} className="text-sm">
+                      <div className="flex flex-wrap items-center gap-2">
+                        <span className="font-medium text-gray-800">{change.targetName}</span>
+                        <span className="text-gray-500">{formatFieldLabel(change.field)}:</span>
+                        <span className="line-through text-gray-400">{formatReviewValue(change.from)}</span>
+                        <span className="text-gray-400">→</span>
+                        <span className="font-medium text-amber-800">{formatReviewValue(change.to)}</span>
+                      </div>
+                      <p className="text-gray-600 italic">{change.comment}</p>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            {onSignOff && (
+              <div className="mt-6 bg-white rounded-lg p-4 shadow-sm border border-gray-200">
+                {review?.signOff ? (
+                  <p className="text-green-800">
+                    ✅ Signed off by <span className="font-medium">{review.signOff.signedBy}</span>
+                    {' '}on {new Date(review.signOff.signedAt).toLocaleString()}
+                    {review.signOff.eligible !== null && (
+                      <> ({regulationEntry?.decisionLabel ?? 'Eligible'}: {review.signOff.eligible ? 'Yes' : 'No'})</>
+                    )}
+                  </p>
+                ) : (
+                  <div className="flex items-center justify-between gap-4">
+                    <span className={signOffBlocker ? 'text-red-700' : 'text-gray-700'}>
+                      {signOffBlocker ?? (reviewerName
+                        ? 'Sign off the reviewed decision in your name.'
+                        : 'Set your name in Settings to sign off this evaluation.')}
+                    </span>
+                    <button
+                      onClick={onSignOff}
+                      disabled={!reviewerName || Boolean(signOffBlocker)}
+                      className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 shrink-0"
+                    >
+                      Sign off
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
           </div>
         )}
 
@@ -296,7 +777,7 @@ const EvaluationPanel = ({ data, onOpenPDF }) => {
         {data.rules.map((rule, index) => (
           activeSection === `rule-${index}` && (
             <div key={index}>
-              {renderRuleContent(rule)}
+              {renderRuleContent(rule, index)}
             </div>
           )
         ))}
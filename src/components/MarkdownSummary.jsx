@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Markdown rendering of a result's narrative summary
+ *
+ * Component Purpose:
+ * ----------------
+ * Renders the summary with GitHub-flavoured markdown (tables, lists,
+ * emphasis). Raw HTML in the text is dropped and link targets are
+ * sanitized by react-markdown, so model output cannot inject markup.
+ * Page references such as "page 341" or "pages 12 and 14" become links
+ * that open the PDF at that page (see utils/pageLinks).
+ *
+ * Props:
+ * -----
+ * - markdown: Summary text
+ * - onOpenPDF(pageNumber): Opens the PDF at a page
+ */
+
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import { PAGE_LINK_PREFIX, remarkPageLinks } from "../utils/pageLinks";
+
+const MarkdownSummary = ({ markdown, onOpenPDF }) => {
+  const components = {
+    h1: ({ children }) => <h3 className="text-lg font-semibold text-gray-900 mt-4 mb-2">{children}</h3>,
+    h2: ({ children }) => <h4 className="text-base font-semibold text-gray-900 mt-4 mb-2">{children}</h4>,
+    h3: ({ children }) => <h5 className="font-semibold text-gray-800 mt-3 mb-1">{children}</h5>,
+    p: ({ children }) => <p className="text-gray-800 leading-relaxed my-2">{children}</p>,
+    ul: ({ children }) => <ul className="list-disc pl-6 my-2 space-y-1 text-gray-800">{children}</ul>,
+    ol: ({ children }) => <ol className="list-decimal pl-6 my-2 space-y-2 text-gray-800">{children}</ol>,
+    strong: ({ children }) => <strong className="font-semibold text-gray-900">{children}</strong>,
+    hr: () => <hr className="my-4 border-gray-200" />,
+    blockquote: ({ children }) => (
+      <blockquote className="border-l-4 border-blue-200 pl-4 my-2 text-gray-700">{children}</blockquote>
+    ),
+    table: ({ children }) => (
+      <div className="overflow-x-auto my-2">
+        <table className="min-w-full text-sm border border-gray-200">{children}</table>
+      </div>
+    ),
+    th: ({ children }) => <th className="px-3 py-2 bg-gray-50 text-left font-medium border-b">{children}</th>,
+    td: ({ children }) => <td className="px-3 py-2 border-b border-gray-100 align-top">{children}</td>,
+    a: ({ href, children }) => {
+      if (href?.startsWith(PAGE_LINK_PREFIX)) {
+        const pageNumber = Number(href.slice(PAGE_LINK_PREFIX.length));
+        return (
+          <button
+            onClick={() => onOpenPDF?.(pageNumber)}
+            className="text-blue-600 hover:text-blue-800 underline"
+            title={`Open page ${pageNumber} in the PDF`}
+          >
+            {children}
+          </button>
+        );
+      }
+      return (
+        <a href={href} target="_blank" rel="noopener noreferrer" className="text-blue-600 underline">
+          {children}
+        </a>
+      );
+    },
+  };
+
+  return (
+    <ReactMarkdown remarkPlugins={[remarkGfm, remarkPageLinks]} components={components} skipHtml>
+      {markdown}
+    </ReactMarkdown>
+  );
+};
+
+export default MarkdownSummary;
@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Collapsible overview pane of AdvancedPDFViewer
+ *
+ * Tabs:
+ * ----
+ * - Pages: Thumbnails with markers on pages cited by evidence. Only
+ *   thumbnails near the visible part of the strip are drawn
+ * - Outline: The PDF's bookmarks (pdf.js getOutline); destinations are
+ *   resolved to page numbers when clicked
+ *
+ * Props:
+ * - pdfDocument: Loaded pdf.js document
+ * - pageRatios: Height / width per page, for placeholder sizes
+ * - currentPage: Page to mark as current
+ * - pageOffset: Printed page offset, for page labels
+ * - evidencePages: { [pageNumber]: ruleIndex[] } rules citing each page
+ * - onPageSelect: Called with the physical page number to show
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { getRuleColor } from "../utils/ruleColors";
+import logger from '../logger';
+
+const THUMBNAIL_WIDTH = 112;
+
+// Distance beyond the visible strip within which thumbnails are drawn
+const THUMBNAIL_MARGIN = "100% 0px";
+
+// Rule colour dots shown per thumbnail before summarizing as "+N"
+const MAX_MARKERS = 4;
+
+const DEFAULT_PAGE_RATIO = 1.414;
+
+/**
+ * Resolves an outline destination to a physical page number
+ * @param {Object} pdfDocument - Loaded pdf.js document
+ * @param {string|Array} dest - Named or explicit destination
+ * @returns {Promise<number|null>}
+ */
+const resolveDestinationPage = async (pdfDocument, dest) => {
+  const explicit = typeof dest === "string" ? await pdfDocument.getDestination(dest) : dest;
+  if (!Array.isArray(explicit)) return null;
+
+  const [target] = explicit;
+  // Some producers store a page index instead of a page reference
+  if (Number.isInteger(target)) return target + 1;
+  return (await pdfDocument.getPageIndex(target)) + 1;
+};
+
+/**
+ * Draws one page at thumbnail size with pdf.js
+ */
+const PdfThumbnail = ({ pdfDocument, pageNumber, height }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let renderTask = null;
+
+    pdfDocument.getPage(pageNumber)
+      .then((page) => {
+        if (cancelled) return;
+        const scale = THUMBNAIL_WIDTH / page.getViewport({ scale: 1 }).width;
+        const viewport = page.getViewport({ scale });
+        const canvas = canvasRef.current;
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+        renderTask = page.render({ canvasContext: canvas.getContext("2d"), viewport });
+        return renderTask.promise;
+      })
+      .catch((err) => {
+        if (err?.name !== "RenderingCancelledException") {
+          logger.warn('Failed to render thumbnail', { pageNumber, error: err });
+        }
+      });
+
+    return () => {
+      cancelled = true;
+      renderTask?.cancel();
+    };
+  }, [pdfDocument, pageNumber]);
+
+  return <canvas ref={canvasRef} style={{ width: THUMBNAIL_WIDTH, height }} className="bg-white" />;
+};
+
+/**
+ * One outline entry with its collapsible children
+ */
+const OutlineItem = ({ item, depth, onSelect }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const hasChildren = item.items?.length > 0;
+
+  return (
+    <li>
+      <div className="flex items-start" style={{ paddingLeft: depth * 12 }}>
+        <button
+          onClick={() => setIsExpanded((expanded) => !expanded)}
+          className={`w-4 shrink-0 text-gray-400 ${hasChildren ? "" : "invisible"}`}
+          aria-label={isExpanded ? "Collapse" : "Expand"}
+        >
+          {isExpanded ? "▾" : "▸"}
+        </button>
+        <button
+          onClick={() => onSelect(item)}
+          className="text-left text-gray-700 hover:text-blue-700 hover:underline py-0.5"
+        >
+          {item.title}
+        </button>
+      </div>
+      {hasChildren && isExpanded && (
+        <ul>
+          {item.items.map((child, index) => (
+            <OutlineItem key={index} item={child} depth={depth + 1} onSelect={onSelect} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+const PdfSidebar = ({ pdfDocument, pageRatios, currentPage, pageOffset, evidencePages, onPageSelect }) => {
+  const [activeTab, setActiveTab] = useState("pages");
+  const [visibleThumbnails, setVisibleThumbnails] = useState([]); // Pages whose thumbnail is drawn
+  const [outline, setOutline] = useState(null);                    // null while loading
+  const stripRef = useRef(null);
+
+  /**
+   * Draws thumbnails as they approach the visible part of the strip
+   */
+  useEffect(() => {
+    if (activeTab !== "pages" || !stripRef.current) return;
+    const visible = new Set();
+
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        const pageNumber = Number(entry.target.dataset.thumbnail);
+        if (entry.isIntersecting) visible.add(pageNumber);
+        else visible.delete(pageNumber);
+      });
+      setVisibleThumbnails([...visible]);
+    }, { root: stripRef.current, rootMargin: THUMBNAIL_MARGIN });
+
+    stripRef.current
+      .querySelectorAll("[data-thumbnail]")
+      .forEach((placeholder) => observer.observe(placeholder));
+    return () => observer.disconnect();
+  }, [activeTab, pdfDocument]);
+
+  // Keep the current page's thumbnail in view
+  useEffect(() => {
+    if (activeTab !== "pages" || !currentPage) return;
+    stripRef.current
+      ?.querySelector(`[data-thumbnail="${currentPage}"]`)
+      ?.scrollIntoView({ block: "nearest" });
+  }, [activeTab, currentPage]);
+
+  /**
+   * Loads the document outline once the tab is opened
+   */
+  useEffect(() => {
+    if (activeTab !== "outline" || outline !== null) return;
+    let cancelled = false;
+
+    pdfDocument.getOutline()
+      .then((items) => {
+        if (!cancelled) setOutline(items ?? []);
+      })
+      .catch((err) => {
+        logger.warn('Failed to read PDF outline', err);
+        if (!cancelled) setOutline([]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [activeTab, outline, pdfDocument]);
+
+  /**
+   * Navigates to an outline entry's destination
+   * @param {Object} item - pdf.js outline item
+   */
+  const handleOutlineSelect = async (item) => {
+    if (!item.dest) return;
+    try {
+      const pageNumber = await resolveDestinationPage(pdfDocument, item.dest);
+      if (pageNumber) onPageSelect(pageNumber);
+    } catch (err) {
+      logger.warn('Failed to resolve outline destination', { title: item.title, error: err });
+    }
+  };
+
+  const tabClass = (tab) =>
+    `flex-1 py-2 text-sm ${activeTab === tab
+      ? "border-b-2 border-blue-500 text-blue-700 font-medium"
+      : "text-gray-500 hover:text-gray-700"}`;
+
+  return (
+    <div className="w-44 shrink-0 border-r flex flex-col bg-gray-50">
+      <div className="flex border-b bg-white">
+        <button onClick={() => setActiveTab("pages")} className={tabClass("pages")}>Pages</button>
+        <button onClick={() => setActiveTab("outline")} className={tabClass("outline")}>Outline</button>
+      </div>
+
+      {activeTab === "pages" && (
+        <div ref={stripRef} className="flex-1 overflow-y-auto py-3">
+          {Array.from(new Array(pdfDocument.numPages), (_, i) => {
+            const pageNumber = i + 1;
+            const height = THUMBNAIL_WIDTH * (pageRatios[i] ?? pageRatios[0] ?? DEFAULT_PAGE_RATIO);
+            const ruleIndexes = evidencePages[pageNumber] ?? [];
+
+            return (
+              <button
+                key={pageNumber}
+                data-thumbnail={pageNumber}
+                onClick={() => onPageSelect(pageNumber)}
+                className="block mx-auto mb-3 text-center"
+              >
+                <div
+                  className={`relative border-2 shadow-sm ${
+                    pageNumber === currentPage ? "border-blue-500" : "border-transparent"}`}
+                  style={{ width: THUMBNAIL_WIDTH, height }}
+                >
+                  {visibleThumbnails.includes(pageNumber) && (
+                    <PdfThumbnail pdfDocument={pdfDocument} pageNumber={pageNumber} height={height} />
+                  )}
+                  {ruleIndexes.length > 0 && (
+                    <div
+                      className="absolute top-1 right-1 flex gap-0.5 bg-white bg-opacity-90 rounded px-1 py-0.5"
+                      title={`${ruleIndexes.length} rule${ruleIndexes.length === 1 ? "" : "s"} cite this page`}
+                    >
+                      {ruleIndexes.slice(0, MAX_MARKERS).map((ruleIndex) => (
+                        <span key={ruleIndex} className={`w-2 h-2 rounded-full ${getRuleColor(ruleIndex).swatch}`}></span>
+                      ))}
+                      {ruleIndexes.length > MAX_MARKERS && (
+                        <span className="text-[10px] leading-none text-gray-600">+{ruleIndexes.length - MAX_MARKERS}</span>
+                      )}
+                    </div>
+                  )}
+                </div>
+                <span className="text-xs text-gray-500">
+                  {pageOffset !== 0 ? `p. ${pageNumber - pageOffset}` : pageNumber}
+                </span>
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {activeTab === "outline" && (
+        <div className="flex-1 overflow-y-auto p-2 text-sm">
+          {outline === null && <p className="text-gray-400 p-2">Loading outline…</p>}
+          {outline?.length === 0 && <p className="text-gray-400 p-2">This document has no outline.</p>}
+          {outline?.length > 0 && (
+            <ul>
+              {outline.map((item, index) => (
+                <OutlineItem key={index} item={item} depth={0} onSelect={handleOutlineSelect} />
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PdfSidebar;
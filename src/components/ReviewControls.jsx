@@ -0,0 +1,203 @@
+/**
+ * @fileoverview Reviewer decision on one rule or on the final decision
+ *
+ * Component Purpose:
+ * ----------------
+ * Lets a reviewer accept, reject or override the model's finding. Every
+ * decision needs a comment; overrides set new values for the target's
+ * boolean fields (or its verdict, chosen from utils/verdicts). A recorded
+ * decision is shown with its comment and can be changed or withdrawn.
+ * The "a" and "r" keys open the form to accept or reject.
+ *
+ * Props:
+ * -----
+ * - target: Canonical rule or final_decision under review
+ * - fields: Overridable field names (see utils/review)
+ * - decision: Recorded decision, if any
+ * - formatLabel(key): Display name of a field
+ * - onDecide(decision): Records { action, changes, comment }, null withdraws
+ */
+
+import { useState } from "react";
+import useKeyboardShortcuts from "../hooks/useKeyboardShortcuts";
+import { REVIEW_ACTIONS, formatReviewValue, validateDecision } from "../utils/review";
+import { VERDICTS } from "../utils/verdicts";
+
+const ACTION_STYLES = {
+  accept: "bg-green-100 text-green-800 border-green-200",
+  reject: "bg-red-100 text-red-800 border-red-200",
+  override: "bg-amber-100 text-amber-800 border-amber-200",
+};
+
+const ReviewControls = ({ target, fields, decision, formatLabel, onDecide }) => {
+  const [draft, setDraft] = useState(null);   // { action, changes, comment } while editing
+  const [issues, setIssues] = useState([]);   // Validation messages of the draft
+
+  /**
+   * Opens the form for an action, prefilled from the recorded decision
+   * @param {string} action - "accept", "reject" or "override"
+   */
+  const startDraft = (action) => {
+    const initialChanges = Object.fromEntries(fields.map((field) => [field, target[field]]));
+    setDraft({
+      action,
+      changes: { ...initialChanges, ...decision?.changes },
+      comment: decision?.comment ?? "",
+    });
+    setIssues([]);
+  };
+
+  useKeyboardShortcuts({
+    a: () => startDraft("accept"),
+    r: () => startDraft("reject"),
+  }, !draft);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const problems = validateDecision(draft, target);
+    if (problems.length > 0) {
+      setIssues(problems);
+      return;
+    }
+    // Only values that differ from the model's are kept
+    const changes = Object.fromEntries(
+      Object.entries(draft.changes).filter(([field, value]) => target[field] !== value)
+    );
+    onDecide({ ...draft, changes });
+    setDraft(null);
+  };
+
+  const setChange = (field, value) => {
+    setDraft((prev) => ({ ...prev, changes: { ...prev.changes, [field]: value } }));
+  };
+
+  if (draft) {
+    return (
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg p-4 shadow-sm border border-gray-200 space-y-3">
+        <div className="flex items-center gap-2">
+          <span className="font-medium text-gray-700">Review:</span>
+          {Object.entries(REVIEW_ACTIONS)
+            .filter(([action]) => action !== "override" || fields.length > 0)
+            .map(([action, label]) => (
+              <button
+                key={action}
+                type="button"
+                onClick={() => setDraft((prev) => ({ ...prev, action }))}
+                className={`px-3 py-1 rounded-full text-sm border ${draft.action === action
+                  ? ACTION_STYLES[action]
+                  : "bg-white text-gray-500 border-gray-200 hover:bg-gray-50"}`}
+              >
+                {label}
+              </button>
+            ))}
+        </div>
+
+        {draft.action === "override" && fields.map((field) => (
+          <label key={field} className="flex items-center gap-4">
+            <span className="font-medium text-gray-700 min-w-[120px]">{formatLabel(field)}:</span>
+            {typeof target[field] === "boolean" ? (
+              <select
+                value={String(draft.changes[field])}
+                onChange={(e) => setChange(field, e.target.value === "true")}
+                className="px-2 py-1 border rounded"
+              >
+                <option value="true">Yes</option>
+                <option value="false">No</option>
+              </select>
+            ) : field === "verdict" ? (
+              <select
+                value={draft.changes[field] ?? ""}
+                onChange={(e) => setChange(field, e.target.value)}
+                className="px-2 py-1 border rounded"
+              >
+                {/* The model's own wording stays selectable, e.g. "Permissive" */}
+                {[...new Set([target[field], ...Object.values(VERDICTS).map((verdict) => verdict.label)])]
+                  .filter(Boolean)
+                  .map((label) => <option key={label} value={label}>{label}</option>)}
+              </select>
+            ) : (
+              <input
+                type="text"
+                value={draft.changes[field] ?? ""}
+                onChange={(e) => setChange(field, e.target.value)}
+                className="flex-1 px-2 py-1 border rounded"
+              />
+            )}
+            <span className="text-xs text-gray-500">Model: {formatReviewValue(target[field])}</span>
+          </label>
+        ))}
+
+        <textarea
+          value={draft.comment}
+          onChange={(e) => setDraft((prev) => ({ ...prev, comment: e.target.value }))}
+          placeholder="Reason for this decision (required)"
+          rows={3}
+          autoFocus
+          className="w-full px-3 py-2 border rounded"
+        />
+
+        {issues.length > 0 && (
+          <ul className="text-sm text-red-700 list-disc pl-5">
+            {issues.map((issue) => <li key={issue}>{issue}</li>)}
+          </ul>
+        )}
+
+        <div className="flex gap-2">
+          <button type="submit" className="px-4 py-1 bg-blue-500 text-white rounded hover:bg-blue-600">
+            Save decision
+          </button>
+          <button type="button" onClick={() => setDraft(null)} className="px-4 py-1 bg-gray-200 rounded">
+            Cancel
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg p-4 shadow-sm border border-gray-200">
+      {decision ? (
+        <div className="space-y-2">
+          <div className="flex items-center justify-between gap-2">
+            <div className="flex items-center gap-2">
+              <span className="font-medium text-gray-700">Review:</span>
+              <span className={`px-3 py-1 rounded-full text-sm border ${ACTION_STYLES[decision.action]}`}>
+                {REVIEW_ACTIONS[decision.action]}
+              </span>
+              <span className="text-xs text-gray-500">
+                {decision.decidedBy && `${decision.decidedBy}, `}
+                {new Date(decision.decidedAt).toLocaleString()}
+              </span>
+            </div>
+            <div className="flex gap-2 text-sm">
+              <button onClick={() => startDraft(decision.action)} className="px-3 py-1 bg-gray-100 rounded hover:bg-gray-200">
+                Change
+              </button>
+              <button onClick={() => onDecide(null)} className="px-3 py-1 bg-gray-100 rounded hover:bg-gray-200">
+                Withdraw
+              </button>
+            </div>
+          </div>
+          <p className="text-gray-800 whitespace-pre-wrap">{decision.comment}</p>
+        </div>
+      ) : (
+        <div className="flex items-center gap-2">
+          <span className="font-medium text-gray-700 mr-2">Review:</span>
+          <button onClick={() => startDraft("accept")} className={`px-3 py-1 rounded-full text-sm border ${ACTION_STYLES.accept}`}>
+            ✓ Accept
+          </button>
+          <button onClick={() => startDraft("reject")} className={`px-3 py-1 rounded-full text-sm border ${ACTION_STYLES.reject}`}>
+            ✗ Reject
+          </button>
+          {fields.length > 0 && (
+            <button onClick={() => startDraft("override")} className={`px-3 py-1 rounded-full text-sm border ${ACTION_STYLES.override}`}>
+              ✎ Override
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReviewControls;
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Re-run action and version history of one rule
+ *
+ * Component Purpose:
+ * ----------------
+ * Lets the user re-evaluate a single rule instead of the whole document
+ * and lists the rule's earlier answers with what changed in each
+ * (see utils/ruleHistory).
+ *
+ * Props:
+ * -----
+ * - versions: Versions of the rule, oldest first; empty until re-run
+ * - isRunning: A re-run of this rule is in progress
+ * - isBusy: Another re-run is in progress
+ * - onRerun(): Starts a re-run; omitted when the PDF is not available
+ * - formatLabel(key): Display name of a field
+ */
+
+import { useState } from "react";
+import { formatReviewValue } from "../utils/review";
+
+/**
+ * Shows a field value of an earlier version; arrays are listed inline
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+const formatVersionValue = (value) =>
+  Array.isArray(value) ? value.join(", ") || "—" : formatReviewValue(value);
+
+const RuleVersions = ({ versions, isRunning, isBusy, onRerun, formatLabel }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const current = versions[versions.length - 1];
+
+  return (
+    <div className="bg-white rounded-lg p-4 shadow-sm border border-gray-200">
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-sm text-gray-600">
+          {current ? (
+            <button
+              onClick={() => setIsExpanded((expanded) => !expanded)}
+              className="hover:text-blue-600"
+              aria-expanded={isExpanded}
+            >
+              {isExpanded ? "▾" : "▸"} Version {current.version} of {versions.length}
+              {current.requestedBy && `, re-run by ${current.requestedBy}`}
+              {current.evaluatedAt && ` · ${new Date(current.evaluatedAt).toLocaleString()}`}
+            </button>
+          ) : (
+            "Model's first answer"
+          )}
+        </div>
+        {onRerun && (
+          <button
+            onClick={onRerun}
+            disabled={isRunning || isBusy}
+            className="px-3 py-1 text-sm bg-gray-100 rounded hover:bg-gray-200 disabled:opacity-50 flex items-center gap-1"
+            title="Evaluates this rule again without re-running the whole document"
+          >
+            <span className={isRunning ? "animate-spin" : ""}>↻</span>
+            {isRunning ? "Re-running…" : "Re-run rule"}
+          </button>
+        )}
+      </div>
+
+      {isExpanded && (
+        <ol className="mt-3 space-y-3">
+          {[...versions].reverse().map((version) => (
+            <li key={version.version} className="border-l-4 border-blue-200 pl-3 text-sm">
+              <div className="font-medium text-gray-700">
+                Version {version.version}
+                <span className="font-normal text-gray-500">
+                  {version.version === 1 ? " · full evaluation" : version.requestedBy && ` · ${version.requestedBy}`}
+                  {version.evaluatedAt && ` · ${new Date(version.evaluatedAt).toLocaleString()}`}
+                </span>
+              </div>
+              {version.version > 1 && version.changes.length === 0 &&
+                version.pages.added.length === 0 && version.pages.removed.length === 0 && (
+                <div className="text-gray-500">Same findings as version {version.version - 1}</div>
+              )}
+              {version.changes.map(({ field, from, to }) => (
+                <div key={field} className="text-gray-700">
+                  {formatLabel(field)}:{" "}
+                  <span className="line-through text-red-700">{formatVersionValue(from)}</span>{" "}
+                  → <span className="text-green-700">{formatVersionValue(to)}</span>
+                </div>
+              ))}
+              {(version.pages.added.length > 0 || version.pages.removed.length > 0) && (
+                <div className="text-gray-600">
+                  Evidence pages
+                  {version.pages.added.length > 0 && <span className="text-green-700"> + {version.pages.added.join(", ")}</span>}
+                  {version.pages.removed.length > 0 && <span className="text-red-700"> − {version.pages.removed.join(", ")}</span>}
+                </div>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default RuleVersions;
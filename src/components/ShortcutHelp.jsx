@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Cheat-sheet of the review screen's keyboard shortcuts
+ *
+ * While open, "?" and Escape close it and the other shortcuts are
+ * suspended.
+ *
+ * Props:
+ * -----
+ * - onClose(): Hides the overlay
+ */
+
+import { SHORTCUT_GROUPS } from "../config/shortcuts";
+import useKeyboardShortcuts from "../hooks/useKeyboardShortcuts";
+
+const ShortcutHelp = ({ onClose }) => {
+  useKeyboardShortcuts({ "?": onClose, Escape: onClose }, true, { modal: true });
+
+  return (
+    <div
+      className="fixed inset-0 z-50 bg-black/40 flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcut-help-title"
+        className="bg-white rounded-lg shadow-xl max-w-lg w-full p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 id="shortcut-help-title" className="text-lg font-semibold">⌨️ Keyboard shortcuts</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800" aria-label="Close">
+            ✕
+          </button>
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-4">
+          {SHORTCUT_GROUPS.map((group) => (
+            <section key={group.title}>
+              <h3 className="text-sm font-medium text-gray-500 uppercase tracking-wide mb-2">{group.title}</h3>
+              <dl className="space-y-1 text-sm">
+                {group.shortcuts.map(({ keys, description }) => (
+                  <div key={keys.join()} className="flex items-start gap-3">
+                    <dt className="flex gap-1 shrink-0">
+                      {keys.map((key) => (
+                        <kbd
+                          key={key}
+                          className="min-w-[1.75rem] px-1.5 py-0.5 text-center font-mono bg-gray-100 border border-gray-300 rounded shadow-sm"
+                        >
+                          {key}
+                        </kbd>
+                      ))}
+                    </dt>
+                    <dd className="text-gray-700">{description}</dd>
+                  </div>
+                ))}
+              </dl>
+            </section>
+          ))}
+        </div>
+        <p className="mt-4 text-xs text-gray-500">Shortcuts are off while typing in a field.</p>
+      </div>
+    </div>
+  );
+};
+
+export default ShortcutHelp;
@@ -1,7 +1,10 @@
 import { Bars3Icon, XMarkIcon } from "@heroicons/react/24/outline";
 import { Link } from "react-router-dom";
+import { DEFAULT_TITLE, getRegulation } from "../config/regulations";
+
+const Sidebar = ({ isOpen, onToggle, regulation }) => {
+  const title = getRegulation(regulation)?.title ?? DEFAULT_TITLE;
 
-const Sidebar = ({ isOpen, onToggle }) => {
   return (
     <>
       <div className="fixed top-0 left-0 right-0 bg-primary h-12 flex items-center z-10">
@@ -17,7 +20,7 @@ const Sidebar = ({ isOpen, onToggle }) => {
           />
         )}
         <h3 className="text-white text-lg font-semibold ml-4">
-          ERISA Eligibility
+          {title}
         </h3>
       </div>
 
@@ -49,6 +52,39 @@ const Sidebar = ({ isOpen, onToggle }) => {
               Evaluation Dashboard
             </span>
           </Link>
+          <Link
+            to="/compare"
+            className="text-gray-700 hover:text-blue-600 font-medium flex items-center gap-2"
+          >
+            <span>⚖️</span>
+            <span
+              className={`${!isOpen ? "hidden" : "block"} whitespace-nowrap`}
+            >
+              Compare Results
+            </span>
+          </Link>
+          <Link
+            to="/audit"
+            className="text-gray-700 hover:text-blue-600 font-medium flex items-center gap-2"
+          >
+            <span>🧾</span>
+            <span
+              className={`${!isOpen ? "hidden" : "block"} whitespace-nowrap`}
+            >
+              Audit Log
+            </span>
+          </Link>
+          <Link
+            to="/settings"
+            className="text-gray-700 hover:text-blue-600 font-medium flex items-center gap-2"
+          >
+            <span>⚙️</span>
+            <span
+              className={`${!isOpen ? "hidden" : "block"} whitespace-nowrap`}
+            >
+              Settings
+            </span>
+          </Link>
         </nav>
       </aside>
     </>
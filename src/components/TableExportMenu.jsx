@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Menu of spreadsheet exports (see utils/tabularExport)
+ *
+ * Props:
+ * -----
+ * - onSelect(format): "xls" for the workbook, or "summary", "rules" or
+ *   "evidence" for a single CSV table
+ * - disabled: Disables the menu, e.g. while nothing can be exported
+ * - className: Classes of the toggle button
+ */
+
+import { useState } from "react";
+
+const EXPORT_OPTIONS = [
+  { format: "xls", label: "Excel workbook (all sheets)" },
+  { format: "summary", label: "Summary CSV" },
+  { format: "rules", label: "Rules CSV" },
+  { format: "evidence", label: "Evidence CSV" },
+];
+
+const TableExportMenu = ({ onSelect, disabled = false, className = "" }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const handleSelect = (format) => {
+    setIsOpen(false);
+    onSelect(format);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen((open) => !open)}
+        disabled={disabled}
+        aria-expanded={isOpen}
+        className={`${className} disabled:opacity-50`}
+      >
+        <span>📊</span>
+        <span className="hidden sm:inline">Spreadsheet</span>
+        <span className="text-xs">▾</span>
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 mt-1 w-56 bg-white border border-gray-200 rounded-lg shadow-lg z-20 py-1">
+          {EXPORT_OPTIONS.map(({ format, label }) => (
+            <button
+              key={format}
+              onClick={() => handleSelect(format)}
+              className="block w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-blue-50"
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TableExportMenu;
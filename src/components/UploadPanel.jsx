@@ -1,138 +1,295 @@
 /**
- * @fileoverview File upload and regulation selection component
- * 
+ * @fileoverview File upload, regulation selection and evaluation queue
+ *
  * Component Purpose:
  * ----------------
- * Handles PDF file upload and regulation selection for evaluation
- * 
+ * Handles PDF selection (picker or drag-and-drop, several at once), a
+ * regulation per document, and shows the status of every queued evaluation
+ *
  * Props:
  * -----
- * - onEvaluate(file, regulation): Callback for evaluation
- * - isLoading: Loading state indicator
+ * - onEvaluate(entries): Queues [{ file, regulation }] for evaluation
+ * - onRegulationChange(regulation): Notified when the selection changes
+ * - queue: Items from useEvaluationQueue
+ * - activeItemId: Queue item currently shown in EvaluationPanel
+ * - onView(item), onCancel(id), onRetry(id), onRemove(id), onClearFinished():
+ *   Queue actions
  * - error: Error message to display
- * 
+ *
  * State:
  * -----
- * - selectedFile: Currently selected PDF file
- * - regulation: Selected regulation type
+ * - stagedFiles: Selected PDFs with their regulation, not yet queued
+ * - defaultRegulation: Regulation applied to newly added and all staged files
+ * - isDragging: Drop zone highlight
  */
 
 import { useState } from "react";
+import { REGULATIONS, getRegulation } from "../config/regulations";
 import logger from '../logger';
 
-const UploadPanel = ({ onEvaluate, isLoading, error }) => {
-  const [selectedFile, setSelectedFile] = useState(null);
-  const [regulation, setRegulation] = useState("");
+const RULE_STATUS_ICONS = {
+  pending: "⬜",
+  running: "⏳",
+  done: "✅",
+  failed: "❌",
+};
+
+const ITEM_STATUS_STYLES = {
+  queued: { label: "Queued", className: "bg-gray-100 text-gray-700 border-gray-200" },
+  running: { label: "Running", className: "bg-blue-100 text-blue-800 border-blue-200" },
+  done: { label: "Done", className: "bg-green-100 text-green-800 border-green-200" },
+  failed: { label: "Failed", className: "bg-red-100 text-red-800 border-red-200" },
+  cancelled: { label: "Cancelled", className: "bg-yellow-100 text-yellow-800 border-yellow-200" },
+};
+
+let nextStagedKey = 1;
+
+const Spinner = () => (
+  <svg className="animate-spin h-4 w-4" viewBox="0 0 24 24">
+    <circle
+      className="opacity-25"
+      cx="12"
+      cy="12"
+      r="10"
+      stroke="currentColor"
+      strokeWidth="4"
+      fill="none"
+    />
+    <path
+      className="opacity-75"
+      fill="currentColor"
+      d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
+    />
+  </svg>
+);
+
+const RegulationSelect = ({ value, onChange, placeholder, className = "" }) => (
+  <select
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    className={`border border-gray-300 rounded px-3 py-2 bg-white
+               focus:ring-2 focus:ring-blue-500 focus:border-blue-500
+               cursor-pointer shadow-sm ${className}`}
+  >
+    <option value="" disabled>{placeholder}</option>
+    {REGULATIONS.map((entry) => (
+      <option key={entry.id} value={entry.id}>{entry.label}</option>
+    ))}
+  </select>
+);
+
+const UploadPanel = ({
+  onEvaluate,
+  onRegulationChange,
+  queue = [],
+  activeItemId,
+  onView,
+  onCancel,
+  onRetry,
+  onRemove,
+  onClearFinished,
+  error,
+}) => {
+  const [stagedFiles, setStagedFiles] = useState([]);
+  const [defaultRegulation, setDefaultRegulation] = useState("");
+  const [isDragging, setIsDragging] = useState(false);
+
+  const doneItems = queue.filter((item) => item.status === "done");
+  const activeDoneIndex = doneItems.findIndex((item) => item.id === activeItemId);
+  const hasFinished = queue.some((item) => ["done", "failed", "cancelled"].includes(item.status));
+
+  /**
+   * Validates and stages selected files
+   * @param {FileList|Array<File>} fileList - Files from the picker or a drop
+   */
+  const addFiles = (fileList) => {
+    const files = Array.from(fileList ?? []);
+    if (files.length === 0) {
+      logger.warn('No file selected');
+      return;
+    }
+
+    const pdfs = files.filter((file) => file.type === "application/pdf");
+    const rejected = files.filter((file) => file.type !== "application/pdf");
+    logger.info('Files selected:', files.map((file) => file.name));
+
+    if (rejected.length > 0) {
+      alert(`Please upload valid PDF files. Skipped: ${rejected.map((file) => file.name).join(", ")}`);
+    }
+
+    setStagedFiles((prev) => [
+      ...prev,
+      ...pdfs.map((file) => ({ key: nextStagedKey++, file, regulation: defaultRegulation })),
+    ]);
+  };
 
   /**
-   * Handles file selection and validation
+   * Handles file selection from the picker
    * @param {Event} e - File input change event
    */
   const handleFileChange = (e) => {
-    const file = e.target.files?.[0];
+    addFiles(e.target.files);
+    e.target.value = "";
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    addFiles(e.dataTransfer.files);
+  };
 
-    if (file) {
-      logger.info('File selected:', file.name);
+  /**
+   * Applies a regulation to all staged files and new selections
+   * @param {string} regulation - Regulation id
+   */
+  const handleDefaultRegulationChange = (regulation) => {
+    setDefaultRegulation(regulation);
+    setStagedFiles((prev) => prev.map((staged) => ({ ...staged, regulation })));
+    onRegulationChange?.(regulation);
+  };
 
-      if (file.type !== "application/pdf") {
-        alert("Please upload a valid PDF file.");
-        return;
-      }
+  const setStagedRegulation = (key, regulation) => {
+    setStagedFiles((prev) => prev.map((staged) => (
+      staged.key === key ? { ...staged, regulation } : staged
+    )));
+    onRegulationChange?.(regulation);
+  };
 
-      setSelectedFile(file);
-    } else {
-      logger.warn('No file selected');
-    }
+  const unstageFile = (key) => {
+    setStagedFiles((prev) => prev.filter((staged) => staged.key !== key));
   };
 
   /**
-   * Validates inputs and triggers evaluation
+   * Validates inputs and queues the staged files
    */
   const handleSubmit = () => {
-    if (!selectedFile || !regulation) {
+    if (stagedFiles.length === 0 || stagedFiles.some((staged) => !staged.regulation)) {
       logger.warn('Submission attempted with missing file or regulation');
-      alert('Please upload a prospectus PDF and select a regulatory framework before proceeding.');
+      alert('Please upload a prospectus PDF and select a regulatory framework for each document before proceeding.');
       return;
     }
 
     logger.info('Submitting evaluation', {
-      file: selectedFile.name,
-      regulation
+      files: stagedFiles.map(({ file, regulation }) => ({ file: file.name, regulation })),
     });
-    onEvaluate(selectedFile, regulation);
+    onEvaluate(stagedFiles.map(({ file, regulation }) => ({ file, regulation })));
+    setStagedFiles([]);
+  };
+
+  /**
+   * Renders the progress of a running item
+   * @param {Object} item - Queue item
+   */
+  const renderProgress = (item) => {
+    const { progress } = item;
+    if (!progress?.total) {
+      return (
+        <p className="text-xs text-blue-700 mt-1">
+          {progress?.status === "queued" ? "Waiting for the evaluation service..." : "Analyzing document..."}
+        </p>
+      );
+    }
+
+    const currentRule = progress.rules.find((rule) => rule.status === "running");
+    return (
+      <div className="mt-2">
+        <div className="flex justify-between text-xs text-blue-700 mb-1">
+          <span>{currentRule ? currentRule.ruleName : "Analyzing document..."}</span>
+          <span>{progress.completed} of {progress.total} rules evaluated</span>
+        </div>
+        <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+          <div
+            className="h-full bg-blue-500 transition-all duration-300"
+            style={{ width: `${Math.round((progress.completed / progress.total) * 100)}%` }}
+          />
+        </div>
+        {progress.rules.length > 0 && (
+          <div className="flex flex-wrap gap-0.5 mt-1 text-xs">
+            {progress.rules.map((rule, idx) => (
+              <span key={idx} title={`${rule.ruleName}: ${rule.status}`}>
+                {RULE_STATUS_ICONS[rule.status] ?? RULE_STATUS_ICONS.pending}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+    );
   };
 
   return (
     <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
       <h2 className="text-lg font-semibold mb-4">Upload Issuer Prospectus</h2>
-      <input
-        type="file"
-        accept="application/pdf"
-        onChange={handleFileChange}
-        disabled={isLoading}
-        className="mb-4 block w-full text-sm text-gray-500
-            file:mr-4 file:py-2 file:px-4
-            file:rounded file:border-0
-            file:text-sm file:font-semibold
-            file:bg-blue-50 file:text-blue-700
-            hover:file:bg-blue-100
-            focus:outline-none focus:ring-2 focus:ring-blue-500"
-      />
+      <label
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDragging(true);
+        }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        className={`block border-2 border-dashed rounded-lg p-6 text-center cursor-pointer transition-colors
+          ${isDragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300 hover:border-blue-400'}`}
+      >
+        <span className="text-gray-600">
+          Drop PDF files here or <span className="text-blue-700 font-semibold">browse</span>
+        </span>
+        <input
+          type="file"
+          accept="application/pdf"
+          multiple
+          onChange={handleFileChange}
+          className="hidden"
+        />
+      </label>
 
       <h2 className="text-lg font-semibold mt-6 mb-2">
         Select Target Regulation
       </h2>
-      <div className="relative max-w-md">
-        <select
-          value={regulation}
-          onChange={(e) => setRegulation(e.target.value)}
-          className="border border-gray-300 rounded px-3 py-2.5 w-full bg-white 
-                   focus:ring-2 focus:ring-blue-500 focus:border-blue-500 
-                   appearance-none cursor-pointer shadow-sm"
-        >
-          <option value="" disabled>Select Regulatory Framework</option>
-          <option value="ERISA">ERISA</option>
-          <option value="MIFID II">MIFID II</option>
-          <option value="HIPAA">HIPAA</option>
-        </select>
-        <div className="absolute inset-y-0 right-0 flex items-center px-2 pointer-events-none">
-          <svg className="w-4 h-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7" />
-          </svg>
-        </div>
+      <div className="max-w-md">
+        <RegulationSelect
+          value={defaultRegulation}
+          onChange={handleDefaultRegulationChange}
+          placeholder="Select Regulatory Framework"
+          className="w-full py-2.5"
+        />
+        {stagedFiles.length > 1 && (
+          <p className="text-xs text-gray-500 mt-1">Applies to all documents below; change individual ones as needed.</p>
+        )}
       </div>
 
+      {stagedFiles.length > 0 && (
+        <ul className="mt-4 divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {stagedFiles.map((staged) => (
+            <li key={staged.key} className="flex items-center gap-3 px-3 py-2">
+              <span className="flex-1 truncate text-sm text-gray-800" title={staged.file.name}>
+                📄 {staged.file.name}
+              </span>
+              <RegulationSelect
+                value={staged.regulation}
+                onChange={(regulation) => setStagedRegulation(staged.key, regulation)}
+                placeholder="Regulation"
+                className="text-sm py-1"
+              />
+              <button
+                onClick={() => unstageFile(staged.key)}
+                className="text-gray-400 hover:text-red-600"
+                aria-label={`Remove ${staged.file.name}`}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
       <button
-        className="mt-6 px-6 py-2.5 bg-gradient-to-r from-blue-600 to-blue-700 
-                   text-white rounded-lg hover:from-blue-700 hover:to-blue-800 
-                   transition-colors shadow-sm disabled:opacity-50 
+        className="mt-6 px-6 py-2.5 bg-gradient-to-r from-blue-600 to-blue-700
+                   text-white rounded-lg hover:from-blue-700 hover:to-blue-800
+                   transition-colors shadow-sm disabled:opacity-50
                    disabled:cursor-not-allowed flex items-center justify-center gap-2"
         onClick={handleSubmit}
-        disabled={isLoading}
+        disabled={stagedFiles.length === 0}
       >
-        {isLoading ? (
-          <>
-            <svg className="animate-spin h-5 w-5" viewBox="0 0 24 24">
-              <circle
-                className="opacity-25"
-                cx="12"
-                cy="12"
-                r="10"
-                stroke="currentColor"
-                strokeWidth="4"
-                fill="none"
-              />
-              <path
-                className="opacity-75"
-                fill="currentColor"
-                d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
-              />
-            </svg>
-            <span>Processing...</span>
-          </>
-        ) : (
-          'Evaluate Compliance'
-        )}
+        {stagedFiles.length > 1 ? `Evaluate ${stagedFiles.length} Documents` : 'Evaluate Compliance'}
       </button>
 
       {error && (
@@ -141,29 +298,107 @@ const UploadPanel = ({ onEvaluate, isLoading, error }) => {
         </div>
       )}
 
-      {isLoading && (
-        <div className="mt-4 text-sm text-blue-600 bg-blue-50 p-3 rounded-lg border border-blue-200 flex items-center gap-2">
-          <svg className="animate-spin h-5 w-5" viewBox="0 0 24 24">
-            <circle
-              className="opacity-25"
-              cx="12"
-              cy="12"
-              r="10"
-              stroke="currentColor"
-              strokeWidth="4"
-              fill="none"
-            />
-            <path
-              className="opacity-75"
-              fill="currentColor"
-              d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
-            />
-          </svg>
-          Analyzing document...
+      {queue.length > 0 && (
+        <div className="mt-6">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="font-semibold text-gray-800">Evaluations</h3>
+            <div className="flex items-center gap-2 text-sm">
+              {doneItems.length > 1 && (
+                <>
+                  <button
+                    onClick={() => onView(doneItems[Math.max(0, activeDoneIndex - 1)])}
+                    disabled={activeDoneIndex <= 0}
+                    className="px-2 py-1 bg-gray-200 rounded disabled:opacity-50"
+                    aria-label="Previous result"
+                  >
+                    ⬅
+                  </button>
+                  <span className="text-gray-600">
+                    Result {activeDoneIndex + 1 || "–"} of {doneItems.length}
+                  </span>
+                  <button
+                    onClick={() => onView(doneItems[Math.min(doneItems.length - 1, activeDoneIndex + 1)])}
+                    disabled={activeDoneIndex === doneItems.length - 1}
+                    className="px-2 py-1 bg-gray-200 rounded disabled:opacity-50"
+                    aria-label="Next result"
+                  >
+                    ➡
+                  </button>
+                </>
+              )}
+              {hasFinished && (
+                <button onClick={onClearFinished} className="text-gray-500 hover:text-gray-800 ml-2">
+                  Clear finished
+                </button>
+              )}
+            </div>
+          </div>
+
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+            {queue.map((item) => {
+              const status = ITEM_STATUS_STYLES[item.status];
+              return (
+                <li
+                  key={item.id}
+                  className={`px-3 py-2 ${item.id === activeItemId ? 'bg-blue-50' : ''}`}
+                >
+                  <div className="flex items-center gap-3">
+                    <span className="flex-1 truncate text-sm text-gray-800" title={item.fileName}>
+                      {item.fileName}
+                    </span>
+                    <span className="text-xs text-gray-500">
+                      {getRegulation(item.regulation)?.label ?? item.regulation}
+                    </span>
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium border flex items-center gap-1 ${status.className}`}>
+                      {item.status === "running" && <Spinner />}
+                      {status.label}
+                    </span>
+                    {item.status === "done" && (
+                      <button
+                        onClick={() => onView(item)}
+                        className="text-sm text-blue-600 hover:text-blue-800"
+                      >
+                        View
+                      </button>
+                    )}
+                    {(item.status === "queued" || item.status === "running") && (
+                      <button
+                        onClick={() => onCancel(item.id)}
+                        className="text-sm text-gray-600 hover:text-red-600"
+                      >
+                        Cancel
+                      </button>
+                    )}
+                    {(item.status === "failed" || item.status === "cancelled") && (
+                      <button
+                        onClick={() => onRetry(item.id)}
+                        className="text-sm text-blue-600 hover:text-blue-800"
+                      >
+                        Retry
+                      </button>
+                    )}
+                    {item.status !== "running" && item.status !== "queued" && (
+                      <button
+                        onClick={() => onRemove(item.id)}
+                        className="text-gray-400 hover:text-red-600"
+                        aria-label={`Remove ${item.fileName} from list`}
+                      >
+                        ✕
+                      </button>
+                    )}
+                  </div>
+                  {item.status === "running" && renderProgress(item)}
+                  {item.status === "failed" && item.error && (
+                    <p className="text-xs text-red-600 mt-1">{item.error}</p>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
         </div>
       )}
     </div>
   );
 };
 
-export default UploadPanel;
\ No newline at end of file
+export default UploadPanel;
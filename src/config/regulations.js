@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Registry of supported regulatory frameworks
+ *
+ * Each entry describes how to evaluate a document against one framework:
+ * - id: Value stored with evaluations and sent to the backend form
+ * - label: Name shown in selectors
+ * - title: Application header while the framework is active
+ * - endpoint: Backend path receiving the evaluation request
+ * - requestFields: Extra form fields sent alongside the PDF
+ * - resultSchemas: Result formats (see utils/resultSchema) the endpoint returns
+ * - decisionField: final_decision key holding the eligibility boolean
+ * - decisionLabel: Headline for the final decision in EvaluationPanel
+ * - decisionSignals: Optional rule findings arguing for or against
+ *   eligibility, { for: { field: value }, against: { field: value } };
+ *   rules contradicting the decision are flagged (see utils/decisionGraph)
+ */
+
+export const DEFAULT_TITLE = "Regulation Evaluator";
+
+export const REGULATIONS = [
+  {
+    id: "ERISA",
+    label: "ERISA",
+    title: "ERISA Eligibility",
+    endpoint: "/evaluate-erisa",
+    requestFields: { regulation: "ERISA" },
+    resultSchemas: ["rules-v1", "steps-v0"],
+    decisionField: "isERISAEligible",
+    decisionLabel: "ERISA Eligible",
+    decisionSignals: {
+      for: {
+        planAssetExceptionAvailable: true,
+        hasProhibitedTransactionExemptions: true,
+      },
+      against: {
+        isExplicitlyExcluded: true,
+        hasUnconditionalDomicileRestrictions: true,
+        planAssetExceptionAvailable: false,
+      },
+    },
+  },
+  {
+    id: "MIFID II",
+    label: "MIFID II",
+    title: "MiFID II Eligibility",
+    endpoint: "/evaluate-mifid",
+    requestFields: { regulation: "MIFID_II" },
+    resultSchemas: ["rules-v1"],
+    decisionField: "isMiFIDEligible",
+    decisionLabel: "MiFID II Eligible",
+  },
+  {
+    id: "HIPAA",
+    label: "HIPAA",
+    title: "HIPAA Compliance",
+    endpoint: "/evaluate-hipaa",
+    requestFields: { regulation: "HIPAA" },
+    resultSchemas: ["rules-v1"],
+    decisionField: "isHIPAACompliant",
+    decisionLabel: "HIPAA Compliant",
+  },
+];
+
+/**
+ * Looks up a framework by id
+ * @param {string} id - Regulation id
+ * @returns {Object|null} Registry entry
+ */
+export const getRegulation = (id) =>
+  REGULATIONS.find((regulation) => regulation.id === id) ?? null;
+
+/**
+ * Finds the framework whose decision field appears in a final decision
+ * Used for results imported without a recorded regulation
+ * @param {Object} finalDecision - Result final_decision
+ * @returns {Object|null} Registry entry
+ */
+export const inferRegulation = (finalDecision) => {
+  if (!finalDecision) return null;
+  return REGULATIONS.find((regulation) => regulation.decisionField in finalDecision) ?? null;
+};
+
+/**
+ * Reads the eligibility boolean for a framework
+ * @param {Object} regulation - Registry entry
+ * @param {Object} finalDecision - Result final_decision
+ * @returns {boolean|null} Decision or null when absent
+ */
+export const getEligibility = (regulation, finalDecision) => {
+  if (!regulation || !finalDecision) return null;
+  const value = finalDecision[regulation.decisionField];
+  return typeof value === "boolean" ? value : null;
+};
+
+/**
+ * Builds the multipart body for an evaluation request
+ * @param {Object} regulation - Registry entry
+ * @param {File} file - PDF to evaluate
+ * @returns {FormData} Request body
+ */
+export const buildEvaluationForm = (regulation, file) => {
+  const formData = new FormData();
+  formData.append("file", file);
+  Object.entries(regulation.requestFields).forEach(([key, value]) => {
+    formData.append(key, value);
+  });
+  return formData;
+};
+
+/**
+ * Confirms a normalized result belongs to the requested framework
+ * Guards against an endpoint silently answering for another regulation
+ * @param {Object} regulation - Registry entry
+ * @param {Object} result - Canonical result
+ * @returns {Array<string>} Mismatch descriptions, empty when valid
+ */
+export const checkResultForRegulation = (regulation, result) => {
+  const issues = [];
+  if (!regulation.resultSchemas.includes(result.schemaVersion)) {
+    issues.push(`${result.schemaVersion} results are not expected for ${regulation.label}`);
+  }
+  if (result.final_decision && !(regulation.decisionField in result.final_decision)) {
+    const answered = inferRegulation(result.final_decision);
+    issues.push(answered
+      ? `the result contains a ${answered.label} decision instead of ${regulation.label}`
+      : `the result has no ${regulation.decisionField} decision`);
+  }
+  return issues;
+};
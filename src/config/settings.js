@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Runtime settings resolution
+ *
+ * Settings are layered, later sources overriding earlier ones:
+ * 1. Build-time Vite env variables (VITE_API_BASE_URL, VITE_REQUEST_TIMEOUT_MS,
+ *    VITE_EVALUATION_PROTOCOL, VITE_POLL_INTERVAL_MS,
+ *    VITE_MAX_CONCURRENT_EVALUATIONS, VITE_MOCK_MODE, VITE_MOCK_FIXTURE,
+ *    VITE_LOG_LEVEL, VITE_CONFIDENCE_LOW, VITE_CONFIDENCE_HIGH)
+ * 2. Optional /config.json served next to index.html, editable per deployment
+ *    without rebuilding
+ * 3. User overrides saved from the Settings page in localStorage
+ */
+
+const STORAGE_KEY = "regulation-evaluator.settings";
+
+export const LOG_LEVELS = ["trace", "debug", "info", "warn", "error", "silent"];
+
+// See services/evaluationApi for the protocol descriptions
+export const EVALUATION_PROTOCOLS = ["sync", "jobs"];
+
+// Bundled result fixtures usable in mock mode, loaded on demand
+const FIXTURE_LOADERS = import.meta.glob("../data/*.json", { import: "default" });
+
+export const FIXTURES = Object.keys(FIXTURE_LOADERS)
+  .map((path) => path.split("/").pop())
+  .sort();
+
+const env = import.meta.env;
+
+// Used where neither env, config.json nor the user sets a valid value
+const DEFAULT_SETTINGS = {
+  apiBaseUrl: "http://localhost:8000",
+  requestTimeoutMs: 10 * 60 * 1000,
+  evaluationProtocol: "sync",
+  pollIntervalMs: 2000,
+  maxConcurrentEvaluations: 2,
+  mockMode: false,
+  mockFixture: "nordea_llm_result_v1.json",
+  logLevel: "info",
+  // Lower bounds of the medium and high final decision confidence bands
+  confidenceLow: 0.6,
+  confidenceHigh: 0.8,
+  // Identifies the person using this browser in reviews and the audit log
+  reviewerName: "",
+};
+
+/**
+ * Keeps only known settings with values of the expected type
+ * Invalid entries are dropped so a bad config.json cannot break the app
+ * @param {Object} values - Candidate settings
+ * @returns {Object} Valid subset
+ */
+export const sanitizeSettings = (values) => {
+  if (!values || typeof values !== "object") return {};
+  const valid = {};
+
+  if (typeof values.apiBaseUrl === "string" && values.apiBaseUrl.trim()) {
+    valid.apiBaseUrl = values.apiBaseUrl.trim().replace(/\/+$/, "");
+  }
+  const timeout = Number(values.requestTimeoutMs);
+  if (Number.isFinite(timeout) && timeout > 0) {
+    valid.requestTimeoutMs = timeout;
+  }
+  if (EVALUATION_PROTOCOLS.includes(values.evaluationProtocol)) {
+    valid.evaluationProtocol = values.evaluationProtocol;
+  }
+  const pollInterval = Number(values.pollIntervalMs);
+  if (Number.isFinite(pollInterval) && pollInterval >= 250) {
+    valid.pollIntervalMs = pollInterval;
+  }
+  const concurrency = Number(values.maxConcurrentEvaluations);
+  if (Number.isInteger(concurrency) && concurrency >= 1) {
+    valid.maxConcurrentEvaluations = concurrency;
+  }
+  if (typeof values.mockMode === "boolean") {
+    valid.mockMode = values.mockMode;
+  }
+  if (FIXTURES.includes(values.mockFixture)) {
+    valid.mockFixture = values.mockFixture;
+  }
+  if (LOG_LEVELS.includes(values.logLevel)) {
+    valid.logLevel = values.logLevel;
+  }
+  if (typeof values.confidenceLow === "number" && values.confidenceLow >= 0 && values.confidenceLow <= 1) {
+    valid.confidenceLow = values.confidenceLow;
+  }
+  if (typeof values.confidenceHigh === "number" && values.confidenceHigh >= 0 && values.confidenceHigh <= 1) {
+    valid.confidenceHigh = values.confidenceHigh;
+  }
+  if (valid.confidenceLow > valid.confidenceHigh) {
+    [valid.confidenceLow, valid.confidenceHigh] = [valid.confidenceHigh, valid.confidenceLow];
+  }
+  if (typeof values.reviewerName === "string") {
+    valid.reviewerName = values.reviewerName.trim();
+  }
+  return valid;
+};
+
+/**
+ * Reads a numeric env variable
+ * Unset, empty or non-numeric values are left out; range checks are left
+ * to sanitizeSettings
+ * @param {string|undefined} value - Raw env value
+ * @returns {number|undefined}
+ */
+const readEnvNumber = (value) => {
+  const number = Number(value);
+  return value?.trim() && Number.isFinite(number) ? number : undefined;
+};
+
+// Env values are sanitized like the other layers; invalid ones fall back to the defaults
+export const ENV_SETTINGS = {
+  ...DEFAULT_SETTINGS,
+  ...sanitizeSettings({
+    apiBaseUrl: env.VITE_API_BASE_URL,
+    requestTimeoutMs: readEnvNumber(env.VITE_REQUEST_TIMEOUT_MS),
+    evaluationProtocol: env.VITE_EVALUATION_PROTOCOL,
+    pollIntervalMs: readEnvNumber(env.VITE_POLL_INTERVAL_MS),
+    maxConcurrentEvaluations: readEnvNumber(env.VITE_MAX_CONCURRENT_EVALUATIONS),
+    mockMode: env.VITE_MOCK_MODE === undefined ? undefined : env.VITE_MOCK_MODE === "true",
+    mockFixture: env.VITE_MOCK_FIXTURE,
+    logLevel: env.VITE_LOG_LEVEL,
+    confidenceLow: readEnvNumber(env.VITE_CONFIDENCE_LOW),
+    confidenceHigh: readEnvNumber(env.VITE_CONFIDENCE_HIGH),
+  }),
+};
+
+/**
+ * Puts the confidence band bounds in order
+ * Each settings layer is sanitized on its own, so bounds from different
+ * layers can still be inverted once merged
+ * @param {Object} settings - Merged settings
+ * @returns {Object} Settings with confidenceLow <= confidenceHigh
+ */
+export const orderConfidenceBands = (settings) =>
+  settings.confidenceLow > settings.confidenceHigh
+    ? { ...settings, confidenceLow: settings.confidenceHigh, confidenceHigh: settings.confidenceLow }
+    : settings;
+
+/**
+ * Fetches the optional deployment config.json
+ * @returns {Promise<Object>} Sanitized settings, empty when the file is absent
+ */
+export const loadRuntimeConfig = async () => {
+  const response = await fetch(`${env.BASE_URL}config.json`, { cache: "no-store" });
+  if (!response.ok) return {};
+
+  // Dev servers answer unknown paths with index.html
+  if (!response.headers.get("content-type")?.includes("json")) return {};
+  return sanitizeSettings(await response.json());
+};
+
+/**
+ * Reads user overrides saved from the Settings page
+ * @returns {Object} Sanitized overrides
+ */
+export const loadStoredSettings = () => {
+  try {
+    return sanitizeSettings(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Saves user overrides
+ * @param {Object} overrides - Settings differing from the deployment defaults
+ */
+export const storeSettings = (overrides) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(sanitizeSettings(overrides)));
+};
+
+/**
+ * Removes all user overrides
+ */
+export const clearStoredSettings = () => {
+  localStorage.removeItem(STORAGE_KEY);
+};
+
+/**
+ * Loads a bundled fixture by file name
+ * @param {string} name - Fixture file name, e.g. "nordea_llm_result_v1.json"
+ * @returns {Promise<Object>} Fixture contents
+ */
+export const loadFixture = async (name) => {
+  const loader = FIXTURE_LOADERS[`../data/${name}`];
+  if (!loader) throw new Error(`Unknown mock fixture: ${name}`);
+  return loader();
+};
@@ -0,0 +1,60 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+
+/**
+ * Loads the settings module with the given env variables
+ * @param {Object<string, string>} variables - VITE_* values
+ * @returns {Promise<Object>} Module exports
+ */
+const loadWithEnv = async (variables) => {
+  Object.entries(variables).forEach(([name, value]) => vi.stubEnv(name, value));
+  vi.resetModules();
+  return import("./settings");
+};
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+});
+
+describe("ENV_SETTINGS", () => {
+  it("uses valid env values", async () => {
+    const { ENV_SETTINGS } = await loadWithEnv({
+      VITE_API_BASE_URL: "https://api.example.com/",
+      VITE_REQUEST_TIMEOUT_MS: "30000",
+      VITE_EVALUATION_PROTOCOL: "jobs",
+      VITE_MAX_CONCURRENT_EVALUATIONS: "4",
+      VITE_MOCK_MODE: "true",
+      VITE_LOG_LEVEL: "debug",
+      VITE_CONFIDENCE_LOW: "0",
+    });
+
+    expect(ENV_SETTINGS).toMatchObject({
+      apiBaseUrl: "https://api.example.com",
+      requestTimeoutMs: 30000,
+      evaluationProtocol: "jobs",
+      maxConcurrentEvaluations: 4,
+      mockMode: true,
+      logLevel: "debug",
+      confidenceLow: 0,
+    });
+  });
+
+  it("falls back to the defaults for invalid env values", async () => {
+    const { ENV_SETTINGS } = await loadWithEnv({
+      VITE_REQUEST_TIMEOUT_MS: "0",
+      VITE_POLL_INTERVAL_MS: "100",
+      VITE_MAX_CONCURRENT_EVALUATIONS: "0",
+      VITE_EVALUATION_PROTOCOL: "websocket",
+      VITE_LOG_LEVEL: "verbose",
+      VITE_CONFIDENCE_HIGH: "high",
+    });
+
+    expect(ENV_SETTINGS).toMatchObject({
+      requestTimeoutMs: 10 * 60 * 1000,
+      pollIntervalMs: 2000,
+      maxConcurrentEvaluations: 2,
+      evaluationProtocol: "sync",
+      logLevel: "info",
+      confidenceHigh: 0.8,
+    });
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Keyboard shortcuts of the review screen
+ *
+ * Listed in the cheat-sheet opened with "?" (ShortcutHelp). Each entry
+ * documents keys handled by useKeyboardShortcuts in the component named:
+ * - EvaluationPanel: rule and evidence navigation
+ * - ReviewControls: review decisions
+ * - AdvancedPDFViewer: search and zoom
+ * - RunEvaluationPage and ShortcutHelp: the cheat-sheet itself
+ */
+
+export const SHORTCUT_GROUPS = [
+  {
+    title: "Rules",
+    shortcuts: [
+      { keys: ["j"], description: "Next rule" },
+      { keys: ["k"], description: "Previous rule" },
+    ],
+  },
+  {
+    title: "Evidence",
+    shortcuts: [
+      { keys: ["n"], description: "Next evidence of the rule, shown in the PDF" },
+      { keys: ["p"], description: "Previous evidence of the rule, shown in the PDF" },
+    ],
+  },
+  {
+    title: "Review",
+    shortcuts: [
+      { keys: ["a"], description: "Accept the rule or decision shown" },
+      { keys: ["r"], description: "Reject the rule or decision shown" },
+    ],
+  },
+  {
+    title: "PDF",
+    shortcuts: [
+      { keys: ["/"], description: "Search the document" },
+      { keys: ["+"], description: "Zoom in" },
+      { keys: ["-"], description: "Zoom out" },
+    ],
+  },
+  {
+    title: "Help",
+    shortcuts: [
+      { keys: ["?"], description: "Show or hide this list" },
+      { keys: ["Esc"], description: "Close this list" },
+    ],
+  },
+];
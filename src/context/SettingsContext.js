@@ -0,0 +1,16 @@
+import { createContext, useContext } from "react";
+
+export const SettingsContext = createContext(null);
+
+/**
+ * Accesses resolved settings and their update functions
+ * @returns {{ settings: Object, defaults: Object, overrides: Object,
+ *   updateSettings: Function, resetSettings: Function }}
+ */
+export const useSettings = () => {
+  const context = useContext(SettingsContext);
+  if (!context) {
+    throw new Error("useSettings must be used inside a SettingsProvider.");
+  }
+  return context;
+};
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Provides layered runtime settings to the component tree
+ *
+ * Env defaults are available immediately; config.json is merged in once it
+ * loads. User overrides always win and are persisted in localStorage.
+ */
+
+import { useCallback, useEffect, useMemo, useState } from "react";
+import {
+  ENV_SETTINGS,
+  clearStoredSettings,
+  loadRuntimeConfig,
+  loadStoredSettings,
+  orderConfidenceBands,
+  storeSettings,
+} from "../config/settings";
+import { SettingsContext } from "./SettingsContext";
+import logger from '../logger';
+
+const SettingsProvider = ({ children }) => {
+  const [runtimeConfig, setRuntimeConfig] = useState({});
+  const [overrides, setOverrides] = useState(loadStoredSettings);
+
+  useEffect(() => {
+    loadRuntimeConfig()
+      .then((config) => {
+        if (Object.keys(config).length > 0) {
+          logger.info('Runtime config.json loaded', config);
+        }
+        setRuntimeConfig(config);
+      })
+      .catch((err) => logger.warn('Could not load runtime config.json', err));
+  }, []);
+
+  const defaults = useMemo(() => orderConfidenceBands({ ...ENV_SETTINGS, ...runtimeConfig }), [runtimeConfig]);
+  const settings = useMemo(() => orderConfidenceBands({ ...defaults, ...overrides }), [defaults, overrides]);
+
+  // Keep loglevel in sync with the active setting
+  useEffect(() => {
+    logger.setLevel(settings.logLevel);
+  }, [settings.logLevel]);
+
+  /**
+   * Saves changed settings as user overrides
+   * Values equal to the deployment defaults are not stored, so later
+   * config.json changes still apply to them
+   * @param {Object} values - Complete or partial settings
+   */
+  const updateSettings = useCallback((values) => {
+    setOverrides((prev) => {
+      const next = { ...prev, ...values };
+      Object.keys(next).forEach((key) => {
+        if (next[key] === defaults[key]) delete next[key];
+      });
+      storeSettings(next);
+      logger.info('Settings updated', next);
+      return next;
+    });
+  }, [defaults]);
+
+  /**
+   * Drops all user overrides
+   */
+  const resetSettings = useCallback(() => {
+    clearStoredSettings();
+    setOverrides({});
+    logger.info('Settings reset to deployment defaults');
+  }, []);
+
+  const value = useMemo(
+    () => ({ settings, defaults, overrides, updateSettings, resetSettings }),
+    [settings, defaults, overrides, updateSettings, resetSettings]
+  );
+
+  return (
+    <SettingsContext.Provider value={value}>
+      {children}
+    </SettingsContext.Provider>
+  );
+};
+
+export default SettingsProvider;
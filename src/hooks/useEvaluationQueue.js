@@ -0,0 +1,399 @@
+/**
+ * @fileoverview Concurrency-limited queue of document evaluations
+ *
+ * Item Lifecycle:
+ * --------------
+ * queued -> running -> done | failed | cancelled
+ * failed and cancelled items can be retried, which puts them back in queue.
+ *
+ * Item shape:
+ * - id: Queue-local identifier
+ * - file: Source PDF (File or stored Blob)
+ * - fileName, fileSize: Source document metadata
+ * - fileHash: SHA-256 of the source document, null if it could not be read
+ * - regulation: Regulation id
+ * - status: See lifecycle above
+ * - progress: Per-rule progress while running
+ * - error: Failure message
+ * - jobId, apiBaseUrl: Backend job when using the jobs protocol
+ * - result: Canonical result once done
+ * - evaluationId: History record id once saved
+ *
+ * Jobs left pending by a previous page load are re-queued on mount and
+ * continue polling instead of being resubmitted.
+ *
+ * Uploads, completed evaluations (with backend metadata) and failures are
+ * recorded in the audit log.
+ */
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import { checkResultForRegulation, getEligibility, getRegulation } from "../config/regulations";
+import { useSettings } from "../context/SettingsContext";
+import { recordAuditEvent } from "../services/auditLog";
+import {
+  EvaluationJobError,
+  cancelEvaluationJob,
+  evaluateDocument,
+  isAbortError,
+  pollEvaluationJob,
+} from "../services/evaluationApi";
+import { saveEvaluation } from "../services/evaluationStore";
+import { deletePendingJob, listPendingJobs, savePendingJob } from "../services/pendingJobStore";
+import { sha256Hex } from "../utils/fileHash";
+import { normalizeResult } from "../utils/resultSchema";
+import logger from '../logger';
+
+let nextItemId = 1;
+
+/**
+ * Creates a queued item
+ * @param {Object} fields - Item fields besides id and status
+ * @returns {Object} Queue item
+ */
+const createItem = (fields) => ({
+  id: `item-${nextItemId++}`,
+  status: "queued",
+  progress: null,
+  error: null,
+  jobId: null,
+  apiBaseUrl: null,
+  fileHash: null,
+  result: null,
+  evaluationId: null,
+  ...fields,
+});
+
+/**
+ * Removes a job from the pending store, logging failures
+ * @param {string} jobId - Backend job id
+ */
+const forgetJob = async (jobId) => {
+  if (!jobId) return;
+  try {
+    await deletePendingJob(jobId);
+  } catch (err) {
+    logger.warn('Failed to remove pending job', { jobId, error: err });
+  }
+};
+
+/**
+ * Cancels the backend job a dropped item still owns and forgets it
+ * Failed items keep their job so a retry can continue polling it
+ * @param {Object} item - Queue item
+ * @param {Object} settings - Active settings
+ */
+const abandonJob = (item, settings) => {
+  if (!item.jobId) return;
+  cancelEvaluationJob({
+    settings: { ...settings, apiBaseUrl: item.apiBaseUrl ?? settings.apiBaseUrl },
+    jobId: item.jobId,
+  });
+  forgetJob(item.jobId);
+};
+
+/**
+ * @param {Object} [options]
+ * @param {Function} [options.onItemComplete] - Called with each item that finishes
+ * @returns {{ items: Array, enqueue: Function, cancel: Function, retry: Function,
+ *   remove: Function, clearFinished: Function }}
+ */
+const useEvaluationQueue = ({ onItemComplete } = {}) => {
+  const { settings } = useSettings();
+  const [items, setItems] = useState([]);
+  const runningRef = useRef(new Map());            // id -> { controller, jobId, cancelRequested }
+  const settingsRef = useRef(settings);
+  const onItemCompleteRef = useRef(onItemComplete);
+
+  useEffect(() => {
+    settingsRef.current = settings;
+    onItemCompleteRef.current = onItemComplete;
+  });
+
+  const updateItem = useCallback((id, changes) => {
+    setItems((prev) => prev.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+  }, []);
+
+  /**
+   * Evaluates one item, or resumes polling its backend job
+   * @param {Object} item - Queue item
+   */
+  const runItem = useCallback(async (item) => {
+    const settings = settingsRef.current;
+    const regulation = getRegulation(item.regulation);
+    if (!regulation) {
+      updateItem(item.id, { status: "failed", error: `Unsupported regulation: ${item.regulation}` });
+      return;
+    }
+
+    const controller = new AbortController();
+    const entry = { controller, jobId: item.jobId, cancelRequested: false };
+    runningRef.current.set(item.id, entry);
+    const onProgress = (progress) => updateItem(item.id, { progress });
+    const startedAt = Date.now();
+    let isJobConsumed = false; // Result fetched, so the job is gone from the backend
+
+    logger.info('Starting evaluation', {
+      file: item.fileName,
+      regulation: regulation.id,
+      mode: settings.mockMode ? 'mock' : 'production',
+      resumedJob: item.jobId,
+    });
+
+    try {
+      const result = item.jobId
+        ? await pollEvaluationJob({
+          settings: { ...settings, apiBaseUrl: item.apiBaseUrl ?? settings.apiBaseUrl },
+          jobId: item.jobId,
+          signal: controller.signal,
+          onProgress,
+        })
+        : await evaluateDocument({
+          settings,
+          regulation,
+          file: item.file,
+          signal: controller.signal,
+          onProgress,
+          onJobSubmitted: async (jobId) => {
+            entry.jobId = jobId;
+            updateItem(item.id, { jobId, apiBaseUrl: settings.apiBaseUrl });
+            await savePendingJob({
+              jobId,
+              regulation: regulation.id,
+              fileName: item.fileName,
+              fileSize: item.fileSize,
+              fileHash: item.fileHash,
+              pdf: item.file,
+              apiBaseUrl: settings.apiBaseUrl,
+            });
+          },
+        });
+      await forgetJob(entry.jobId);
+      isJobConsumed = true;
+
+      const normalized = normalizeResult(result);
+      const mismatches = checkResultForRegulation(regulation, normalized);
+      if (mismatches.length > 0) {
+        logger.error('Result does not match selected regulation', { regulation: regulation.id, mismatches });
+        throw new Error(`The ${regulation.label} evaluation returned an unexpected result: ${mismatches.join("; ")}.`);
+      }
+
+      let evaluationId = null;
+      try {
+        evaluationId = await saveEvaluation({
+          fileName: item.fileName,
+          fileSize: item.fileSize,
+          fileHash: item.fileHash,
+          pdf: item.file,
+          regulation: regulation.id,
+          result,
+        });
+      } catch (err) {
+        // Persistence failures never fail the evaluation
+        logger.error('Failed to save evaluation to history', { error: err });
+      }
+
+      logger.info('Evaluation completed', { file: item.fileName, regulation: regulation.id });
+      recordAuditEvent({
+        type: "evaluation.completed",
+        actor: settings.reviewerName,
+        evaluationId,
+        fileName: item.fileName,
+        fileHash: item.fileHash,
+        details: {
+          regulation: regulation.id,
+          source: settings.mockMode ? `mock:${settings.mockFixture}` : `${settings.apiBaseUrl}${regulation.endpoint}`,
+          protocol: entry.jobId ? "jobs" : "sync",
+          jobId: entry.jobId,
+          resumed: Boolean(item.jobId),
+          durationMs: Date.now() - startedAt,
+          schemaVersion: normalized.schemaVersion,
+          ruleCount: normalized.rules.length,
+          finalDecision: getEligibility(regulation, normalized.final_decision),
+          confidenceScore: normalized.final_decision?.confidenceScore ?? null,
+        },
+      });
+      const completed = { ...item, status: "done", progress: null, jobId: null, result: normalized, evaluationId };
+      updateItem(item.id, completed);
+      onItemCompleteRef.current?.(completed);
+    } catch (err) {
+      if (isAbortError(err)) {
+        // Unmounting stops polling but keeps the job for the next page load
+        if (!entry.cancelRequested) return;
+        if (entry.jobId) {
+          await cancelEvaluationJob({
+            settings: { ...settings, apiBaseUrl: item.apiBaseUrl ?? settings.apiBaseUrl },
+            jobId: entry.jobId,
+          });
+        }
+        await forgetJob(entry.jobId);
+        updateItem(item.id, { status: "cancelled", progress: null, jobId: null });
+        logger.info('Evaluation cancelled by user', { file: item.fileName });
+        return;
+      }
+
+      // Jobs that failed remotely or whose result was already fetched cannot
+      // be resumed, so a retry resubmits; transport errors keep the job so a
+      // retry continues polling it
+      const jobFailed = err instanceof EvaluationJobError;
+      if (jobFailed) await forgetJob(entry.jobId);
+      const canResumeJob = !jobFailed && !isJobConsumed;
+
+      logger.error('Evaluation error', { file: item.fileName, error: err, issues: err.issues });
+      recordAuditEvent({
+        type: "evaluation.failed",
+        actor: settings.reviewerName,
+        fileName: item.fileName,
+        fileHash: item.fileHash,
+        details: {
+          regulation: regulation.id,
+          error: err.message,
+          status: err.status ?? null,
+          jobId: entry.jobId,
+        },
+      });
+      updateItem(item.id, {
+        status: "failed",
+        progress: null,
+        error: err.message || "Analysis failed. Please try again.",
+        jobId: canResumeJob ? entry.jobId : null,
+      });
+    } finally {
+      runningRef.current.delete(item.id);
+    }
+  }, [updateItem]);
+
+  // Start queued items while below the concurrency limit
+  useEffect(() => {
+    const running = items.filter((item) => item.status === "running").length;
+    const available = settings.maxConcurrentEvaluations - running;
+    if (available <= 0) return;
+
+    items
+      .filter((item) => item.status === "queued")
+      .slice(0, available)
+      .forEach((item) => {
+        updateItem(item.id, { status: "running", error: null });
+        runItem(item);
+      });
+  }, [items, settings.maxConcurrentEvaluations, updateItem, runItem]);
+
+  // Re-queue jobs from a previous page load; stop polling on unmount
+  useEffect(() => {
+    let ignore = false;
+    const running = runningRef.current;
+
+    listPendingJobs()
+      .then((jobs) => {
+        if (ignore || jobs.length === 0) return;
+        logger.info('Resuming pending evaluation jobs', { count: jobs.length });
+        setItems((prev) => [
+          ...prev,
+          ...jobs
+            .filter((job) => !prev.some((item) => item.jobId === job.jobId))
+            .map((job) => createItem({
+              file: job.pdf,
+              fileName: job.fileName,
+              fileSize: job.fileSize,
+              fileHash: job.fileHash ?? null,
+              regulation: job.regulation,
+              jobId: job.jobId,
+              apiBaseUrl: job.apiBaseUrl,
+            })),
+        ]);
+      })
+      .catch((err) => logger.error('Failed to resume pending jobs', err));
+
+    return () => {
+      ignore = true;
+      running.forEach((entry) => {
+        if (entry.jobId) entry.controller.abort();
+      });
+    };
+  }, []);
+
+  /**
+   * Adds documents to the queue once their hashes are known
+   * @param {Array<{file: File, regulation: string}>} entries - Documents to evaluate
+   * @returns {Promise<void>}
+   */
+  const enqueue = useCallback(async (entries) => {
+    const added = [];
+    // One at a time, so only one document is held in memory for hashing
+    for (const { file, regulation } of entries) {
+      let fileHash = null;
+      try {
+        fileHash = await sha256Hex(file);
+      } catch (err) {
+        logger.warn('Failed to hash uploaded document', { file: file.name, error: err });
+      }
+      recordAuditEvent({
+        type: "document.uploaded",
+        actor: settingsRef.current.reviewerName,
+        fileName: file.name,
+        fileHash,
+        details: { fileSize: file.size, regulation },
+      });
+      added.push(createItem({
+        file,
+        fileName: file.name,
+        fileSize: file.size,
+        fileHash,
+        regulation,
+      }));
+    }
+    setItems((prev) => [...prev, ...added]);
+  }, []);
+
+  /**
+   * Cancels a queued or running item
+   * @param {string} id - Item id
+   */
+  const cancel = useCallback((id) => {
+    const entry = runningRef.current.get(id);
+    if (entry) {
+      entry.cancelRequested = true;
+      entry.controller.abort();
+      return;
+    }
+    setItems((prev) => prev.map((item) =>
+      item.id === id && item.status === "queued" ? { ...item, status: "cancelled" } : item
+    ));
+  }, []);
+
+  /**
+   * Puts a failed or cancelled item back in the queue
+   * @param {string} id - Item id
+   */
+  const retry = useCallback((id) => {
+    setItems((prev) => prev.map((item) =>
+      item.id === id && (item.status === "failed" || item.status === "cancelled")
+        ? { ...item, status: "queued", error: null, progress: null }
+        : item
+    ));
+  }, []);
+
+  /**
+   * Drops a finished item from the list
+   * @param {string} id - Item id
+   */
+  const remove = useCallback((id) => {
+    const item = items.find((candidate) => candidate.id === id);
+    if (!item || item.status === "running") return;
+
+    abandonJob(item, settingsRef.current);
+    setItems((prev) => prev.filter((candidate) => candidate.id !== id));
+  }, [items]);
+
+  /**
+   * Drops all done, failed and cancelled items
+   */
+  const clearFinished = useCallback(() => {
+    const isFinished = (item) => item.status !== "queued" && item.status !== "running";
+    items.filter(isFinished).forEach((item) => abandonJob(item, settingsRef.current));
+    setItems((prev) => prev.filter((item) => !isFinished(item)));
+  }, [items]);
+
+  return { items, enqueue, cancel, retry, remove, clearFinished };
+};
+
+export default useEvaluationQueue;
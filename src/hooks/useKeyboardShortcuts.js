@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Single-key shortcuts of the review screen
+ *
+ * Keys are matched on KeyboardEvent.key, so "?" and "+" work on any
+ * keyboard layout. Shortcuts are ignored while typing in a form field and
+ * while Ctrl, Alt or Meta is held, which leaves browser shortcuts alone.
+ * While a modal set of shortcuts is listening, e.g. that of an open
+ * overlay, only modal shortcuts are handled.
+ * The list shown to users is kept in config/shortcuts.
+ */
+
+import { useEffect, useRef } from "react";
+
+// Elements receiving typed text
+const TYPING_TAGS = ["INPUT", "TEXTAREA", "SELECT"];
+
+// Modal shortcut sets currently listening
+let modalCount = 0;
+
+/**
+ * Checks whether a key event goes to a text field
+ * @param {EventTarget} target - Event target
+ * @returns {boolean}
+ */
+const isTypingTarget = (target) =>
+  target instanceof HTMLElement && (target.isContentEditable || TYPING_TAGS.includes(target.tagName));
+
+/**
+ * Calls a handler when its key is pressed anywhere on the page
+ * Handlers may change on every render; the latest ones are called
+ * @param {Object<string, Function>} handlers - KeyboardEvent.key -> handler
+ * @param {boolean} [enabled=true] - Listens only while true
+ * @param {Object} [options]
+ * @param {boolean} [options.modal=false] - Suspends non-modal shortcuts
+ *   while listening
+ */
+const useKeyboardShortcuts = (handlers, enabled = true, { modal = false } = {}) => {
+  const handlersRef = useRef(handlers);
+
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (!modal && modalCount > 0) return;
+      if (event.defaultPrevented || event.isComposing) return;
+      if (event.ctrlKey || event.altKey || event.metaKey) return;
+      if (isTypingTarget(event.target)) return;
+
+      const handler = handlersRef.current[event.key];
+      if (!handler) return;
+      // Keeps "/" out of the field it focuses and stops page scrolling
+      event.preventDefault();
+      handler(event);
+    };
+
+    if (modal) modalCount++;
+    window.addEventListener("keydown", handleKeyDown);
+    return () => {
+      if (modal) modalCount--;
+      window.removeEventListener("keydown", handleKeyDown);
+    };
+  }, [enabled, modal]);
+};
+
+export default useKeyboardShortcuts;
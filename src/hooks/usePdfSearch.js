@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Full-text search over every page of a PDF
+ *
+ * Page text is read through pdf.js without rendering, so pages that were
+ * never scrolled into view are searched too. Indexing starts with the
+ * first query and continues in the background; hits appear as pages are
+ * indexed.
+ *
+ * Hit shape:
+ * - id: Position in the hit list
+ * - pageNumber: Physical PDF page
+ * - ranges: Character ranges per text item, for highlighting
+ * - snippet: { before, match, after } original text around the hit
+ */
+
+import { useEffect, useMemo, useRef, useState } from "react";
+import {
+  buildPageText,
+  findOccurrences,
+  getSnippet,
+  normalizeText,
+  toItemRanges,
+} from "../utils/textMatch";
+import logger from '../logger';
+
+// Pages indexed between hit list refreshes
+const INDEX_BATCH_SIZE = 20;
+
+// Hits beyond this are not listed; the query should be refined instead
+export const MAX_SEARCH_HITS = 500;
+
+/**
+ * @param {Object|null} pdfDocument - Loaded pdf.js document
+ * @returns {{ query: string, setQuery: Function, hits: Array,
+ *   indexedPages: number, isIndexing: boolean, isTruncated: boolean }}
+ */
+const usePdfSearch = (pdfDocument) => {
+  const [query, setQuery] = useState("");
+  const [pageIndex, setPageIndex] = useState(() => new Map()); // Snapshot searched by the hit list
+  const indexRef = useRef(new Map());              // pageNumber -> { items, text, positions }
+
+  // A new document starts with an empty index
+  useEffect(() => {
+    indexRef.current = new Map();
+    setPageIndex(new Map());
+    setQuery("");
+  }, [pdfDocument]);
+
+  // Index every page once there is something to search for
+  useEffect(() => {
+    if (!pdfDocument || !query) return;
+    let cancelled = false;
+    const index = indexRef.current;
+
+    const indexPages = async () => {
+      for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber++) {
+        if (index.has(pageNumber)) continue;
+        const page = await pdfDocument.getPage(pageNumber);
+        const { items } = await page.getTextContent();
+        if (cancelled) return;
+
+        index.set(pageNumber, { items, ...buildPageText(items) });
+        if (index.size % INDEX_BATCH_SIZE === 0) setPageIndex(new Map(index));
+      }
+      setPageIndex(new Map(index));
+    };
+
+    indexPages().catch((err) => logger.error('Failed to index PDF text for search', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [pdfDocument, query]);
+
+  /**
+   * Finds the query on every indexed page, in page order
+   * Recomputed as indexing progresses
+   */
+  const { hits, isTruncated } = useMemo(() => {
+    const needle = normalizeText(query);
+    const found = [];
+    if (!needle || !pdfDocument) return { hits: found, isTruncated: false };
+
+    for (let pageNumber = 1; pageNumber <= pdfDocument.numPages; pageNumber++) {
+      const page = pageIndex.get(pageNumber);
+      if (!page) continue;
+
+      for (const { start, end } of findOccurrences(page.text, needle)) {
+        if (found.length >= MAX_SEARCH_HITS) return { hits: found, isTruncated: true };
+        found.push({
+          id: found.length,
+          pageNumber,
+          ranges: toItemRanges(page.positions, start, end),
+          snippet: getSnippet(page.items, page.positions, start, end),
+        });
+      }
+    }
+    return { hits: found, isTruncated: false };
+  }, [query, pdfDocument, pageIndex]);
+
+  return {
+    query,
+    setQuery,
+    hits,
+    indexedPages: pageIndex.size,
+    isIndexing: Boolean(query && pdfDocument && pageIndex.size < pdfDocument.numPages),
+    isTruncated,
+  };
+};
+
+export default usePdfSearch;
@@ -0,0 +1,259 @@
+/**
+ * @fileoverview Viewer for the audit trail of evaluation and review events
+ *
+ * Page Flow:
+ * ---------
+ * 1. Audit events are loaded from IndexedDB on mount, newest first
+ * 2. User filters by event type, free text (document, actor, hash) and date
+ * 3. Clicking a row shows the full event
+ * 4. The filtered events can be exported as JSON Lines; the export itself
+ *    is recorded in the log
+ */
+
+import { Fragment, useEffect, useMemo, useState } from "react";
+import { useSettings } from "../context/SettingsContext";
+import { AUDIT_EVENT_TYPES, listAuditEvents, recordAuditEvent, toJsonLines } from "../services/auditLog";
+import { downloadBlob } from "../utils/download";
+import logger from '../logger';
+
+// Details longer than this are cut in the table; the full event is one click away
+const DETAILS_PREVIEW_LENGTH = 140;
+
+/**
+ * Summarizes event details on one line
+ * @param {Object} details - Event-specific data
+ * @returns {string}
+ */
+const summarizeDetails = (details) => {
+  const text = Object.entries(details ?? {})
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => `${key}: ${typeof value === "object" ? JSON.stringify(value) : value}`)
+    .join(" · ");
+  return text.length > DETAILS_PREVIEW_LENGTH ? `${text.slice(0, DETAILS_PREVIEW_LENGTH)}…` : text;
+};
+
+const AuditLogPage = () => {
+  const { settings } = useSettings();
+  const [events, setEvents] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [query, setQuery] = useState("");
+  const [typeFilter, setTypeFilter] = useState("");
+  const [fromDate, setFromDate] = useState("");   // yyyy-mm-dd, inclusive
+  const [toDate, setToDate] = useState("");       // yyyy-mm-dd, inclusive
+  const [expandedId, setExpandedId] = useState(null);
+
+  /**
+   * Reloads the log from IndexedDB
+   */
+  const refreshEvents = async () => {
+    try {
+      setEvents(await listAuditEvents());
+    } catch (err) {
+      logger.error('Failed to load audit log', err);
+      setError("Could not load the audit log.");
+    }
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+
+    listAuditEvents()
+      .then((records) => {
+        if (!cancelled) setEvents(records);
+      })
+      .catch((err) => {
+        logger.error('Failed to load audit log', err);
+        if (!cancelled) setError("Could not load the audit log.");
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, []);
+
+  const visibleEvents = useMemo(() => {
+    const normalizedQuery = query.trim().toLowerCase();
+    // Dates are compared in local time, like the timestamps shown
+    const from = fromDate ? new Date(`${fromDate}T00:00:00`) : null;
+    const to = toDate ? new Date(`${toDate}T23:59:59.999`) : null;
+
+    return events.filter((event) => {
+      if (typeFilter && event.type !== typeFilter) return false;
+      const timestamp = new Date(event.timestamp);
+      if (from && timestamp < from) return false;
+      if (to && timestamp > to) return false;
+      if (normalizedQuery) {
+        const haystack = [event.fileName, event.actor, event.fileHash, event.evaluationId]
+          .filter((value) => value !== null && value !== undefined)
+          .join(" ")
+          .toLowerCase();
+        if (!haystack.includes(normalizedQuery)) return false;
+      }
+      return true;
+    });
+  }, [events, query, typeFilter, fromDate, toDate]);
+
+  /**
+   * Downloads the filtered events as JSON Lines
+   */
+  const handleExport = async () => {
+    const fileName = `audit-log-${new Date().toISOString().slice(0, 10)}.jsonl`;
+    try {
+      downloadBlob(new Blob([toJsonLines(visibleEvents)], { type: "application/x-ndjson" }), fileName);
+      logger.info('Audit log exported', { count: visibleEvents.length });
+    } catch (err) {
+      logger.error('Audit log export failed', err);
+      setError("Could not export the audit log.");
+      return;
+    }
+
+    await recordAuditEvent({
+      type: "auditLog.exported",
+      actor: settings.reviewerName,
+      details: {
+        fileName,
+        count: visibleEvents.length,
+        filters: { type: typeFilter || null, query: query.trim() || null, from: fromDate || null, to: toDate || null },
+      },
+    });
+    await refreshEvents();
+  };
+
+  return (
+    <main className="flex-1 p-8 overflow-auto">
+      <div className="flex items-start justify-between">
+        <div>
+          <h2 className="text-xl font-bold">🧾 Audit Log</h2>
+          <p className="text-gray-600 mt-2">
+            Uploads, evaluations, reviews, sign-offs and exports recorded in this browser. Entries cannot be edited or removed.
+          </p>
+        </div>
+        <button
+          onClick={handleExport}
+          disabled={visibleEvents.length === 0}
+          className="px-4 py-2 bg-gradient-to-r from-blue-500 to-blue-600 text-white rounded-lg
+                     hover:from-blue-600 hover:to-blue-700 transition-colors shadow-sm disabled:opacity-50 shrink-0"
+        >
+          ⬇️ Export JSON Lines
+        </button>
+      </div>
+
+      <div className="mt-6 flex flex-wrap gap-3 items-center">
+        <input
+          type="search"
+          placeholder="Search document, person or SHA-256"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          className="border border-gray-300 rounded px-3 py-2 w-72 focus:ring-2 focus:ring-blue-500"
+        />
+        <select
+          value={typeFilter}
+          onChange={(e) => setTypeFilter(e.target.value)}
+          className="border border-gray-300 rounded px-3 py-2 bg-white"
+        >
+          <option value="">All events</option>
+          {Object.entries(AUDIT_EVENT_TYPES).map(([type, label]) => (
+            <option key={type} value={type}>{label}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          From
+          <input
+            type="date"
+            value={fromDate}
+            onChange={(e) => setFromDate(e.target.value)}
+            className="border border-gray-300 rounded px-2 py-2"
+          />
+        </label>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          To
+          <input
+            type="date"
+            value={toDate}
+            onChange={(e) => setToDate(e.target.value)}
+            className="border border-gray-300 rounded px-2 py-2"
+          />
+        </label>
+        <span className="text-sm text-gray-500">
+          {visibleEvents.length} of {events.length} events
+        </span>
+      </div>
+
+      {error && (
+        <div className="mt-4 text-sm text-red-600 bg-red-50 p-3 rounded-lg border border-red-200">
+          {error}
+        </div>
+      )}
+
+      <div className="mt-4 bg-white rounded-lg shadow-sm border border-gray-200 overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 text-left text-gray-600">
+            <tr>
+              <th className="px-4 py-3 font-medium">Time</th>
+              <th className="px-4 py-3 font-medium">Event</th>
+              <th className="px-4 py-3 font-medium">By</th>
+              <th className="px-4 py-3 font-medium">Document</th>
+              <th className="px-4 py-3 font-medium">Details</th>
+            </tr>
+          </thead>
+          <tbody>
+            {isLoading && (
+              <tr>
+                <td colSpan={5} className="px-4 py-6 text-center text-gray-500">
+                  Loading audit log...
+                </td>
+              </tr>
+            )}
+            {!isLoading && visibleEvents.length === 0 && (
+              <tr>
+                <td colSpan={5} className="px-4 py-6 text-center text-gray-500">
+                  {events.length === 0
+                    ? "No events yet. Uploads, reviews and exports will appear here."
+                    : "No events match the current filters."}
+                </td>
+              </tr>
+            )}
+            {visibleEvents.map((event) => (
+              <Fragment key={event.id}>
+                <tr
+                  onClick={() => setExpandedId((id) => (id === event.id ? null : event.id))}
+                  className="border-t border-gray-200 hover:bg-blue-50 cursor-pointer align-top"
+                >
+                  <td className="px-4 py-3 text-gray-700 whitespace-nowrap">
+                    {new Date(event.timestamp).toLocaleString()}
+                  </td>
+                  <td className="px-4 py-3 font-medium text-gray-900 whitespace-nowrap">
+                    {AUDIT_EVENT_TYPES[event.type] ?? event.type}
+                  </td>
+                  <td className="px-4 py-3 text-gray-700">{event.actor ?? "—"}</td>
+                  <td className="px-4 py-3 text-gray-700">
+                    {event.fileName ?? "—"}
+                    {event.fileHash && (
+                      <span className="block text-xs text-gray-400 font-mono" title={event.fileHash}>
+                        {event.fileHash.slice(0, 12)}…
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-4 py-3 text-gray-600">{summarizeDetails(event.details)}</td>
+                </tr>
+                {expandedId === event.id && (
+                  <tr className="bg-gray-50">
+                    <td colSpan={5} className="px-4 py-3">
+                      <pre className="text-xs text-gray-700 whitespace-pre-wrap break-all">
+                        {JSON.stringify(event, null, 2)}
+                      </pre>
+                    </td>
+                  </tr>
+                )}
+              </Fragment>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </main>
+  );
+};
+
+export default AuditLogPage;
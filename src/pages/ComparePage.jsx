@@ -0,0 +1,313 @@
+/**
+ * @fileoverview Side-by-side comparison of two evaluation results
+ *
+ * Page Flow:
+ * ---------
+ * 1. User picks a baseline and a compared result, each from history or
+ *    from a result JSON file; history picks are kept in the
+ *    ?left=<id>&right=<id> query parameters
+ * 2. Rules are aligned by name (see utils/compareResults)
+ * 3. The final decision and confidence change is shown first, then every
+ *    rule with its changed fields and evidence pages
+ */
+
+import { useEffect, useMemo, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { getRegulation, inferRegulation } from "../config/regulations";
+import { getEvaluation, listEvaluations } from "../services/evaluationStore";
+import { compareResults } from "../utils/compareResults";
+import { formatFieldLabel, normalizeResult } from "../utils/resultSchema";
+import { formatReviewValue, splitReview } from "../utils/review";
+import logger from '../logger';
+
+const SIDES = [
+  { key: "left", label: "Baseline" },
+  { key: "right", label: "Compared with" },
+];
+
+const STATUS_STYLES = {
+  added: "bg-blue-100 text-blue-800 border-blue-200",
+  removed: "bg-gray-200 text-gray-700 border-gray-300",
+  changed: "bg-amber-100 text-amber-800 border-amber-200",
+  unchanged: "bg-green-50 text-green-700 border-green-200",
+};
+
+const STATUS_LABELS = {
+  added: "Only in compared",
+  removed: "Only in baseline",
+  changed: "Changed",
+  unchanged: "Unchanged",
+};
+
+/**
+ * Shows a compared value; arrays are listed inline
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+const formatCompareValue = (value) =>
+  Array.isArray(value) ? value.join(", ") || "—" : formatReviewValue(value);
+
+/**
+ * Loads a history record as a comparison side
+ * @param {number} id - Record id
+ * @returns {Promise<Object>} { label, result, regulation }
+ * @throws {Error} When the record no longer exists
+ */
+const loadHistorySide = async (id) => {
+  const record = await getEvaluation(id);
+  if (!record) throw new Error(`Evaluation ${id} is not in history.`);
+  const result = normalizeResult(record.result);
+  return {
+    label: `${record.fileName} · ${new Date(record.createdAt).toLocaleString()}`,
+    result,
+    regulation: getRegulation(record.regulation) ?? inferRegulation(result.final_decision),
+  };
+};
+
+const DecisionValue = ({ value, label }) => (
+  <span className={`px-3 py-1 rounded-full text-sm font-medium border ${
+    value === null
+      ? 'bg-gray-100 text-gray-600 border-gray-200'
+      : value
+        ? 'bg-green-100 text-green-800 border-green-200'
+        : 'bg-red-100 text-red-800 border-red-200'}`}>
+    {value === null ? 'No decision' : `${value ? '' : 'Not '}${label}`}
+  </span>
+);
+
+const ComparePage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [evaluations, setEvaluations] = useState([]);
+  const [sides, setSides] = useState({ left: null, right: null });   // { label, result, regulation } per side
+  const [error, setError] = useState(null);
+  const [showUnchanged, setShowUnchanged] = useState(false);
+
+  const leftId = Number(searchParams.get("left")) || null;
+  const rightId = Number(searchParams.get("right")) || null;
+
+  useEffect(() => {
+    listEvaluations()
+      .then(setEvaluations)
+      .catch((err) => {
+        logger.error('Failed to load evaluation history', err);
+        setError("Could not load evaluation history.");
+      });
+  }, []);
+
+  // History picks are loaded whenever the query parameters change
+  useEffect(() => {
+    let cancelled = false;
+
+    [["left", leftId], ["right", rightId]].forEach(([key, id]) => {
+      if (!id) return;
+      loadHistorySide(id)
+        .then((side) => {
+          if (!cancelled) setSides((prev) => ({ ...prev, [key]: side }));
+        })
+        .catch((err) => {
+          logger.error('Failed to load evaluation for comparison', { id, error: err });
+          if (!cancelled) setError(`Could not load evaluation ${id}: ${err.message}`);
+        });
+    });
+
+    return () => { cancelled = true; };
+  }, [leftId, rightId]);
+
+  const regulation = sides.left?.regulation ?? sides.right?.regulation ?? null;
+
+  const comparison = useMemo(() => {
+    if (!sides.left || !sides.right) return null;
+    return compareResults(sides.left.result, sides.right.result, regulation);
+  }, [sides, regulation]);
+
+  /**
+   * Selects a history record for one side
+   * @param {string} key - "left" or "right"
+   * @param {string} id - Record id, empty to clear
+   */
+  const handleSelect = (key, id) => {
+    setError(null);
+    if (!id) setSides((prev) => ({ ...prev, [key]: null }));
+    setSearchParams((params) => {
+      const next = new URLSearchParams(params);
+      if (id) next.set(key, id);
+      else next.delete(key);
+      return next;
+    });
+  };
+
+  /**
+   * Loads a result JSON file for one side
+   * @param {string} key - "left" or "right"
+   * @param {Event} e - File input change event
+   */
+  const handleFile = async (key, e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      const result = normalizeResult(splitReview(JSON.parse(await file.text())).result);
+      setSides((prev) => ({
+        ...prev,
+        [key]: { label: file.name, result, regulation: inferRegulation(result.final_decision) },
+      }));
+      setSearchParams((params) => {
+        const next = new URLSearchParams(params);
+        next.delete(key);
+        return next;
+      });
+      setError(null);
+      logger.info('Result file loaded for comparison', { file: file.name, side: key });
+    } catch (err) {
+      logger.error('Result file could not be compared', { file: file.name, error: err });
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const visibleRows = comparison?.rows.filter((row) => showUnchanged || row.status !== "unchanged") ?? [];
+  const decisionLabel = regulation?.decisionLabel ?? "Eligible";
+
+  return (
+    <main className="flex-1 p-8 overflow-auto">
+      <h2 className="text-xl font-bold">⚖️ Compare Results</h2>
+      <p className="text-gray-600 mt-2">
+        Check whether a re-run changed any findings. Rules are matched by name; reviews are not included.
+      </p>
+
+      <div className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-4">
+        {SIDES.map(({ key, label }) => (
+          <div key={key} className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 space-y-3">
+            <div className="font-medium text-gray-700">{label}</div>
+            <div className="flex flex-wrap gap-2 items-center">
+              <select
+                value={(key === "left" ? leftId : rightId) ?? ""}
+                onChange={(e) => handleSelect(key, e.target.value)}
+                className="border border-gray-300 rounded px-3 py-2 bg-white flex-1 min-w-0"
+              >
+                <option value="">Choose from history…</option>
+                {evaluations.map((evaluation) => (
+                  <option key={evaluation.id} value={evaluation.id}>
+                    {evaluation.fileName} · {new Date(evaluation.createdAt).toLocaleString()}
+                  </option>
+                ))}
+              </select>
+              <label className="px-3 py-2 bg-gray-100 rounded hover:bg-gray-200 cursor-pointer text-sm">
+                Load file
+                <input
+                  type="file"
+                  accept="application/json,.json"
+                  onChange={(e) => handleFile(key, e)}
+                  className="hidden"
+                />
+              </label>
+            </div>
+            <div className="text-sm text-gray-500 break-all">
+              {sides[key]
+                ? `${sides[key].label} · ${sides[key].result.schemaVersion} · ${sides[key].result.rules.length} rules`
+                : "Nothing selected"}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {error && (
+        <div className="mt-4 text-sm text-red-600 bg-red-50 p-3 rounded-lg border border-red-200">
+          {error}
+        </div>
+      )}
+
+      {comparison && (
+        <>
+          <div className={`mt-6 rounded-lg p-4 border ${comparison.finalDecision.changed
+            ? 'bg-red-50 border-red-200'
+            : 'bg-white border-gray-200'}`}>
+            <div className="flex flex-wrap items-center gap-3">
+              <span className="font-medium text-gray-700">{decisionLabel}:</span>
+              <DecisionValue value={comparison.finalDecision.left} label={decisionLabel} />
+              <span className="text-gray-400">→</span>
+              <DecisionValue value={comparison.finalDecision.right} label={decisionLabel} />
+              {comparison.finalDecision.changed && (
+                <span className="text-sm font-semibold text-red-700">Outcome changed</span>
+              )}
+            </div>
+            <div className="mt-2 text-sm text-gray-600">
+              Confidence: {comparison.finalDecision.leftConfidence ?? "—"} → {comparison.finalDecision.rightConfidence ?? "—"}
+              {comparison.finalDecision.confidenceDelta !== null && comparison.finalDecision.confidenceDelta !== 0 && (
+                <span className={`ml-2 font-medium ${comparison.finalDecision.confidenceDelta > 0 ? 'text-green-700' : 'text-red-700'}`}>
+                  ({comparison.finalDecision.confidenceDelta > 0 ? "+" : ""}{comparison.finalDecision.confidenceDelta})
+                </span>
+              )}
+            </div>
+          </div>
+
+          <div className="mt-4 flex flex-wrap items-center gap-3 text-sm">
+            {Object.entries(comparison.counts).map(([status, count]) => (
+              <span key={status} className={`px-3 py-1 rounded-full border ${STATUS_STYLES[status]}`}>
+                {STATUS_LABELS[status]}: {count}
+              </span>
+            ))}
+            <label className="flex items-center gap-2 text-gray-600 ml-auto">
+              <input
+                type="checkbox"
+                checked={showUnchanged}
+                onChange={(e) => setShowUnchanged(e.target.checked)}
+              />
+              Show unchanged rules
+            </label>
+          </div>
+
+          <div className="mt-4 space-y-3">
+            {visibleRows.length === 0 && (
+              <div className="text-center text-gray-500 py-6">No rule differs between the two results.</div>
+            )}
+            {visibleRows.map((row) => (
+              <div key={row.key} className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+                <div className="flex items-center justify-between gap-2">
+                  <h3 className="font-semibold text-gray-800">{row.ruleName}</h3>
+                  <span className={`px-3 py-1 rounded-full text-xs border ${STATUS_STYLES[row.status]}`}>
+                    {STATUS_LABELS[row.status]}
+                  </span>
+                </div>
+
+                {row.fieldChanges.length > 0 && (
+                  <table className="mt-3 w-full text-sm">
+                    <thead className="text-left text-gray-500">
+                      <tr>
+                        <th className="py-1 pr-4 font-medium w-1/5">Field</th>
+                        <th className="py-1 pr-4 font-medium">Baseline</th>
+                        <th className="py-1 font-medium">Compared</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {row.fieldChanges.map(({ field, from, to }) => (
+                        <tr key={field} className="border-t border-gray-100 align-top">
+                          <td className="py-2 pr-4 text-gray-700">{formatFieldLabel(field)}</td>
+                          <td className="py-2 pr-4 text-red-800 bg-red-50">{formatCompareValue(from)}</td>
+                          <td className="py-2 text-green-800 bg-green-50">{formatCompareValue(to)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+
+                <div className="mt-3 text-sm text-gray-600 flex flex-wrap gap-x-6 gap-y-1">
+                  <span>Baseline pages: {row.pages.left.join(", ") || "—"}</span>
+                  <span>Compared pages: {row.pages.right.join(", ") || "—"}</span>
+                  {row.pages.added.length > 0 && (
+                    <span className="text-green-700">+ {row.pages.added.join(", ")}</span>
+                  )}
+                  {row.pages.removed.length > 0 && (
+                    <span className="text-red-700">− {row.pages.removed.join(", ")}</span>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </main>
+  );
+};
+
+export default ComparePage;
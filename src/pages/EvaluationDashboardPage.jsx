@@ -1,9 +1,403 @@
+/**
+ * @fileoverview History of evaluations stored in the browser
+ *
+ * Page Flow:
+ * ---------
+ * 1. Stored evaluations are loaded from IndexedDB on mount
+ * 2. User filters by document name, regulation or decision and sorts columns
+ * 3. Clicking a row reopens the result on the Run Evaluation page
+ * 4. Archived result JSON files can be imported into history, together
+ *    with their review when exported after one
+ * 5. The filtered evaluations can be exported as spreadsheet tables
+ */
+
+import { useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import TableExportMenu from "../components/TableExportMenu";
+import { getRegulation, inferRegulation } from "../config/regulations";
+import { useSettings } from "../context/SettingsContext";
+import { recordAuditEvent } from "../services/auditLog";
+import { deleteEvaluation, getEvaluation, listEvaluations, saveEvaluation } from "../services/evaluationStore";
+import { buildExportFileName, downloadBlob } from "../utils/download";
+import { normalizeResult } from "../utils/resultSchema";
+import { splitReview } from "../utils/review";
+import { buildExportTables, buildTabularExport } from "../utils/tabularExport";
+import logger from '../logger';
+
+const COLUMNS = [
+  { key: "fileName", label: "Document" },
+  { key: "regulation", label: "Regulation" },
+  { key: "createdAt", label: "Evaluated" },
+  { key: "finalDecision", label: "Decision" },
+  { key: "confidenceScore", label: "Confidence" },
+];
+
+/**
+ * Orders two column values, always placing missing values last
+ */
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === "string") return a.localeCompare(b);
+  return a < b ? -1 : 1;
+};
+
+const DecisionBadge = ({ value }) => {
+  if (value === null || value === undefined) {
+    return <span className="text-gray-400">—</span>;
+  }
+  return (
+    <span className={`px-3 py-1 rounded-full text-sm font-medium
+      ${value
+        ? 'bg-green-100 text-green-800 border border-green-200'
+        : 'bg-red-100 text-red-800 border border-red-200'}`}>
+      {value ? 'Eligible' : 'Not Eligible'}
+    </span>
+  );
+};
 
 const EvaluationDashboardPage = () => {
+  const navigate = useNavigate();
+  const { settings } = useSettings();
+  const [evaluations, setEvaluations] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [sort, setSort] = useState({ key: "createdAt", direction: "desc" });
+  const [query, setQuery] = useState("");
+  const [regulationFilter, setRegulationFilter] = useState("");
+  const [decisionFilter, setDecisionFilter] = useState("");
+
+  /**
+   * Reloads the history list from IndexedDB
+   */
+  const refreshEvaluations = async () => {
+    try {
+      setEvaluations(await listEvaluations());
+    } catch (err) {
+      logger.error('Failed to load evaluation history', err);
+      setError("Could not load evaluation history.");
+    }
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+
+    listEvaluations()
+      .then((records) => {
+        if (!cancelled) setEvaluations(records);
+      })
+      .catch((err) => {
+        logger.error('Failed to load evaluation history', err);
+        if (!cancelled) setError("Could not load evaluation history.");
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, []);
+
+  const regulations = useMemo(
+    () => [...new Set(evaluations.map((evaluation) => evaluation.regulation))].filter(Boolean),
+    [evaluations]
+  );
+
+  const visibleEvaluations = useMemo(() => {
+    const normalizedQuery = query.trim().toLowerCase();
+
+    const filtered = evaluations.filter((evaluation) => {
+      if (normalizedQuery && !evaluation.fileName?.toLowerCase().includes(normalizedQuery)) return false;
+      if (regulationFilter && evaluation.regulation !== regulationFilter) return false;
+      if (decisionFilter === "eligible" && evaluation.finalDecision !== true) return false;
+      if (decisionFilter === "not-eligible" && evaluation.finalDecision !== false) return false;
+      if (decisionFilter === "none" && evaluation.finalDecision !== null) return false;
+      return true;
+    });
+
+    const direction = sort.direction === "asc" ? 1 : -1;
+    return filtered.sort((a, b) => {
+      const aValue = a[sort.key];
+      const bValue = b[sort.key];
+      // Missing values stay at the bottom regardless of direction
+      if (aValue === null || aValue === undefined || bValue === null || bValue === undefined) {
+        return compareValues(aValue, bValue);
+      }
+      return compareValues(aValue, bValue) * direction;
+    });
+  }, [evaluations, query, regulationFilter, decisionFilter, sort]);
+
+  /**
+   * Toggles sort direction or switches the sorted column
+   * @param {string} key - Column key
+   */
+  const handleSort = (key) => {
+    setSort((prev) => ({
+      key,
+      direction: prev.key === key && prev.direction === "asc" ? "desc" : "asc",
+    }));
+  };
+
+  /**
+   * Reopens a stored evaluation on the Run Evaluation page
+   * @param {number} id - Record id
+   */
+  const handleOpen = (id) => {
+    logger.info('Opening stored evaluation', { id });
+    navigate(`/?evaluation=${id}`);
+  };
+
+  /**
+   * Removes an evaluation after confirmation
+   * @param {Event} e - Click event, stopped so the row does not open
+   * @param {Object} evaluation - Record summary
+   */
+  const handleDelete = async (e, evaluation) => {
+    e.stopPropagation();
+    if (!window.confirm(`Remove "${evaluation.fileName}" from history?`)) return;
+
+    try {
+      await deleteEvaluation(evaluation.id);
+      recordAuditEvent({
+        type: "evaluation.deleted",
+        actor: settings.reviewerName,
+        evaluationId: evaluation.id,
+        fileName: evaluation.fileName,
+        fileHash: evaluation.fileHash ?? null,
+      });
+      setEvaluations((prev) => prev.filter((item) => item.id !== evaluation.id));
+    } catch (err) {
+      logger.error('Failed to delete evaluation', err);
+      setError("Could not remove the evaluation.");
+    }
+  };
+
+  /**
+   * Imports archived result JSON files into history
+   * Files in an unsupported format are reported and skipped; invalid parts
+   * of a review are reported and dropped
+   * @param {Event} e - File input change event
+   */
+  const handleImport = async (e) => {
+    const files = Array.from(e.target.files ?? []);
+    e.target.value = "";
+    if (files.length === 0) return;
+
+    const failures = [];
+    const dropped = [];
+    for (const file of files) {
+      try {
+        const { result, review, issues } = splitReview(JSON.parse(await file.text()));
+        const normalized = normalizeResult(result);
+        const fileName = normalized.document ?? file.name;
+        const evaluationId = await saveEvaluation({ fileName, result, review });
+        recordAuditEvent({
+          type: "evaluation.imported",
+          actor: settings.reviewerName,
+          evaluationId,
+          fileName,
+          details: { importedFrom: file.name, schemaVersion: normalized.schemaVersion, reviewed: Boolean(review) },
+        });
+        logger.info('Result imported', { file: file.name, schemaVersion: normalized.schemaVersion });
+        if (issues.length > 0) {
+          logger.warn('Invalid review content dropped on import', { file: file.name, issues });
+          dropped.push(`${file.name}: ${issues.join(" ")}`);
+        }
+      } catch (err) {
+        logger.error('Result import failed', { file: file.name, error: err, issues: err.issues });
+        failures.push(`${file.name}: ${err.message}`);
+      }
+    }
+
+    const messages = [
+      failures.length > 0 && `Some files could not be imported. ${failures.join(" ")}`,
+      dropped.length > 0 && `Parts of some reviews were invalid and were not imported. ${dropped.join(" ")}`,
+    ].filter(Boolean);
+    setError(messages.length > 0 ? messages.join(" ") : null);
+    await refreshEvaluations();
+  };
+
+  /**
+   * Downloads the filtered evaluations as spreadsheet tables
+   * @param {string} format - See TableExportMenu
+   */
+  const handleSpreadsheetExport = async (format) => {
+    const evaluationIds = visibleEvaluations.map((evaluation) => evaluation.id);
+    let exported;   // { format, fileName } once downloaded
+    try {
+      // Records are read one at a time and only their results kept, so the
+      // stored PDFs are never held in memory together
+      const entries = [];
+      for (const id of evaluationIds) {
+        const record = await getEvaluation(id);
+        if (!record) continue;
+        const result = normalizeResult(record.result);
+        entries.push({
+          result,
+          review: record.review ?? null,
+          regulation: getRegulation(record.regulation) ?? inferRegulation(result.final_decision),
+          fileName: record.fileName,
+          fileHash: record.fileHash ?? null,
+          evaluatedAt: record.createdAt,
+        });
+      }
+      const { blob, kind, extension } = buildTabularExport(buildExportTables(entries), format);
+      const fileName = buildExportFileName(`evaluations ${new Date().toISOString().slice(0, 10)}`, {
+        regulation: regulationFilter || null,
+        kind,
+        extension,
+      });
+      downloadBlob(blob, fileName);
+      exported = { format: extension, fileName };
+      logger.info('Evaluations exported', { format, count: entries.length });
+    } catch (err) {
+      logger.error('Spreadsheet export failed', err);
+      setError("Could not export the evaluations.");
+      return;
+    }
+
+    recordAuditEvent({
+      type: "result.exported",
+      actor: settings.reviewerName,
+      details: { ...exported, evaluationIds },
+    });
+  };
+
   return (
     <main className="flex-1 p-8 overflow-auto">
-      <h2 className="text-xl font-bold">📊 Evaluation Dashboard</h2>
-      <p className="text-gray-600 mt-2">Coming soon: List of all evaluated documents.</p>
+      <div className="flex items-start justify-between">
+        <div>
+          <h2 className="text-xl font-bold">📊 Evaluation Dashboard</h2>
+          <p className="text-gray-600 mt-2">All evaluations stored in this browser.</p>
+        </div>
+        <div className="flex items-start gap-2">
+          <TableExportMenu
+            onSelect={handleSpreadsheetExport}
+            disabled={visibleEvaluations.length === 0}
+            className="px-4 py-2 bg-white text-blue-700 border border-blue-300 rounded-lg
+                       hover:bg-blue-50 transition-colors flex items-center gap-2"
+          />
+          <label className="px-4 py-2 bg-gradient-to-r from-blue-500 to-blue-600 text-white rounded-lg
+                            hover:from-blue-600 hover:to-blue-700 transition-colors shadow-sm cursor-pointer">
+            ⬆️ Import results
+            <input
+              type="file"
+              accept="application/json,.json"
+              multiple
+              onChange={handleImport}
+              className="hidden"
+            />
+          </label>
+        </div>
+      </div>
+
+      <div className="mt-6 flex flex-wrap gap-3 items-center">
+        <input
+          type="search"
+          placeholder="Search by document name"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          className="border border-gray-300 rounded px-3 py-2 w-72 focus:ring-2 focus:ring-blue-500"
+        />
+        <select
+          value={regulationFilter}
+          onChange={(e) => setRegulationFilter(e.target.value)}
+          className="border border-gray-300 rounded px-3 py-2 bg-white"
+        >
+          <option value="">All regulations</option>
+          {regulations.map((regulation) => (
+            <option key={regulation} value={regulation}>{regulation}</option>
+          ))}
+        </select>
+        <select
+          value={decisionFilter}
+          onChange={(e) => setDecisionFilter(e.target.value)}
+          className="border border-gray-300 rounded px-3 py-2 bg-white"
+        >
+          <option value="">All decisions</option>
+          <option value="eligible">Eligible</option>
+          <option value="not-eligible">Not Eligible</option>
+          <option value="none">No decision</option>
+        </select>
+        <span className="text-sm text-gray-500">
+          {visibleEvaluations.length} of {evaluations.length} evaluations
+        </span>
+      </div>
+
+      {error && (
+        <div className="mt-4 text-sm text-red-600 bg-red-50 p-3 rounded-lg border border-red-200">
+          {error}
+        </div>
+      )}
+
+      <div className="mt-4 bg-white rounded-lg shadow-sm border border-gray-200 overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50 text-left text-gray-600">
+            <tr>
+              {COLUMNS.map((column) => (
+                <th key={column.key} className="px-4 py-3 font-medium">
+                  <button
+                    onClick={() => handleSort(column.key)}
+                    className="flex items-center gap-1 hover:text-blue-600"
+                  >
+                    {column.label}
+                    {sort.key === column.key && (
+                      <span>{sort.direction === "asc" ? "▲" : "▼"}</span>
+                    )}
+                  </button>
+                </th>
+              ))}
+              <th className="px-4 py-3" />
+            </tr>
+          </thead>
+          <tbody>
+            {isLoading && (
+              <tr>
+                <td colSpan={COLUMNS.length + 1} className="px-4 py-6 text-center text-gray-500">
+                  Loading history...
+                </td>
+              </tr>
+            )}
+            {!isLoading && visibleEvaluations.length === 0 && (
+              <tr>
+                <td colSpan={COLUMNS.length + 1} className="px-4 py-6 text-center text-gray-500">
+                  {evaluations.length === 0
+                    ? "No evaluations yet. Completed runs will appear here."
+                    : "No evaluations match the current filters."}
+                </td>
+              </tr>
+            )}
+            {visibleEvaluations.map((evaluation) => (
+              <tr
+                key={evaluation.id}
+                onClick={() => handleOpen(evaluation.id)}
+                className="border-t border-gray-200 hover:bg-blue-50 cursor-pointer"
+              >
+                <td className="px-4 py-3 font-medium text-gray-900">{evaluation.fileName}</td>
+                <td className="px-4 py-3 text-gray-700">{evaluation.regulation || "—"}</td>
+                <td className="px-4 py-3 text-gray-700">
+                  {new Date(evaluation.createdAt).toLocaleString()}
+                </td>
+                <td className="px-4 py-3">
+                  <DecisionBadge value={evaluation.finalDecision} />
+                </td>
+                <td className="px-4 py-3 text-gray-700">
+                  {evaluation.confidenceScore ?? "—"}
+                </td>
+                <td className="px-4 py-3 text-right">
+                  <button
+                    onClick={(e) => handleDelete(e, evaluation)}
+                    className="text-gray-400 hover:text-red-600"
+                    aria-label={`Remove ${evaluation.fileName}`}
+                  >
+                    🗑️
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
     </main>
   );
 };
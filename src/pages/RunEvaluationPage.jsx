@@ -3,166 +3,561 @@
  * 
  * Application Flow:
  * ---------------
- * 1. User uploads PDF and selects regulation in UploadPanel
- * 2. PDF is evaluated (API or local test data)
- * 3. Results display in EvaluationPanel
+ * 1. User uploads one or more PDFs and selects a regulation for each in UploadPanel
+ * 2. Documents run through a concurrency-limited queue (API or mock fixture,
+ *    see Settings), in one request each or as polled background jobs that
+ *    survive reloads
+ * 3. Results display in EvaluationPanel one at a time and are saved to local history
  * 4. User can navigate PDF with evidence highlighting
+ * 5. Past evaluations reopen via the ?evaluation=<id> query parameter
  * 
  * Component Communication:
  * ----------------------
- * - UploadPanel -> RunEvaluationPage: File upload and evaluation trigger
+ * - UploadPanel -> RunEvaluationPage: File upload, queue actions and result selection
+ * - RunEvaluationPage -> App: Active regulation for the header title
  * - RunEvaluationPage -> EvaluationPanel: Evaluation results display
  * - EvaluationPanel -> RunEvaluationPage -> AdvancedPDFViewer: PDF navigation
+ * - AdvancedPDFViewer -> RunEvaluationPage -> EvaluationPanel: Evidence match confidence
+ *   and highlight clicks, which reveal the owning rule
+ * - EvaluationPanel / AdvancedPDFViewer -> RunEvaluationPage: Reviewer decisions and
+ *   evidence attached from a PDF selection
  * 
  * State Management:
  * ---------------
- * - Centralized state management for PDF viewing and evaluation
- * - Handles file upload, evaluation, and PDF navigation coordination
+ * - Evaluation queue lives in useEvaluationQueue
+ * - Centralized state for the displayed result and PDF navigation
+ * - Active panel section and selected evidence are shared by the panel and
+ *   the viewer so either side can drive the other
+ * - The review of the shown result is kept here and saved with its history
+ *   record; the viewer highlights the reviewed evidence
+ * - Review changes, sign-off and exports are recorded in the audit log
+ * - Single rules can be re-run; the merged result and the rule versions are
+ *   saved with the history record (see utils/ruleHistory)
+ * - A shown result can be reviewed from the keyboard; "?" opens the
+ *   cheat-sheet (see config/shortcuts)
  */
 
-import { useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { useSearchParams } from "react-router-dom";
 import AdvancedPDFViewer from "../components/AdvancedPDFViewer";
 import EvaluationPanel from "../components/EvaluationPanel";
+import ShortcutHelp from "../components/ShortcutHelp";
 import UploadPanel from "../components/UploadPanel";
-import testResult from "../data/nordea_llm_result_v1.json";
+import { getEligibility, getRegulation, inferRegulation } from "../config/regulations";
+import { useSettings } from "../context/SettingsContext";
+import useEvaluationQueue from "../hooks/useEvaluationQueue";
+import useKeyboardShortcuts from "../hooks/useKeyboardShortcuts";
+import { recordAuditEvent } from "../services/auditLog";
+import { isAbortError, rerunRule } from "../services/evaluationApi";
+import { getEvaluation, saveReview, saveRuleRerun } from "../services/evaluationStore";
+import { getAllEvidences, normalizeResult } from "../utils/resultSchema";
+import {
+  FINAL_DECISION_ID,
+  addReviewEvidence,
+  applyReview,
+  createReview,
+  discardDecisions,
+  getReviewChanges,
+  getSignOffBlocker,
+  removeReviewEvidence,
+  setReviewDecision,
+  signOffReview,
+} from "../utils/review";
+import { addRuleVersion, mergeRuleRerun } from "../utils/ruleHistory";
 import logger from '../logger';
 
-// Configuration constants
-const API_BASE = "http://localhost:8000";
-const IS_PROD = true;
+const RunEvaluationPage = ({ onRegulationChange }) => {
+  const { settings } = useSettings();
 
-const RunEvaluationPage = () => {
   // State Management
   const [evaluationData, setEvaluationData] = useState(null);  // Stores evaluation results
+  const [evaluationRegulation, setEvaluationRegulation] = useState(null); // Regulation of shown result
   const [pdfBlobUrl, setPdfBlobUrl] = useState(null);         // PDF preview URL
   const [pdfVisible, setPdfVisible] = useState(false);        // PDF viewer visibility
   const [error, setError] = useState(null);                   // Error messages
-  const [isLoading, setIsLoading] = useState(false);          // Loading indicator
   const [targetPage, setTargetPage] = useState(null);         // Current PDF page
+  const [activeItemId, setActiveItemId] = useState(null);     // Queue item shown in the panel
+  const [evidenceMatches, setEvidenceMatches] = useState({}); // Match confidence per evidence key
+  const [activeSection, setActiveSection] = useState("final-decision"); // Panel section shown
+  const [selectedEvidenceKey, setSelectedEvidenceKey] = useState(null); // Evidence linked across panes
+  const [review, setReview] = useState(createReview);        // Reviewer decisions on the shown result
+  const [sourceDocument, setSourceDocument] = useState(null); // { fileName, fileHash, evaluatedAt } of the shown result
+  const [ruleHistory, setRuleHistory] = useState(null);       // Versions of re-run rules
+  const [isShortcutHelpOpen, setIsShortcutHelpOpen] = useState(false); // Keyboard cheat-sheet visibility
+  const [rerunningRuleId, setRerunningRuleId] = useState(null); // Rule being re-run
+  const [searchParams, setSearchParams] = useSearchParams();
+  const displayedEvaluationId = useRef(null);                 // History id of the shown result
+  const pdfBlobUrlRef = useRef(null);                         // Revoked when replaced
+  const sourcePdfRef = useRef(null);                          // PDF of the shown result, for re-runs
+  const rerunControllerRef = useRef(null);                    // Aborts a re-run when the result changes
+  const reviewRef = useRef(review);                           // Latest review, for updates finishing later
+
+  const requestedEvaluationId = Number(searchParams.get("evaluation")) || null;
+
+  // Stable identity keeps the viewer from re-matching on every render
+  const evidences = useMemo(
+    () => getAllEvidences(applyReview(evaluationData, review)),
+    [evaluationData, review]
+  );
+
+  /**
+   * Displays a result with its source PDF
+   * @param {Object} params
+   * @param {Object} params.result - Canonical result
+   * @param {string|null} params.regulationId - Regulation of the result
+   * @param {Blob|null} params.pdf - Source PDF
+   * @param {number|null} params.evaluationId - History record id
+   * @param {Object|null} [params.review] - Stored review of the result
+   * @param {string} params.fileName - Source document name
+   * @param {string|null} [params.fileHash] - Source document SHA-256
+   * @param {string|null} [params.evaluatedAt] - When the evaluation completed
+   * @param {Object|null} [params.ruleHistory] - Versions of re-run rules
+   */
+  const showResult = useCallback(({
+    result,
+    regulationId,
+    pdf,
+    evaluationId,
+    review: storedReview = null,
+    fileName,
+    fileHash = null,
+    evaluatedAt = null,
+    ruleHistory: storedRuleHistory = null,
+  }) => {
+    if (pdfBlobUrlRef.current) URL.revokeObjectURL(pdfBlobUrlRef.current);
+    pdfBlobUrlRef.current = pdf ? URL.createObjectURL(pdf) : null;
+    sourcePdfRef.current = pdf;
+    rerunControllerRef.current?.abort();
+
+    displayedEvaluationId.current = evaluationId;
+    setEvaluationData(result);
+    setEvaluationRegulation(regulationId);
+    if (regulationId) onRegulationChange?.(regulationId);
+    setPdfBlobUrl(pdfBlobUrlRef.current);
+    setPdfVisible(false);
+    setTargetPage(null);
+    setEvidenceMatches({});
+    setActiveSection("final-decision");
+    setSelectedEvidenceKey(null);
+    reviewRef.current = storedReview ?? createReview();
+    setReview(reviewRef.current);
+    setSourceDocument({ fileName, fileHash, evaluatedAt });
+    setRuleHistory(storedRuleHistory);
+    setRerunningRuleId(null);
+    setError(null);
+    setSearchParams(evaluationId ? { evaluation: String(evaluationId) } : {}, { replace: true });
+  }, [onRegulationChange, setSearchParams]);
 
   /**
-   * Makes API call to backend for PDF evaluation
-   * @param {File} file - PDF file to evaluate
-   * @param {FormData} formData - Form data with file
-   * @returns {Promise<Object>} Evaluation results
+   * Shows a finished queue item in EvaluationPanel
+   * @param {Object} item - Queue item with status "done"
    */
-  const evaluateWithAPI = async (formData) => {
-    const response = await fetch(`${API_BASE}/evaluate-erisa`, {
-      method: "POST",
-      body: formData,
+  const viewItem = useCallback(async (item) => {
+    setActiveItemId(item.id);
+    // A review made earlier in the session lives in the history record
+    const record = item.evaluationId
+      ? await getEvaluation(item.evaluationId).catch((err) => {
+        logger.warn('Failed to load stored review', { id: item.evaluationId, error: err });
+        return null;
+      })
+      : null;
+    // Rules re-run since the queue finished are only in the history record
+    showResult({
+      result: record ? normalizeResult(record.result) : item.result,
+      regulationId: item.regulation,
+      pdf: item.file,
+      evaluationId: item.evaluationId,
+      review: record?.review,
+      fileName: item.fileName,
+      fileHash: item.fileHash,
+      evaluatedAt: record?.createdAt,
+      ruleHistory: record?.ruleHistory,
     });
+    logger.info('Showing queued evaluation result', { file: item.fileName });
+  }, [showResult]);
+
+  const queue = useEvaluationQueue({
+    // Show the first result automatically; later ones wait for the user
+    onItemComplete: (item) => {
+      if (!evaluationData) viewItem(item);
+    },
+  });
 
-    if (!response.ok) {
-      logger.error('Failed to evaluate PDF', { status: response.status });
-      throw new Error("Evaluation failed. Please try again.");
+  /**
+   * Reopens a stored evaluation when ?evaluation=<id> changes
+   * Triggered by dashboard row clicks and page reloads
+   */
+  useEffect(() => {
+    if (!requestedEvaluationId || requestedEvaluationId === displayedEvaluationId.current) return;
+
+    let cancelled = false;
+    const loadStoredEvaluation = async () => {
+      try {
+        const record = await getEvaluation(requestedEvaluationId);
+        if (cancelled) return;
+        if (!record) {
+          setError("The requested evaluation is no longer in history.");
+          return;
+        }
+
+        const result = normalizeResult(record.result);
+        const regulation = getRegulation(record.regulation) ?? inferRegulation(result.final_decision);
+        setActiveItemId(null);
+        showResult({
+          result,
+          regulationId: regulation?.id ?? null,
+          pdf: record.pdf,
+          evaluationId: record.id,
+          review: record.review,
+          fileName: record.fileName,
+          fileHash: record.fileHash,
+          evaluatedAt: record.createdAt,
+          ruleHistory: record.ruleHistory,
+        });
+        logger.info('Stored evaluation reopened', { id: record.id, file: record.fileName });
+      } catch (err) {
+        if (cancelled) return;
+        setError("Could not load the stored evaluation.");
+        logger.error('Failed to load stored evaluation', { id: requestedEvaluationId, error: err });
+      }
+    };
+
+    loadStoredEvaluation();
+    return () => { cancelled = true; };
+  }, [requestedEvaluationId, showResult]);
+
+  // Release the last PDF URL and stop a re-run when leaving the page
+  useEffect(() => () => {
+    if (pdfBlobUrlRef.current) URL.revokeObjectURL(pdfBlobUrlRef.current);
+    rerunControllerRef.current?.abort();
+  }, []);
+
+  /**
+   * Queues documents for evaluation
+   * @param {Array<{file: File, regulation: string}>} entries - Documents and their regulations
+   */
+  const handleEvaluate = (entries) => {
+    const valid = entries.filter(({ regulation }) => getRegulation(regulation));
+    if (valid.length < entries.length) {
+      setError("Some documents have an unsupported regulation and were not queued.");
+      logger.error('Unknown regulation selected', { entries });
+    } else {
+      setError(null);
     }
+    if (valid.length === 0) return;
 
-    return await response.json();
+    onRegulationChange?.(valid[valid.length - 1].regulation);
+    logger.info('Queueing evaluations', {
+      files: valid.map(({ file, regulation }) => ({ file: file.name, regulation })),
+    });
+    queue.enqueue(valid);
   };
 
   /**
-   * Simulates API response using local test data
-   * @returns {Promise<Object>} Test evaluation results
+   * Handles PDF navigation requests
+   * @param {number} pageNumber - Target page number
+   * @param {string} [evidenceKey] - Evidence to emphasize in the viewer
    */
-  const evaluateLocally = async () => {
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    return testResult;
+  const handleOpenPDF = (pageNumber, evidenceKey = null) => {
+    logger.info('PDF page requested', { pageNumber, evidenceKey });
+    setTargetPage(pageNumber);
+    setSelectedEvidenceKey(evidenceKey);
+    if (!pdfVisible) setPdfVisible(true);
   };
 
   /**
-   * Handles PDF evaluation workflow
-   * @param {File} file - Uploaded PDF file
-   * @param {string} regulation - Selected regulation type
+   * Reveals the rule owning a highlight clicked in the PDF
+   * @param {string} evidenceKey - Clicked evidence
    */
-  const handleEvaluate = async (file, regulation) => {
-    if (!file) return;
+  const handleEvidenceSelect = useCallback((evidenceKey) => {
+    const evidence = evidences.find((ev) => ev.key === evidenceKey);
+    if (!evidence) return;
+    logger.info('Evidence selected in PDF', { evidenceKey, rule: evidence.ruleName });
+    setActiveSection(`rule-${evidence.ruleIndex}`);
+    setSelectedEvidenceKey(evidenceKey);
+  }, [evidences]);
 
-    setIsLoading(true);
-    setError(null);
+  /**
+   * Appends an event about the shown result to the audit log
+   * @param {string} type - Audit event type
+   * @param {Object} details - Event-specific data
+   */
+  const auditShownResult = (type, details) => {
+    recordAuditEvent({
+      type,
+      actor: settings.reviewerName,
+      evaluationId: displayedEvaluationId.current,
+      fileName: sourceDocument?.fileName ?? null,
+      fileHash: sourceDocument?.fileHash ?? null,
+      details,
+    });
+  };
 
-    const blobUrl = URL.createObjectURL(file);
-    setPdfBlobUrl(blobUrl);
-    logger.info('Starting evaluation', { file: file.name, regulation, mode: IS_PROD ? 'production' : 'local' });
-    setPdfVisible(false);
+  /**
+   * Applies a change to the latest review and saves it with the history record
+   * @param {Function} update - (review) => updated review
+   */
+  const updateReview = (update) => {
+    const next = update(reviewRef.current);
+    reviewRef.current = next;
+    setReview(next);
+
+    const evaluationId = displayedEvaluationId.current;
+    if (!evaluationId) return;
+    saveReview(evaluationId, next).catch((err) => {
+      setError("The review could not be saved to history.");
+      logger.error('Failed to save review', { id: evaluationId, error: err });
+    });
+  };
+
+  /**
+   * Records a reviewer decision on a rule or the final decision
+   * @param {string} targetId - Rule id or FINAL_DECISION_ID
+   * @param {Object|null} decision - Decision, null to withdraw it
+   */
+  const handleReviewDecision = (targetId, decision) => {
+    logger.info('Review decision recorded', { targetId, action: decision?.action ?? 'withdrawn' });
+    updateReview((current) => setReviewDecision(
+      current,
+      targetId,
+      decision && { ...decision, decidedBy: settings.reviewerName || null }
+    ));
+    auditShownResult("review.decision", {
+      targetId,
+      targetName: targetId === FINAL_DECISION_ID
+        ? "Final decision"
+        : evaluationData.rules.find((rule) => rule.id === targetId)?.ruleName,
+      action: decision?.action ?? "withdrawn",
+      changes: decision?.changes ?? {},
+      comment: decision?.comment ?? null,
+    });
+  };
+
+  // Rule open in the panel, which receives evidence attached in the PDF
+  const activeRule = activeSection.startsWith("rule-")
+    ? evaluationData?.rules[Number(activeSection.slice("rule-".length))] ?? null
+    : null;
+
+  /**
+   * Attaches text selected in the PDF to the open rule
+   * @param {{pageNumber: number, pageText: string}} evidence - Printed page and text
+   */
+  const handleAttachEvidence = (evidence) => {
+    if (!activeRule) return;
+    logger.info('Reviewer evidence attached', { rule: activeRule.ruleName, pageNumber: evidence.pageNumber });
+    updateReview((current) => addReviewEvidence(current, activeRule.id, {
+      ...evidence,
+      addedBy: settings.reviewerName || null,
+    }));
+    auditShownResult("review.evidence", {
+      action: "added",
+      ruleId: activeRule.id,
+      ruleName: activeRule.ruleName,
+      ...evidence,
+    });
+  };
+
+  /**
+   * Removes evidence the reviewer attached
+   * @param {string} ruleId - Rule owning the evidence
+   * @param {number} index - Position within the rule's attached evidence
+   */
+  const handleRemoveEvidence = (ruleId, index) => {
+    const removed = review.addedEvidence[ruleId]?.[index];
+    updateReview((current) => removeReviewEvidence(current, ruleId, index));
+    auditShownResult("review.evidence", {
+      action: "removed",
+      ruleId,
+      pageNumber: removed?.pageNumber,
+      pageText: removed?.pageText,
+    });
+  };
+
+  /**
+   * Signs off the reviewed final decision in the reviewer's name
+   */
+  const handleSignOff = () => {
+    if (!settings.reviewerName || getSignOffBlocker(review)) return;
+    const regulation = getRegulation(evaluationRegulation) ?? inferRegulation(evaluationData.final_decision);
+    const eligible = getEligibility(regulation, applyReview(evaluationData, review).final_decision);
+
+    logger.info('Evaluation signed off', { evaluationId: displayedEvaluationId.current, eligible });
+    updateReview((current) => signOffReview(current, { signedBy: settings.reviewerName, eligible }));
+    auditShownResult("review.signedOff", {
+      regulation: regulation?.id ?? null,
+      eligible,
+      modelEligible: getEligibility(regulation, evaluationData.final_decision),
+      decisions: Object.fromEntries(
+        Object.entries(review.decisions).map(([targetId, decision]) => [targetId, decision.action])
+      ),
+      changes: getReviewChanges(evaluationData, review),
+    });
+  };
+
+  /**
+   * Re-evaluates one rule and merges the answer into the shown result
+   * The reviewer's decision on the rule, and on the final decision when the
+   * backend refreshed it, no longer applies and is dropped. Review changes
+   * made during the re-run are kept; showing another result aborts it, so
+   * the result and rule history cannot change meanwhile
+   * @param {string} ruleId - Rule to re-run
+   */
+  const handleRerunRule = async (ruleId) => {
+    const regulation = getRegulation(evaluationRegulation) ?? inferRegulation(evaluationData.final_decision);
+    const pdf = sourcePdfRef.current;
+    const rule = evaluationData.rules.find((candidate) => candidate.id === ruleId);
+    if (!regulation || !pdf || rerunningRuleId) return;
+
+    const controller = new AbortController();
+    rerunControllerRef.current = controller;
+    setRerunningRuleId(ruleId);
+    setError(null);
+    logger.info('Re-running rule', { rule: rule.ruleName, evaluationId: displayedEvaluationId.current });
 
     try {
-      let result;
-      if (IS_PROD) {
-        const formData = new FormData();
-        formData.append("file", file);
-        result = await evaluateWithAPI(formData);
-      } else {
-        result = await evaluateLocally();
-      }
+      // Stored PDFs are plain blobs; the backend expects a named file
+      const file = pdf instanceof File
+        ? pdf
+        : new File([pdf], sourceDocument?.fileName ?? "document.pdf", { type: "application/pdf" });
+      const rerun = await rerunRule({
+        settings,
+        regulation,
+        file,
+        result: evaluationData,
+        rule,
+        signal: controller.signal,
+      });
+      if (controller.signal.aborted) return;
+      const { result, finalDecisionRefreshed } = mergeRuleRerun(evaluationData, ruleId, rerun);
+      const nextRuleHistory = addRuleVersion(ruleHistory, {
+        before: evaluationData,
+        after: result,
+        ruleId,
+        finalDecisionRefreshed,
+        initialEvaluatedAt: sourceDocument?.evaluatedAt,
+        requestedBy: settings.reviewerName || null,
+        regulation,
+      });
+      const nextReview = discardDecisions(
+        reviewRef.current,
+        finalDecisionRefreshed ? [ruleId, FINAL_DECISION_ID] : [ruleId]
+      );
 
+      reviewRef.current = nextReview;
       setEvaluationData(result);
-      logger.info('Evaluation completed', { mode: IS_PROD ? 'production' : 'local', result });
+      setRuleHistory(nextRuleHistory);
+      setReview(nextReview);
+
+      const evaluationId = displayedEvaluationId.current;
+      if (evaluationId) {
+        saveRuleRerun(evaluationId, { result, ruleHistory: nextRuleHistory, review: nextReview }).catch((err) => {
+          setError("The re-run rule could not be saved to history.");
+          logger.error('Failed to save rule re-run', { id: evaluationId, error: err });
+        });
+      }
+
+      const version = nextRuleHistory.versions[ruleId].at(-1);
+      auditShownResult("evaluation.ruleRerun", {
+        ruleId,
+        ruleName: rule.ruleName,
+        version: version.version,
+        changes: version.changes,
+        pages: version.pages,
+        finalDecisionRefreshed,
+        eligible: getEligibility(regulation, result.final_decision),
+        previousEligible: getEligibility(regulation, evaluationData.final_decision),
+      });
     } catch (err) {
-      setError(err.message || "Analysis failed. Please try again.");
-      logger.error('Evaluation error', { error: err, mode: IS_PROD ? 'production' : 'local' });
-      setEvaluationData(null);
+      if (isAbortError(err)) return;
+      logger.error('Rule re-run failed', { rule: rule.ruleName, error: err });
+      setError(`Could not re-run "${rule.ruleName}": ${err.message}`);
     } finally {
-      setIsLoading(false);
+      if (rerunControllerRef.current === controller) {
+        rerunControllerRef.current = null;
+        setRerunningRuleId(null);
+      }
     }
   };
 
   /**
-   * Handles PDF navigation requests
-   * @param {number} pageNumber - Target page number
+   * Records a download of the shown result
+   * @param {{format: string, fileName: string}} exported - Export format and file name
    */
-  const handleOpenPDF = (pageNumber) => {
-    logger.info('PDF page requested', { pageNumber });
-    setTargetPage(pageNumber);
-    if (!pdfVisible) setPdfVisible(true);
+  const handleExport = (exported) => {
+    auditShownResult("result.exported", exported);
   };
 
-  /**
-   * Extracts evidence entries for PDF highlighting
-   * @param {Array} rules - Evaluation rules with evidence
-   * @returns {Array} Flattened evidence entries
-   */
-  const getAllEvidences = (rules) => {
-    if (!rules) return [];
-
-    return rules.flatMap(rule => {
-      if (rule.ruleName === "Contemplated Transactions") {
-        return rule.transactionDetails.flatMap(transaction =>
-          transaction.evidence.map(ev => ({
-            pageNumber: ev.pageNumber,
-            evidence: ev.pageText
-          }))
-        );
-      }
-      return rule.evidence?.map(ev => ({
-        pageNumber: ev.pageNumber,
-        evidence: ev.pageText
-      })) || [];
-    });
-  };
+  // ShortcutHelp handles the keys while open
+  useKeyboardShortcuts({ "?": () => setIsShortcutHelpOpen(true) }, Boolean(evaluationData));
 
   return (
     <div className={`flex overflow-hidden h-full ${!pdfVisible ? 'block' : 'flex'}`}>
       <div className={`${!pdfVisible ? 'w-full' : 'w-1/2'} p-4 overflow-y-auto space-y-6 border-r border-gray-200 transition-all duration-300`}>
         <UploadPanel
           onEvaluate={handleEvaluate}
-          isLoading={isLoading}
+          onRegulationChange={onRegulationChange}
+          queue={queue.items}
+          activeItemId={activeItemId}
+          onView={viewItem}
+          onCancel={queue.cancel}
+          onRetry={queue.retry}
+          onRemove={queue.remove}
+          onClearFinished={queue.clearFinished}
           error={error}
         />
         <EvaluationPanel
           data={evaluationData}
+          regulation={evaluationRegulation}
+          evidenceMatches={evidenceMatches}
+          activeSection={activeSection}
+          onSectionChange={setActiveSection}
+          selectedEvidenceKey={selectedEvidenceKey}
           onOpenPDF={handleOpenPDF}
+          review={review}
+          onReviewDecision={handleReviewDecision}
+          onRemoveEvidence={handleRemoveEvidence}
+          reviewerName={settings.reviewerName}
+          onSignOff={handleSignOff}
+          onExport={handleExport}
+          sourceDocument={sourceDocument}
+          ruleHistory={ruleHistory}
+          rerunningRuleId={rerunningRuleId}
+          onRerunRule={pdfBlobUrl ? handleRerunRule : undefined}
+          confidenceThresholds={{ low: settings.confidenceLow, high: settings.confidenceHigh }}
         />
+        {evaluationData && (
+          <button
+            onClick={() => setIsShortcutHelpOpen(true)}
+            className="text-xs text-gray-500 hover:text-blue-600"
+          >
+            ⌨️ Press <kbd className="px-1 font-mono bg-gray-100 border border-gray-300 rounded">?</kbd> for keyboard shortcuts
+          </button>
+        )}
       </div>
 
       {pdfVisible && (
         <div className="w-1/2 animate-fadeIn">
-          <AdvancedPDFViewer
-            file={pdfBlobUrl}
-            evidences={getAllEvidences(evaluationData?.rules)}
-            targetPage={targetPage}
-          />
+          {pdfBlobUrl ? (
+            <AdvancedPDFViewer
+              file={pdfBlobUrl}
+              fileHash={sourceDocument?.fileHash ?? null}
+              evidences={evidences}
+              targetPage={targetPage}
+              onMatchResults={setEvidenceMatches}
+              selectedEvidenceKey={selectedEvidenceKey}
+              onEvidenceSelect={handleEvidenceSelect}
+              attachTargetName={activeRule?.ruleName ?? null}
+              onAttachEvidence={handleAttachEvidence}
+            />
+          ) : (
+            <div className="flex items-center justify-center h-full text-gray-500 p-8 text-center">
+              The source PDF is not available for this result.
+            </div>
+          )}
         </div>
       )}
+
+      {isShortcutHelpOpen && <ShortcutHelp onClose={() => setIsShortcutHelpOpen(false)} />}
     </div>
   );
 };
@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Editable runtime settings
+ *
+ * Changes are stored in this browser only. "Reset" restores the values
+ * provided by the deployment (env variables and config.json).
+ */
+
+import { useEffect, useState } from "react";
+import { FIXTURES, LOG_LEVELS } from "../config/settings";
+import { useSettings } from "../context/SettingsContext";
+
+const SettingsPage = () => {
+  const { settings, defaults, overrides, updateSettings, resetSettings } = useSettings();
+  const [form, setForm] = useState(settings);
+  const [saved, setSaved] = useState(false);
+
+  // Refresh the form when settings change elsewhere (config.json load, reset)
+  useEffect(() => {
+    setForm(settings);
+  }, [settings]);
+
+  const setField = (key, value) => {
+    setForm((prev) => ({ ...prev, [key]: value }));
+    setSaved(false);
+  };
+
+  // The high band must start at or above the medium band
+  const areBandsInverted = Number(form.confidenceLow) > Number(form.confidenceHigh);
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (areBandsInverted) return;
+    updateSettings({
+      ...form,
+      requestTimeoutMs: Number(form.requestTimeoutMs),
+      pollIntervalMs: Number(form.pollIntervalMs),
+      maxConcurrentEvaluations: Number(form.maxConcurrentEvaluations),
+      confidenceLow: Number(form.confidenceLow),
+      confidenceHigh: Number(form.confidenceHigh),
+    });
+    setSaved(true);
+  };
+
+  const handleReset = () => {
+    resetSettings();
+    setSaved(false);
+  };
+
+  /**
+   * Shows the deployment default next to overridden fields
+   */
+  const renderDefaultHint = (key) =>
+    key in overrides && (
+      <span className="text-xs text-gray-500 ml-2">
+        (default: {String(defaults[key])})
+      </span>
+    );
+
+  return (
+    <main className="flex-1 p-8 overflow-auto">
+      <h2 className="text-xl font-bold">⚙️ Settings</h2>
+      <p className="text-gray-600 mt-2">Stored in this browser and applied immediately.</p>
+
+      <form
+        onSubmit={handleSave}
+        className="mt-6 max-w-xl bg-white p-6 rounded-lg shadow-sm border border-gray-200 space-y-5"
+      >
+        <label className="block">
+          <span className="font-medium text-gray-700">Your name</span>
+          {renderDefaultHint("reviewerName")}
+          <input
+            type="text"
+            value={form.reviewerName}
+            onChange={(e) => setField("reviewerName", e.target.value)}
+            placeholder="e.g. Jane Doe, Compliance"
+            className="mt-1 border border-gray-300 rounded px-3 py-2 w-full focus:ring-2 focus:ring-blue-500"
+          />
+          <span className="text-sm text-gray-500">
+            Recorded with review decisions, sign-offs and audit log events.
+          </span>
+        </label>
+
+        <label className="block">
+          <span className="font-medium text-gray-700">Backend URL</span>
+          {renderDefaultHint("apiBaseUrl")}
+          <input
+            type="url"
+            required
+            value={form.apiBaseUrl}
+            onChange={(e) => setField("apiBaseUrl", e.target.value)}
+            className="mt-1 border border-gray-300 rounded px-3 py-2 w-full focus:ring-2 focus:ring-blue-500"
+          />
+        </label>
+
+        <label className="block">
+          <span className="font-medium text-gray-700">Request timeout (seconds)</span>
+          {renderDefaultHint("requestTimeoutMs")}
+          <input
+            type="number"
+            min="1"
+            required
+            value={Math.round(form.requestTimeoutMs / 1000)}
+            onChange={(e) => setField("requestTimeoutMs", Number(e.target.value) * 1000)}
+            className="mt-1 border border-gray-300 rounded px-3 py-2 w-40 focus:ring-2 focus:ring-blue-500"
+          />
+        </label>
+
+        <label className="block">
+          <span className="font-medium text-gray-700">Parallel evaluations</span>
+          {renderDefaultHint("maxConcurrentEvaluations")}
+          <input
+            type="number"
+            min="1"
+            max="10"
+            required
+            value={form.maxConcurrentEvaluations}
+            onChange={(e) => setField("maxConcurrentEvaluations", Number(e.target.value))}
+            className="mt-1 block border border-gray-300 rounded px-3 py-2 w-24 focus:ring-2 focus:ring-blue-500"
+          />
+        </label>
+
+        <fieldset>
+          <legend className="font-medium text-gray-700">
+            Evaluation protocol
+            {renderDefaultHint("evaluationProtocol")}
+          </legend>
+          <label className="flex items-center gap-2 mt-1">
+            <input
+              type="radio"
+              name="evaluationProtocol"
+              checked={form.evaluationProtocol === "sync"}
+              onChange={() => setField("evaluationProtocol", "sync")}
+            />
+            <span>Single request</span>
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="radio"
+              name="evaluationProtocol"
+              checked={form.evaluationProtocol === "jobs"}
+              onChange={() => setField("evaluationProtocol", "jobs")}
+            />
+            <span>Background job with progress polling</span>
+          </label>
+          <label className="flex items-center gap-2 mt-2 ml-6 text-sm text-gray-700">
+            Poll every
+            <input
+              type="number"
+              min="0.25"
+              step="0.25"
+              value={form.pollIntervalMs / 1000}
+              onChange={(e) => setField("pollIntervalMs", Number(e.target.value) * 1000)}
+              disabled={form.evaluationProtocol !== "jobs"}
+              className="border border-gray-300 rounded px-2 py-1 w-20 disabled:opacity-50"
+            />
+            seconds
+          </label>
+        </fieldset>
+
+        <div>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={form.mockMode}
+              onChange={(e) => setField("mockMode", e.target.checked)}
+              className="h-4 w-4"
+            />
+            <span className="font-medium text-gray-700">Mock mode</span>
+            {renderDefaultHint("mockMode")}
+          </label>
+          <p className="text-sm text-gray-500 mt-1 ml-6">
+            Skip the backend and return a bundled result fixture.
+          </p>
+          <select
+            value={form.mockFixture}
+            onChange={(e) => setField("mockFixture", e.target.value)}
+            disabled={!form.mockMode}
+            className="mt-2 ml-6 border border-gray-300 rounded px-3 py-2 bg-white disabled:opacity-50"
+          >
+            {FIXTURES.map((fixture) => (
+              <option key={fixture} value={fixture}>{fixture}</option>
+            ))}
+          </select>
+        </div>
+
+        <fieldset>
+          <legend className="font-medium text-gray-700">
+            Confidence bands
+            {renderDefaultHint("confidenceLow")}
+            {renderDefaultHint("confidenceHigh")}
+          </legend>
+          <div className="flex items-center gap-2 mt-1 text-sm text-gray-700">
+            Medium from
+            <input
+              type="number"
+              min="0"
+              max="100"
+              required
+              value={Math.round(form.confidenceLow * 100)}
+              onChange={(e) => setField("confidenceLow", Number(e.target.value) / 100)}
+              className="border border-gray-300 rounded px-2 py-1 w-20"
+            />
+            %, high from
+            <input
+              type="number"
+              min={Math.round(form.confidenceLow * 100)}
+              max="100"
+              required
+              value={Math.round(form.confidenceHigh * 100)}
+              onChange={(e) => setField("confidenceHigh", Number(e.target.value) / 100)}
+              className="border border-gray-300 rounded px-2 py-1 w-20"
+            />
+            %
+          </div>
+          <p className="text-sm text-gray-500 mt-1">
+            Bands of the final decision confidence gauge.
+          </p>
+          {areBandsInverted && (
+            <p className="text-sm text-red-700 mt-1">
+              The high band must start at or above the medium band.
+            </p>
+          )}
+        </fieldset>
+
+        <label className="block">
+          <span className="font-medium text-gray-700">Log level</span>
+          {renderDefaultHint("logLevel")}
+          <select
+            value={form.logLevel}
+            onChange={(e) => setField("logLevel", e.target.value)}
+            className="mt-1 block border border-gray-300 rounded px-3 py-2 bg-white"
+          >
+            {LOG_LEVELS.map((level) => (
+              <option key={level} value={level}>{level}</option>
+            ))}
+          </select>
+        </label>
+
+        <div className="flex items-center gap-3 pt-2">
+          <button
+            type="submit"
+            className="px-6 py-2.5 bg-gradient-to-r from-blue-600 to-blue-700 text-white rounded-lg
+                       hover:from-blue-700 hover:to-blue-800 transition-colors shadow-sm"
+          >
+            Save
+          </button>
+          <button
+            type="button"
+            onClick={handleReset}
+            className="px-4 py-2.5 bg-gray-200 rounded-lg hover:bg-gray-300"
+          >
+            Reset to defaults
+          </button>
+          {saved && <span className="text-sm text-green-700">Settings saved.</span>}
+        </div>
+      </form>
+    </main>
+  );
+};
+
+export default SettingsPage;
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Append-only audit trail of evaluation and review events
+ *
+ * Events are only ever added: this module offers no update or delete, so
+ * the log documents how each eligibility decision was reached. Failures to
+ * write are logged but never interrupt the action being audited.
+ *
+ * Record shape:
+ * - id: Auto-incremented key, also the order of events
+ * - timestamp: ISO timestamp
+ * - type: One of AUDIT_EVENT_TYPES
+ * - actor: Reviewer name from Settings, null when not set
+ * - evaluationId: History record concerned, if any
+ * - fileName, fileHash: Source document name and SHA-256, if any
+ * - details: Event-specific data
+ */
+
+import { AUDIT_LOG_STORE, runTransaction } from "./db";
+import logger from '../logger';
+
+export const AUDIT_EVENT_TYPES = {
+  "document.uploaded": "Document uploaded",
+  "evaluation.completed": "Evaluation completed",
+  "evaluation.failed": "Evaluation failed",
+  "evaluation.imported": "Result imported",
+  "evaluation.deleted": "Evaluation removed from history",
+  "evaluation.ruleRerun": "Rule re-evaluated",
+  "review.decision": "Review decision",
+  "review.evidence": "Reviewer evidence",
+  "review.signedOff": "Signed off",
+  "result.exported": "Result exported",
+  "auditLog.exported": "Audit log exported",
+};
+
+/**
+ * Appends an event to the audit log
+ * @param {Object} event
+ * @param {string} event.type - One of AUDIT_EVENT_TYPES
+ * @param {string|null} [event.actor] - Reviewer name
+ * @param {number|null} [event.evaluationId] - History record concerned
+ * @param {string|null} [event.fileName] - Source document name
+ * @param {string|null} [event.fileHash] - Source document SHA-256
+ * @param {Object} [event.details] - Event-specific data
+ * @returns {Promise<number|null>} Id of the event, null when it could not be stored
+ */
+export const recordAuditEvent = async ({
+  type,
+  actor = null,
+  evaluationId = null,
+  fileName = null,
+  fileHash = null,
+  details = {},
+}) => {
+  const record = {
+    timestamp: new Date().toISOString(),
+    type,
+    actor: actor || null,
+    evaluationId,
+    fileName,
+    fileHash,
+    details,
+  };
+
+  try {
+    return await runTransaction(AUDIT_LOG_STORE, "readwrite", (store) => store.add(record));
+  } catch (err) {
+    logger.error('Failed to write audit event', { type, error: err });
+    return null;
+  }
+};
+
+/**
+ * Lists all audit events, newest first
+ * @returns {Promise<Array>} Audit records
+ */
+export const listAuditEvents = async () => {
+  const records = await runTransaction(AUDIT_LOG_STORE, "readonly", (store) =>
+    store.getAll()
+  );
+  return records.sort((a, b) => b.id - a.id);
+};
+
+/**
+ * Serializes events as JSON Lines, oldest first
+ * @param {Array} events - Audit records
+ * @returns {string} One JSON object per line
+ */
+export const toJsonLines = (events) =>
+  [...events]
+    .sort((a, b) => a.id - b.id)
+    .map((event) => `${JSON.stringify(event)}\n`)
+    .join("");
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Shared IndexedDB connection for locally persisted data
+ *
+ * Every object store the app uses is created here so that schema upgrades
+ * happen in one place. Bump DB_VERSION and append a migration when adding
+ * a store or index; existing migrations must never be edited.
+ */
+
+const DB_NAME = "regulation-evaluator";
+
+// Store names
+export const EVALUATIONS_STORE = "evaluations";
+export const PENDING_JOBS_STORE = "pendingJobs";
+export const AUDIT_LOG_STORE = "auditLog";
+
+/**
+ * Ordered schema migrations, index + 1 === database version
+ */
+const MIGRATIONS = [
+  // v1: evaluation history
+  (db) => {
+    const store = db.createObjectStore(EVALUATIONS_STORE, {
+      keyPath: "id",
+      autoIncrement: true,
+    });
+    store.createIndex("createdAt", "createdAt");
+  },
+  // v2: background jobs awaiting their result
+  (db) => {
+    db.createObjectStore(PENDING_JOBS_STORE, { keyPath: "jobId" });
+  },
+  // v3: append-only audit trail
+  (db) => {
+    const store = db.createObjectStore(AUDIT_LOG_STORE, {
+      keyPath: "id",
+      autoIncrement: true,
+    });
+    store.createIndex("timestamp", "timestamp");
+    store.createIndex("type", "type");
+  },
+];
+
+const DB_VERSION = MIGRATIONS.length;
+
+let dbPromise = null;
+
+/**
+ * Opens (and upgrades if needed) the application database
+ * The connection is cached for the lifetime of the page
+ * @returns {Promise<IDBDatabase>} Open database connection
+ */
+export const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available in this browser."));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      for (let version = event.oldVersion; version < DB_VERSION; version++) {
+        MIGRATIONS[version](db, request.transaction);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Runs a single request against one object store
+ * @param {string} storeName - Object store to use
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite"
+ * @param {Function} operation - Receives the store, returns an IDBRequest
+ * @returns {Promise<*>} Result of the request once the transaction completes
+ */
+export const runTransaction = async (storeName, mode, operation) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Reads, changes and writes back one record in a single transaction
+ * Concurrent updates of the same record cannot overwrite each other
+ * @param {string} storeName - Object store to use
+ * @param {IDBValidKey} key - Record key
+ * @param {Function} update - (record) => updated record; runs synchronously
+ *   inside the transaction, and an exception aborts it
+ * @returns {Promise<Object|undefined>} Stored record, undefined when no
+ *   record has the key
+ */
+export const updateRecord = async (storeName, key, update) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, "readwrite");
+    const store = transaction.objectStore(storeName);
+    const request = store.get(key);
+    let updated;
+    let updateError = null;
+
+    request.onsuccess = () => {
+      if (!request.result) return;
+      try {
+        updated = update(request.result);
+      } catch (err) {
+        updateError = err;
+        transaction.abort();
+        return;
+      }
+      store.put(updated);
+    };
+    transaction.oncomplete = () => resolve(updated);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(updateError ?? transaction.error);
+  });
+};
+
+/**
+ * Maps every record of a store, one record at a time
+ * Only the mapped values are kept, so large fields such as PDF blobs are
+ * never all held in memory together
+ * @param {string} storeName - Object store to read
+ * @param {Function} map - (record) => value to keep
+ * @returns {Promise<Array>} Mapped values in key order
+ */
+export const mapRecords = async (storeName, map) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, "readonly");
+    const request = transaction.objectStore(storeName).openCursor();
+    const mapped = [];
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      mapped.push(map(cursor.value));
+      cursor.continue();
+    };
+    transaction.oncomplete = () => resolve(mapped);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
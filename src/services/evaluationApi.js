@@ -0,0 +1,349 @@
+/**
+ * @fileoverview Backend calls for document evaluation
+ *
+ * Protocols (chosen on the Settings page):
+ * ---------------------------------------
+ * - sync: POST {endpoint} holds the connection open and returns the result
+ * - jobs: Long-running evaluation split into short requests
+ *     POST   {endpoint}/jobs         -> { jobId }
+ *     GET    /jobs/{jobId}           -> { status, progress }
+ *     GET    /jobs/{jobId}/result    -> evaluation result
+ *     DELETE /jobs/{jobId}           -> cancels the job
+ *
+ *   status is one of "queued", "running", "completed", "failed", "cancelled".
+ *   progress is { completed, total, rules: [{ ruleName, status }] } where a
+ *   rule status is "pending", "running", "done" or "failed".
+ *
+ * Single rules are re-evaluated synchronously with either protocol:
+ *   POST {endpoint}/rules -> result in a supported format holding only the
+ *   re-evaluated rule and, when the backend refreshes it, final_decision.
+ *   The form carries the PDF, the regulation fields, "ruleName" and
+ *   "result", the current canonical result as JSON, so the backend can
+ *   reconsider the final decision without evaluating the other rules again.
+ *
+ * The request timeout applies to each HTTP request, so a job may run for
+ * longer than the timeout as long as status polls keep answering.
+ */
+
+import { FIXTURES, loadFixture } from "../config/settings";
+import { normalizeResult } from "../utils/resultSchema";
+import { buildEvaluationForm, checkResultForRegulation } from "../config/regulations";
+import logger from '../logger';
+
+// Consecutive failed status polls tolerated before giving up
+const MAX_POLL_FAILURES = 3;
+
+// Delay per rule when simulating progress in mock mode
+const MOCK_RULE_DELAY_MS = 150;
+
+/**
+ * Raised when the backend answers with an error status
+ */
+export class EvaluationRequestError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "EvaluationRequestError";
+    this.status = status;
+  }
+}
+
+/**
+ * Raised when a job ends in the "failed" or "cancelled" state on the backend
+ */
+export class EvaluationJobError extends Error {
+  constructor(message, jobId, status) {
+    super(message);
+    this.name = "EvaluationJobError";
+    this.jobId = jobId;
+    this.status = status;
+  }
+}
+
+/**
+ * Checks whether an error was caused by the caller aborting
+ * @param {Error} err - Caught error
+ * @returns {boolean}
+ */
+export const isAbortError = (err) => err?.name === "AbortError";
+
+/**
+ * Waits for a delay, rejecting early when the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException("Aborted", "AbortError"));
+      return;
+    }
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(new DOMException("Aborted", "AbortError"));
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+/**
+ * Performs a JSON request bounded by the configured timeout
+ * @param {string} url - Request URL
+ * @param {RequestInit} options - Fetch options
+ * @param {Object} context
+ * @param {number} context.timeoutMs - Per-request timeout
+ * @param {AbortSignal} [context.signal] - Caller cancellation signal
+ * @returns {Promise<Object>} Parsed response body
+ */
+const requestJSON = async (url, options, { timeoutMs, signal }) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timeoutId = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  try {
+    const response = await fetch(url, { ...options, signal: controller.signal });
+    if (!response.ok) {
+      logger.error('Evaluation request failed', { url, status: response.status });
+      throw new EvaluationRequestError("Evaluation failed. Please try again.", response.status);
+    }
+    return await response.json();
+  } catch (err) {
+    if (timedOut) {
+      logger.error('Evaluation request timed out', { url, timeoutMs });
+      throw new Error("The evaluation service did not respond in time. Please try again.");
+    }
+    throw err;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener("abort", onAbort);
+  }
+};
+
+/**
+ * Converts a backend job status into UI progress
+ * @param {Object} job - Job status response
+ * @returns {Object} { status, completed, total, rules }
+ */
+const toProgress = (job) => {
+  const rules = job.progress?.rules ?? [];
+  return {
+    status: job.status,
+    completed: job.progress?.completed ?? rules.filter((rule) => rule.status === "done").length,
+    total: job.progress?.total ?? rules.length,
+    rules,
+  };
+};
+
+/**
+ * Submits a document as a background job
+ * @param {Object} params
+ * @param {Object} params.settings - Active settings
+ * @param {Object} params.regulation - Regulation registry entry
+ * @param {File} params.file - PDF to evaluate
+ * @param {AbortSignal} [params.signal] - Cancellation signal
+ * @returns {Promise<string>} Job id
+ */
+export const submitEvaluationJob = async ({ settings, regulation, file, signal }) => {
+  const { jobId } = await requestJSON(
+    `${settings.apiBaseUrl}${regulation.endpoint}/jobs`,
+    { method: "POST", body: buildEvaluationForm(regulation, file) },
+    { timeoutMs: settings.requestTimeoutMs, signal }
+  );
+  if (!jobId) throw new Error("The evaluation service did not return a job id.");
+  logger.info('Evaluation job submitted', { jobId, regulation: regulation.id });
+  return jobId;
+};
+
+/**
+ * Polls a job until it finishes and returns its result
+ * @param {Object} params
+ * @param {Object} params.settings - Active settings
+ * @param {string} params.jobId - Job to follow
+ * @param {AbortSignal} [params.signal] - Stops polling when aborted
+ * @param {Function} [params.onProgress] - Receives progress updates
+ * @returns {Promise<Object>} Raw evaluation result
+ * @throws {EvaluationJobError} When the job fails, is cancelled remotely or
+ *   no longer exists
+ */
+export const pollEvaluationJob = async ({ settings, jobId, signal, onProgress }) => {
+  const context = { timeoutMs: settings.requestTimeoutMs, signal };
+  let failures = 0;
+
+  for (;;) {
+    let job;
+    try {
+      job = await requestJSON(`${settings.apiBaseUrl}/jobs/${jobId}`, { method: "GET" }, context);
+      failures = 0;
+    } catch (err) {
+      if (err instanceof EvaluationRequestError && err.status === 404) {
+        throw new EvaluationJobError("The evaluation job no longer exists on the server.", jobId, "missing");
+      }
+      // Transient network errors should not lose a job that keeps running
+      if (isAbortError(err) || ++failures >= MAX_POLL_FAILURES) throw err;
+      logger.warn('Job status poll failed, retrying', { jobId, failures, error: err });
+      await sleep(settings.pollIntervalMs, signal);
+      continue;
+    }
+
+    onProgress?.(toProgress(job));
+
+    if (job.status === "completed") {
+      return requestJSON(`${settings.apiBaseUrl}/jobs/${jobId}/result`, { method: "GET" }, context);
+    }
+    if (job.status === "failed" || job.status === "cancelled") {
+      throw new EvaluationJobError(
+        job.error || `The evaluation job was ${job.status}.`,
+        jobId,
+        job.status
+      );
+    }
+
+    await sleep(settings.pollIntervalMs, signal);
+  }
+};
+
+/**
+ * Asks the backend to stop a job; failures are only logged
+ * @param {Object} params
+ * @param {Object} params.settings - Active settings
+ * @param {string} params.jobId - Job to cancel
+ */
+export const cancelEvaluationJob = async ({ settings, jobId }) => {
+  try {
+    await fetch(`${settings.apiBaseUrl}/jobs/${jobId}`, { method: "DELETE" });
+    logger.info('Evaluation job cancelled', { jobId });
+  } catch (err) {
+    logger.warn('Could not cancel evaluation job', { jobId, error: err });
+  }
+};
+
+/**
+ * Checks whether a fixture holds a result of the regulation
+ * @param {Object} fixture - Raw fixture
+ * @param {Object} regulation - Regulation registry entry
+ * @returns {boolean}
+ */
+const fitsRegulation = (fixture, regulation) =>
+  checkResultForRegulation(regulation, normalizeResult(fixture)).length === 0;
+
+/**
+ * Loads the configured fixture for a mock evaluation
+ * @param {Object} settings - Active settings
+ * @param {Object} regulation - Regulation registry entry
+ * @returns {Promise<Object>} Raw fixture
+ * @throws {Error} When the fixture answers for another regulation, naming
+ *   the bundled fixtures that would fit
+ */
+const loadFixtureFor = async (settings, regulation) => {
+  const result = await loadFixture(settings.mockFixture);
+  if (fitsRegulation(result, regulation)) return result;
+
+  const fitting = [];
+  for (const name of FIXTURES) {
+    if (fitsRegulation(await loadFixture(name), regulation)) fitting.push(name);
+  }
+  throw new Error(fitting.length > 0
+    ? `Mock fixture ${settings.mockFixture} is not a ${regulation.label} result. Choose ${fitting.join(" or ")} in Settings.`
+    : `No mock fixture exists for ${regulation.label}. Turn off mock mode in Settings to evaluate it.`);
+};
+
+/**
+ * Returns the configured fixture, emitting simulated per-rule progress
+ * @param {Object} params
+ * @param {Object} params.settings - Active settings
+ * @param {Object} params.regulation - Regulation registry entry
+ * @param {AbortSignal} [params.signal] - Cancellation signal
+ * @param {Function} [params.onProgress] - Receives progress updates
+ * @returns {Promise<Object>} Fixture result
+ * @throws {Error} When no fixture answers for the regulation
+ */
+const evaluateWithFixture = async ({ settings, regulation, signal, onProgress }) => {
+  const result = await loadFixtureFor(settings, regulation);
+  const ruleNames = normalizeResult(result).rules.map((rule) => rule.ruleName);
+
+  for (let index = 0; index <= ruleNames.length; index++) {
+    onProgress?.({
+      status: index < ruleNames.length ? "running" : "completed",
+      completed: index,
+      total: ruleNames.length,
+      rules: ruleNames.map((ruleName, ruleIndex) => ({
+        ruleName,
+        status: ruleIndex < index ? "done" : ruleIndex === index ? "running" : "pending",
+      })),
+    });
+    if (index < ruleNames.length) await sleep(MOCK_RULE_DELAY_MS, signal);
+  }
+  return result;
+};
+
+/**
+ * Re-evaluates one rule of a result
+ * In mock mode the rule is taken from the configured fixture
+ * @param {Object} params
+ * @param {Object} params.settings - Active settings
+ * @param {Object} params.regulation - Regulation registry entry
+ * @param {File} params.file - Evaluated PDF
+ * @param {Object} params.result - Current canonical result
+ * @param {Object} params.rule - Rule to re-evaluate
+ * @param {AbortSignal} [params.signal] - Cancellation signal
+ * @returns {Promise<Object>} Canonical partial result
+ * @throws {ResultSchemaError} When the response format is not supported
+ */
+export const rerunRule = async ({ settings, regulation, file, result, rule, signal }) => {
+  if (settings.mockMode) {
+    const fixture = normalizeResult(await loadFixtureFor(settings, regulation));
+    await sleep(MOCK_RULE_DELAY_MS, signal);
+    return {
+      ...fixture,
+      rules: fixture.rules.filter((candidate) => candidate.ruleName === rule.ruleName),
+    };
+  }
+
+  const form = buildEvaluationForm(regulation, file);
+  form.append("ruleName", rule.ruleName);
+  form.append("result", JSON.stringify(result));
+  const response = await requestJSON(
+    `${settings.apiBaseUrl}${regulation.endpoint}/rules`,
+    { method: "POST", body: form },
+    { timeoutMs: settings.requestTimeoutMs, signal }
+  );
+  logger.info('Rule re-evaluated', { rule: rule.ruleName, regulation: regulation.id });
+  return normalizeResult(response);
+};
+
+/**
+ * Evaluates a document using the protocol selected in settings
+ * @param {Object} params
+ * @param {Object} params.settings - Active settings
+ * @param {Object} params.regulation - Regulation registry entry
+ * @param {File} params.file - PDF to evaluate
+ * @param {AbortSignal} [params.signal] - Cancellation signal
+ * @param {Function} [params.onProgress] - Receives progress updates
+ * @param {Function} [params.onJobSubmitted] - Receives the job id (jobs protocol)
+ * @returns {Promise<Object>} Raw evaluation result
+ */
+export const evaluateDocument = async ({ settings, regulation, file, signal, onProgress, onJobSubmitted }) => {
+  if (settings.mockMode) {
+    return evaluateWithFixture({ settings, regulation, signal, onProgress });
+  }
+
+  if (settings.evaluationProtocol === "jobs") {
+    const jobId = await submitEvaluationJob({ settings, regulation, file, signal });
+    await onJobSubmitted?.(jobId);
+    return pollEvaluationJob({ settings, jobId, signal, onProgress });
+  }
+
+  return requestJSON(
+    `${settings.apiBaseUrl}${regulation.endpoint}`,
+    { method: "POST", body: buildEvaluationForm(regulation, file) },
+    { timeoutMs: settings.requestTimeoutMs, signal }
+  );
+};
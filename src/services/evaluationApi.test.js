@@ -0,0 +1,215 @@
+import { spawn } from "node:child_process";
+import { createServer } from "node:net";
+import { afterAll, afterEach, beforeAll, describe, expect, it, vi } from "vitest";
+import { getRegulation } from "../config/regulations";
+import logger from "../logger";
+import {
+  EvaluationJobError,
+  EvaluationRequestError,
+  cancelEvaluationJob,
+  evaluateDocument,
+  pollEvaluationJob,
+  rerunRule,
+  submitEvaluationJob,
+} from "./evaluationApi";
+
+const erisa = getRegulation("ERISA");
+const file = new File(["%PDF-1.4"], "prospectus.pdf", { type: "application/pdf" });
+
+/**
+ * Finds a free local port
+ * @returns {Promise<number>}
+ */
+const getFreePort = () =>
+  new Promise((resolve, reject) => {
+    const probe = createServer();
+    probe.unref();
+    probe.on("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+/**
+ * Starts mock-server/server.js with fast timings
+ * @param {Object<string, string>} [env] - Extra environment variables
+ * @returns {Promise<{ url: string, stop: Function }>}
+ */
+const startMockServer = async (env = {}) => {
+  const port = await getFreePort();
+  const child = spawn(process.execPath, ["mock-server/server.js"], {
+    env: { ...process.env, PORT: String(port), MOCK_RULE_MS: "20", MOCK_SYNC_DELAY_MS: "20", ...env },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+
+  await new Promise((resolve, reject) => {
+    child.stdout.on("data", (chunk) => {
+      if (chunk.toString().includes("Mock evaluation backend")) resolve();
+    });
+    child.on("exit", (code) => reject(new Error(`Mock server exited with code ${code}`)));
+  });
+
+  return {
+    url: `http://localhost:${port}`,
+    stop: () => new Promise((resolve) => {
+      child.once("exit", resolve);
+      child.kill();
+    }),
+  };
+};
+
+/**
+ * Builds settings pointing at a backend
+ * @param {string} apiBaseUrl - Backend URL
+ * @param {Object} [overrides] - Settings to change
+ * @returns {Object} Settings
+ */
+const settingsFor = (apiBaseUrl, overrides = {}) => ({
+  apiBaseUrl,
+  requestTimeoutMs: 5000,
+  evaluationProtocol: "jobs",
+  pollIntervalMs: 10,
+  mockMode: false,
+  ...overrides,
+});
+
+beforeAll(() => {
+  logger.setLevel("silent");
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("against the mock server", () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startMockServer();
+  });
+
+  afterAll(() => server?.stop());
+
+  it("evaluates with a single request under the sync protocol", async () => {
+    const result = await evaluateDocument({
+      settings: settingsFor(server.url, { evaluationProtocol: "sync" }),
+      regulation: erisa,
+      file,
+    });
+
+    expect(result.rules).toHaveLength(12);
+  });
+
+  it("submits a job and polls it to its result, reporting progress", async () => {
+    const progress = [];
+    const jobIds = [];
+    const result = await evaluateDocument({
+      settings: settingsFor(server.url),
+      regulation: erisa,
+      file,
+      onJobSubmitted: (jobId) => jobIds.push(jobId),
+      onProgress: (update) => progress.push(update),
+    });
+
+    expect(result.rules).toHaveLength(12);
+    expect(jobIds).toHaveLength(1);
+    expect(progress.at(-1)).toMatchObject({ status: "completed", completed: 12, total: 12 });
+  });
+
+  it("reports a job the server no longer knows as missing", async () => {
+    const polling = pollEvaluationJob({ settings: settingsFor(server.url), jobId: "expired-job" });
+
+    await expect(polling).rejects.toBeInstanceOf(EvaluationJobError);
+    await expect(polling).rejects.toMatchObject({ jobId: "expired-job", status: "missing" });
+  });
+
+  it("stops a cancelled job", async () => {
+    const settings = settingsFor(server.url);
+    const jobId = await submitEvaluationJob({ settings, regulation: erisa, file });
+    await cancelEvaluationJob({ settings, jobId });
+
+    await expect(pollEvaluationJob({ settings, jobId })).rejects.toMatchObject({
+      name: "EvaluationJobError",
+      status: "cancelled",
+    });
+  });
+
+  it("stops polling when the caller aborts", async () => {
+    const settings = settingsFor(server.url);
+    const jobId = await submitEvaluationJob({ settings, regulation: erisa, file });
+    const controller = new AbortController();
+
+    const polling = pollEvaluationJob({ settings, jobId, signal: controller.signal });
+    controller.abort();
+
+    await expect(polling).rejects.toMatchObject({ name: "AbortError" });
+    await cancelEvaluationJob({ settings, jobId });
+  });
+
+  it("retries failed status polls until the limit", async () => {
+    const settings = settingsFor(server.url);
+    const jobId = await submitEvaluationJob({ settings, regulation: erisa, file });
+    const realFetch = globalThis.fetch;
+    let failures = 0;
+    vi.spyOn(globalThis, "fetch").mockImplementation((url, options) => {
+      if (String(url).endsWith(`/jobs/${jobId}`) && failures < 2) {
+        failures += 1;
+        return Promise.reject(new TypeError("fetch failed"));
+      }
+      return realFetch(url, options);
+    });
+
+    const result = await pollEvaluationJob({ settings, jobId });
+
+    expect(failures).toBe(2);
+    expect(result.rules).toHaveLength(12);
+  });
+
+  it("gives up after three consecutive failed status polls", async () => {
+    const settings = settingsFor(server.url);
+    const jobId = await submitEvaluationJob({ settings, regulation: erisa, file });
+    const fetchSpy = vi.spyOn(globalThis, "fetch").mockRejectedValue(new TypeError("fetch failed"));
+
+    await expect(pollEvaluationJob({ settings, jobId })).rejects.toThrow("fetch failed");
+    expect(fetchSpy).toHaveBeenCalledTimes(3);
+  });
+
+  it("re-runs a single rule", async () => {
+    const rerun = await rerunRule({
+      settings: settingsFor(server.url),
+      regulation: erisa,
+      file,
+      result: { rules: [] },
+      rule: { ruleName: "Security Type" },
+    });
+
+    expect(rerun.rules.map((rule) => rule.ruleName)).toEqual(["Security Type"]);
+  });
+
+  it("reports error statuses of endpoints without a fixture", async () => {
+    const evaluation = evaluateDocument({
+      settings: settingsFor(server.url, { evaluationProtocol: "sync" }),
+      regulation: getRegulation("MIFID II"),
+      file,
+    });
+
+    await expect(evaluation).rejects.toBeInstanceOf(EvaluationRequestError);
+    await expect(evaluation).rejects.toMatchObject({ status: 501 });
+  });
+});
+
+describe("against a mock server failing every job", () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startMockServer({ MOCK_FAIL_JOBS: "true" });
+  });
+
+  afterAll(() => server?.stop());
+
+  it("reports the failure with the backend's message", async () => {
+    await expect(evaluateDocument({ settings: settingsFor(server.url), regulation: erisa, file }))
+      .rejects.toMatchObject({ name: "EvaluationJobError", status: "failed", message: "Mock job failed." });
+  });
+});
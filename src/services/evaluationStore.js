@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Local history of completed evaluations
+ *
+ * Each record keeps the raw result JSON together with the source PDF so a
+ * past evaluation can be reopened in EvaluationPanel and AdvancedPDFViewer
+ * without calling the backend again.
+ *
+ * Record shape:
+ * - id: Auto-incremented key
+ * - fileName, fileSize: Source document metadata
+ * - fileHash: SHA-256 of the source document (null when unknown)
+ * - regulation: Selected regulation type
+ * - createdAt: ISO timestamp of completion
+ * - finalDecision: Eligibility boolean (null when the result has none)
+ * - confidenceScore: Final decision confidence (null when absent)
+ * - result: Evaluation result as returned by the backend, in any format
+ *   supported by normalizeResult
+ * - pdf: Source PDF blob (null for imported results)
+ * - review: Reviewer decisions (see utils/review), null until reviewed.
+ *   Reviews never modify the result
+ * - ruleHistory: Versions of rules re-run on their own (see
+ *   utils/ruleHistory), null until a rule is re-run. A re-run stores the
+ *   merged canonical result in result
+ */
+
+import { EVALUATIONS_STORE, mapRecords, runTransaction, updateRecord } from "./db";
+import { getEligibility, getRegulation, inferRegulation } from "../config/regulations";
+import { normalizeResult } from "../utils/resultSchema";
+import logger from '../logger';
+
+/**
+ * Strips the heavy fields from a record for list views
+ * @param {Object} record - Stored evaluation record
+ * @returns {Object} Record summary
+ */
+const toSummary = (record) => {
+  const summary = { ...record };
+  delete summary.result;
+  delete summary.pdf;
+  return summary;
+};
+
+/**
+ * Derives the list view decision fields of a result
+ * @param {Object} result - Raw or canonical result
+ * @param {string|null} regulation - Regulation type
+ * @returns {Object} { regulation, finalDecision, confidenceScore }
+ */
+const summarizeDecision = (result, regulation) => {
+  const finalDecision = normalizeResult(result).final_decision;
+  const registryEntry = getRegulation(regulation) ?? inferRegulation(finalDecision);
+  return {
+    regulation: registryEntry?.id ?? regulation,
+    finalDecision: getEligibility(registryEntry, finalDecision),
+    confidenceScore: finalDecision?.confidenceScore ?? null,
+  };
+};
+
+/**
+ * Persists a completed evaluation
+ * @param {Object} params
+ * @param {string} params.fileName - Source document name
+ * @param {number} [params.fileSize] - Source document size in bytes
+ * @param {string} [params.fileHash] - Source document SHA-256
+ * @param {Blob} [params.pdf] - Source PDF, omitted for imported results
+ * @param {string} [params.regulation] - Selected regulation type, inferred
+ *   from the final decision when omitted
+ * @param {Object} params.result - Raw evaluation result
+ * @param {Object} [params.review] - Review of an imported result
+ * @returns {Promise<number>} Id of the stored record
+ * @throws {ResultSchemaError} When the result format is not supported
+ */
+export const saveEvaluation = async ({
+  fileName,
+  fileSize = null,
+  fileHash = null,
+  pdf = null,
+  regulation = null,
+  result,
+  review = null,
+}) => {
+  const record = {
+    fileName,
+    fileSize,
+    fileHash,
+    createdAt: new Date().toISOString(),
+    ...summarizeDecision(result, regulation),
+    result,
+    pdf,
+    review,
+    ruleHistory: null,
+  };
+
+  const id = await runTransaction(EVALUATIONS_STORE, "readwrite", (store) =>
+    store.add(record)
+  );
+  logger.info('Evaluation saved to history', { id, file: fileName });
+  return id;
+};
+
+/**
+ * Lists stored evaluations, newest first
+ * @returns {Promise<Array>} Record summaries without result or PDF
+ */
+export const listEvaluations = async () => {
+  const summaries = await mapRecords(EVALUATIONS_STORE, toSummary);
+  return summaries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * Loads a full evaluation record
+ * @param {number} id - Record id
+ * @returns {Promise<Object|undefined>} Stored record
+ */
+export const getEvaluation = (id) =>
+  runTransaction(EVALUATIONS_STORE, "readonly", (store) => store.get(id));
+
+/**
+ * Stores the review of an evaluation
+ * @param {number} id - Record id
+ * @param {Object} review - Current review
+ * @returns {Promise<void>}
+ * @throws {Error} When the record no longer exists
+ */
+export const saveReview = async (id, review) => {
+  const saved = await updateRecord(EVALUATIONS_STORE, id, (record) => ({ ...record, review }));
+  if (!saved) throw new Error(`Evaluation ${id} is not in history.`);
+  logger.debug('Evaluation review saved', { id });
+};
+
+/**
+ * Stores the result of a single-rule re-run
+ * @param {number} id - Record id
+ * @param {Object} params
+ * @param {Object} params.result - Merged canonical result
+ * @param {Object} params.ruleHistory - Updated rule versions
+ * @param {Object} params.review - Review adjusted to the new result
+ * @returns {Promise<void>}
+ * @throws {Error} When the record no longer exists
+ */
+export const saveRuleRerun = async (id, { result, ruleHistory, review }) => {
+  const saved = await updateRecord(EVALUATIONS_STORE, id, (record) => ({
+    ...record,
+    ...summarizeDecision(result, record.regulation),
+    result,
+    ruleHistory,
+    review,
+  }));
+  if (!saved) throw new Error(`Evaluation ${id} is not in history.`);
+  logger.info('Rule re-run saved to history', { id });
+};
+
+/**
+ * Removes an evaluation from history
+ * @param {number} id - Record id
+ * @returns {Promise<void>}
+ */
+export const deleteEvaluation = async (id) => {
+  await runTransaction(EVALUATIONS_STORE, "readwrite", (store) =>
+    store.delete(id)
+  );
+  logger.info('Evaluation removed from history', { id });
+};
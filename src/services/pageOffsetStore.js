@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Printed page offsets remembered per source document
+ *
+ * Offsets are keyed by the SHA-256 of the PDF so they apply whenever the
+ * same document is opened again, from a new upload or from history.
+ *
+ * Entry shape: { offset, source: "manual" | "labels" | "folios", updatedAt }
+ * Manual entries are never replaced by detection.
+ */
+
+import logger from '../logger';
+
+const STORAGE_KEY = "regulation-evaluator.pageOffsets";
+
+/**
+ * Reads all stored offsets
+ * @returns {Object} Entries keyed by document hash
+ */
+const loadAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Returns the stored offset of a document
+ * @param {string} documentHash - SHA-256 of the PDF
+ * @returns {{offset: number, source: string}|null}
+ */
+export const loadPageOffset = (documentHash) => loadAll()[documentHash] ?? null;
+
+/**
+ * Remembers the offset of a document. A full or unavailable storage is
+ * logged; the offset then only lasts for the session.
+ * @param {string} documentHash - SHA-256 of the PDF
+ * @param {{offset: number, source: string}} entry - Offset and how it was found
+ */
+export const savePageOffset = (documentHash, { offset, source }) => {
+  const entries = loadAll();
+  entries[documentHash] = { offset, source, updatedAt: new Date().toISOString() };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (err) {
+    logger.warn('Failed to store printed page offset', { documentHash, error: err });
+  }
+};
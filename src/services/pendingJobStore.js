@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Background evaluation jobs that have not returned a result
+ *
+ * Submitted jobs are recorded with their source PDF so polling can resume
+ * after a page reload and the finished result can still be saved to history.
+ *
+ * Record shape:
+ * - jobId: Backend job id
+ * - regulation: Selected regulation type
+ * - fileName, fileSize, fileHash, pdf: Source document
+ * - apiBaseUrl: Backend the job was submitted to
+ * - submittedAt: ISO timestamp
+ */
+
+import { PENDING_JOBS_STORE, runTransaction } from "./db";
+
+/**
+ * Records a submitted job
+ * @param {Object} job - Pending job record
+ * @returns {Promise<void>}
+ */
+export const savePendingJob = async (job) => {
+  await runTransaction(PENDING_JOBS_STORE, "readwrite", (store) =>
+    store.put({ ...job, submittedAt: new Date().toISOString() })
+  );
+};
+
+/**
+ * Lists jobs still awaiting a result, oldest first
+ * @returns {Promise<Array>} Pending job records
+ */
+export const listPendingJobs = async () => {
+  const jobs = await runTransaction(PENDING_JOBS_STORE, "readonly", (store) =>
+    store.getAll()
+  );
+  return jobs.sort((a, b) => a.submittedAt.localeCompare(b.submittedAt));
+};
+
+/**
+ * Forgets a job once it finished, failed or was cancelled
+ * @param {string} jobId - Backend job id
+ * @returns {Promise<void>}
+ */
+export const deletePendingJob = async (jobId) => {
+  await runTransaction(PENDING_JOBS_STORE, "readwrite", (store) =>
+    store.delete(jobId)
+  );
+};
@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Comparison of two evaluation results
+ *
+ * Used to check whether a backend or prompt change altered any findings.
+ * Rules are aligned by name (rule name, or step name for steps-v0), case
+ * and whitespace insensitive, so results in different formats can be
+ * compared. Model output is compared as returned; reviews are ignored.
+ *
+ * Comparison shape:
+ * {
+ *   rows: [{
+ *     key: string,                // Normalized rule name
+ *     ruleName: string,
+ *     left: Object|null,          // Canonical rule, null when missing on that side
+ *     right: Object|null,
+ *     status: "added"|"removed"|"changed"|"unchanged",
+ *     fieldChanges: [{ field, from, to }],
+ *     pages: { left: number[], right: number[], added: number[], removed: number[] }
+ *   }],
+ *   finalDecision: {
+ *     left: boolean|null, right: boolean|null, changed: boolean,
+ *     leftConfidence: number|null, rightConfidence: number|null,
+ *     confidenceDelta: number|null
+ *   },
+ *   counts: { added, removed, changed, unchanged }
+ * }
+ */
+
+import { getEligibility } from "../config/regulations";
+import { RULE_META_KEYS } from "./resultSchema";
+
+/**
+ * Normalizes a rule name for alignment
+ * @param {string} name - Rule or step name
+ * @returns {string}
+ */
+const toRuleKey = (name) => String(name ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+
+/**
+ * Lists the distinct pages cited by a rule, transaction evidence included
+ * @param {Object|null} rule - Canonical rule
+ * @returns {number[]} Sorted page numbers
+ */
+const getRulePages = (rule) => {
+  if (!rule) return [];
+  const evidence = [
+    ...rule.evidence,
+    ...(rule.transactionDetails ?? []).flatMap((transaction) => transaction.evidence),
+  ];
+  return [...new Set(evidence.map((ev) => ev.pageNumber))].sort((a, b) => a - b);
+};
+
+/**
+ * Compares two field values; arrays compare by content
+ * @returns {boolean}
+ */
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Lists the fields whose value differs between two rules
+ * Nested objects other than arrays are skipped, like in the panel
+ * @param {Object} left - Canonical rule
+ * @param {Object} right - Canonical rule
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+const diffFields = (left, right) => {
+  const fields = [...new Set([...Object.keys(left), ...Object.keys(right)])]
+    .filter((field) => !RULE_META_KEYS.includes(field))
+    .filter((field) => [left[field], right[field]].every((value) =>
+      value === null || typeof value !== "object" || Array.isArray(value)));
+
+  return fields
+    .filter((field) => !isSameValue(left[field], right[field]))
+    .map((field) => ({ field, from: left[field] ?? null, to: right[field] ?? null }));
+};
+
+/**
+ * Compares two canonical results
+ * @param {Object} left - Baseline result
+ * @param {Object} right - Result to compare with the baseline
+ * @param {Object|null} regulation - Registry entry used to read the final decision
+ * @returns {Object} Comparison (see file overview)
+ */
+export const compareResults = (left, right, regulation) => {
+  const rightByKey = new Map(right.rules.map((rule) => [toRuleKey(rule.ruleName), rule]));
+  const leftKeys = new Set(left.rules.map((rule) => toRuleKey(rule.ruleName)));
+
+  // Baseline order first, then rules only found on the right
+  const pairs = [
+    ...left.rules.map((rule) => [rule, rightByKey.get(toRuleKey(rule.ruleName)) ?? null]),
+    ...right.rules
+      .filter((rule) => !leftKeys.has(toRuleKey(rule.ruleName)))
+      .map((rule) => [null, rule]),
+  ];
+
+  const rows = pairs.map(([leftRule, rightRule]) => {
+    const leftPages = getRulePages(leftRule);
+    const rightPages = getRulePages(rightRule);
+    const pages = {
+      left: leftPages,
+      right: rightPages,
+      added: rightPages.filter((page) => !leftPages.includes(page)),
+      removed: leftPages.filter((page) => !rightPages.includes(page)),
+    };
+    const fieldChanges = leftRule && rightRule ? diffFields(leftRule, rightRule) : [];
+
+    let status = "unchanged";
+    if (!leftRule) status = "added";
+    else if (!rightRule) status = "removed";
+    else if (fieldChanges.length > 0 || pages.added.length > 0 || pages.removed.length > 0) status = "changed";
+
+    const ruleName = (leftRule ?? rightRule).ruleName;
+    return { key: toRuleKey(ruleName), ruleName, left: leftRule, right: rightRule, status, fieldChanges, pages };
+  });
+
+  const leftDecision = getEligibility(regulation, left.final_decision);
+  const rightDecision = getEligibility(regulation, right.final_decision);
+  const leftConfidence = left.final_decision?.confidenceScore ?? null;
+  const rightConfidence = right.final_decision?.confidenceScore ?? null;
+
+  const counts = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+  rows.forEach((row) => { counts[row.status] += 1; });
+
+  return {
+    rows,
+    finalDecision: {
+      left: leftDecision,
+      right: rightDecision,
+      changed: leftDecision !== rightDecision,
+      leftConfidence,
+      rightConfidence,
+      confidenceDelta: leftConfidence !== null && rightConfidence !== null
+        ? Math.round((rightConfidence - leftConfidence) * 1000) / 1000
+        : null,
+    },
+    counts,
+  };
+};
@@ -0,0 +1,114 @@
+import { describe, expect, it } from "vitest";
+import { getRegulation } from "../config/regulations";
+import { compareResults } from "./compareResults";
+import { normalizeResult } from "./resultSchema";
+
+const erisa = getRegulation("ERISA");
+
+const baseline = normalizeResult({
+  rules: [
+    { ruleName: "Security Type", verdict: "Positive", evidence: [{ pageNumber: 2, pageText: "Shares" }] },
+    { ruleName: "Plan Asset Exceptions", planAssetExceptionAvailable: true, evidence: [{ pageNumber: 4, pageText: "25%" }] },
+    { ruleName: "Explicit ERISA Prohibited", isExplicitlyExcluded: false },
+  ],
+  final_decision: { isERISAEligible: true, confidenceScore: 0.8 },
+});
+
+describe("compareResults", () => {
+  it("pairs rules by name, ignoring case and spacing", () => {
+    const renamed = normalizeResult({
+      rules: [
+        { ruleName: "explicit  erisa prohibited", isExplicitlyExcluded: false },
+        { ruleName: "PLAN ASSET EXCEPTIONS", planAssetExceptionAvailable: true, evidence: [{ pageNumber: 4, pageText: "25%" }] },
+        { ruleName: "Security Type", verdict: "Positive", evidence: [{ pageNumber: 2, pageText: "Shares" }] },
+      ],
+      final_decision: { isERISAEligible: true, confidenceScore: 0.8 },
+    });
+
+    const comparison = compareResults(baseline, renamed, erisa);
+
+    expect(comparison.rows.map((row) => [row.ruleName, row.right.ruleName, row.status])).toEqual([
+      ["Security Type", "Security Type", "unchanged"],
+      ["Plan Asset Exceptions", "PLAN ASSET EXCEPTIONS", "unchanged"],
+      ["Explicit ERISA Prohibited", "explicit  erisa prohibited", "unchanged"],
+    ]);
+    expect(comparison.counts).toEqual({ added: 0, removed: 0, changed: 0, unchanged: 3 });
+    expect(comparison.finalDecision).toMatchObject({ changed: false, confidenceDelta: 0 });
+  });
+
+  it("lists changed findings, cited pages and the final decision", () => {
+    const changed = normalizeResult({
+      rules: [
+        { ruleName: "Security Type", verdict: "Negative", evidence: [{ pageNumber: 2, pageText: "Notes" }] },
+        { ruleName: "Plan Asset Exceptions", planAssetExceptionAvailable: true, evidence: [{ pageNumber: 5, pageText: "25%" }] },
+        { ruleName: "Explicit ERISA Prohibited", isExplicitlyExcluded: false },
+      ],
+      final_decision: { isERISAEligible: false, confidenceScore: 0.65 },
+    });
+
+    const [security, exceptions] = compareResults(baseline, changed, erisa).rows;
+
+    expect(security).toMatchObject({
+      status: "changed",
+      fieldChanges: [{ field: "verdict", from: "Positive", to: "Negative" }],
+      pages: { left: [2], right: [2], added: [], removed: [] },
+    });
+    expect(exceptions).toMatchObject({ status: "changed", fieldChanges: [], pages: { added: [5], removed: [4] } });
+    expect(compareResults(baseline, changed, erisa).finalDecision).toEqual({
+      left: true,
+      right: false,
+      changed: true,
+      leftConfidence: 0.8,
+      rightConfidence: 0.65,
+      confidenceDelta: -0.15,
+    });
+  });
+
+  it("reports added and removed rules, baseline order first", () => {
+    const right = normalizeResult({
+      rules: [
+        { ruleName: "Domicile Restrictions", hasUnconditionalDomicileRestrictions: false },
+        { ruleName: "Security Type", verdict: "Positive", evidence: [{ pageNumber: 2, pageText: "Shares" }] },
+      ],
+      final_decision: null,
+    });
+
+    const comparison = compareResults(baseline, right, erisa);
+
+    expect(comparison.rows.map((row) => [row.ruleName, row.status])).toEqual([
+      ["Security Type", "unchanged"],
+      ["Plan Asset Exceptions", "removed"],
+      ["Explicit ERISA Prohibited", "removed"],
+      ["Domicile Restrictions", "added"],
+    ]);
+    expect(comparison.rows[1].right).toBeNull();
+    expect(comparison.rows[3].left).toBeNull();
+    expect(comparison.counts).toEqual({ added: 1, removed: 2, changed: 0, unchanged: 1 });
+    expect(comparison.finalDecision).toMatchObject({ right: null, changed: true, confidenceDelta: null });
+  });
+
+  it("compares a step-based result with a rules-v1 result", () => {
+    const steps = normalizeResult({
+      steps: {
+        steps: [
+          { step: 1, name: "Security Type", verdict: "Positive", evidences: [{ pageNumber: 2, evidence: "Shares" }] },
+          { step: 2, name: "Plan asset exceptions", verdict: "Ambiguous", evidences: [{ pageNumber: 4, evidence: "25%" }] },
+        ],
+      },
+      summary: "Eligible",
+    });
+
+    const comparison = compareResults(steps, baseline, erisa);
+
+    expect(comparison.rows.map((row) => [row.ruleName, row.status])).toEqual([
+      ["Security Type", "unchanged"],
+      ["Plan asset exceptions", "changed"],
+      ["Explicit ERISA Prohibited", "added"],
+    ]);
+    expect(comparison.rows[1].fieldChanges).toEqual([
+      { field: "verdict", from: "Ambiguous", to: null },
+      { field: "planAssetExceptionAvailable", from: null, to: true },
+    ]);
+    expect(comparison.finalDecision).toMatchObject({ left: null, right: true, changed: true });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Reasoning chain behind a final decision
+ *
+ * Links the final decision to the rules it cites in
+ * final_decision.supportingRules and each rule to its evidence passages.
+ * References are resolved to rules in this order, so that a reordered
+ * result does not silently point at the wrong rule:
+ *
+ *   1. rule id                     "plan-asset-exceptions"
+ *   2. rule name (case-insensitive) "Plan Asset Exceptions"
+ *   3. step number of step results  3
+ *   4. position, 1-based            5  (flagged, as it depends on the order)
+ *
+ * A rule contradicts the decision when its findings argue the other way:
+ * a Negative (or Positive) verdict, or a finding listed in the
+ * regulation's decisionSignals (see config/regulations).
+ */
+
+import { getAllEvidences } from "./resultSchema";
+import { getVerdictKey } from "./verdicts";
+
+// How a supporting rule reference was matched
+export const REFERENCE_MATCHES = {
+  id: "id",
+  name: "name",
+  step: "step",
+  position: "position",
+};
+
+// Verdict keys taken as a leaning of the rule
+const VERDICT_LEANINGS = { positive: "for", negative: "against" };
+
+const normalizeName = (name) => String(name).trim().replace(/\s+/g, " ").toLowerCase();
+
+/**
+ * Finds the rule a supporting rule reference points at
+ * @param {Array} rules - Canonical rules
+ * @param {string|number} reference - Entry of final_decision.supportingRules
+ * @returns {{index: number, match: string}|null} Rule position and how it
+ *   was matched, null when no rule matches
+ */
+export const resolveRuleReference = (rules, reference) => {
+  const byId = rules.findIndex((rule) => rule.id === String(reference));
+  if (byId !== -1) return { index: byId, match: REFERENCE_MATCHES.id };
+
+  const byName = rules.findIndex((rule) => normalizeName(rule.ruleName) === normalizeName(reference));
+  if (byName !== -1) return { index: byName, match: REFERENCE_MATCHES.name };
+
+  const number = Number(reference);
+  if (!Number.isInteger(number)) return null;
+
+  const byStep = rules.findIndex((rule) => rule.step === number);
+  if (byStep !== -1) return { index: byStep, match: REFERENCE_MATCHES.step };
+
+  return number >= 1 && number <= rules.length
+    ? { index: number - 1, match: REFERENCE_MATCHES.position }
+    : null;
+};
+
+/**
+ * Lists the findings of a rule that argue for or against eligibility
+ * @param {Object} rule - Canonical rule, with the review applied
+ * @param {Object|null} regulation - Regulation registry entry
+ * @returns {Array<Object>} { field, value, leaning: "for"|"against" }
+ */
+const getRuleSignals = (rule, regulation) => {
+  const signals = [];
+  const verdictLeaning = VERDICT_LEANINGS[getVerdictKey(rule.verdict)];
+  if (verdictLeaning) signals.push({ field: "verdict", value: rule.verdict, leaning: verdictLeaning });
+
+  Object.entries(regulation?.decisionSignals ?? {}).forEach(([leaning, findings]) => {
+    Object.entries(findings).forEach(([field, value]) => {
+      if (rule[field] === value) signals.push({ field, value, leaning });
+    });
+  });
+  return signals;
+};
+
+/**
+ * Builds the decision -> rules -> evidence chain of a result
+ * @param {Object} result - Canonical result, with the review applied
+ * @param {Object|null} regulation - Regulation registry entry
+ * @param {boolean|null} eligible - Decision the chain explains
+ * @returns {Object} {
+ *   supporting: [node], cited rules in citation order
+ *   contradicting: [node], uncited rules contradicting the decision
+ *   unresolved: [reference], references matching no rule
+ * } where node is { index, rule, references, match, signals, leaning,
+ *   contradicts, evidence[{ key, pageNumber, evidence }] }
+ */
+export const buildDecisionGraph = (result, regulation, eligible) => {
+  const evidences = getAllEvidences(result);
+
+  const toNode = (index) => {
+    const rule = result.rules[index];
+    const signals = getRuleSignals(rule, regulation);
+    const hasFor = signals.some((signal) => signal.leaning === "for");
+    const hasAgainst = signals.some((signal) => signal.leaning === "against");
+    // Mixed findings lean neither way
+    const leaning = hasFor === hasAgainst ? null : hasFor ? "for" : "against";
+
+    return {
+      index,
+      rule,
+      references: [],
+      match: null,
+      signals,
+      leaning,
+      contradicts: eligible !== null && leaning === (eligible ? "against" : "for"),
+      evidence: evidences
+        .filter((entry) => entry.ruleIndex === index)
+        .map(({ key, pageNumber, evidence }) => ({ key, pageNumber, evidence })),
+    };
+  };
+
+  const supporting = new Map(); // rule index -> node
+  const unresolved = [];
+  (result.final_decision?.supportingRules ?? []).forEach((reference) => {
+    const resolved = resolveRuleReference(result.rules, reference);
+    if (!resolved) {
+      unresolved.push(reference);
+      return;
+    }
+    if (!supporting.has(resolved.index)) {
+      supporting.set(resolved.index, { ...toNode(resolved.index), match: resolved.match });
+    }
+    supporting.get(resolved.index).references.push(reference);
+  });
+
+  const contradicting = result.rules
+    .map((_, index) => index)
+    .filter((index) => !supporting.has(index))
+    .map(toNode)
+    .filter((node) => node.contradicts);
+
+  return { supporting: [...supporting.values()], contradicting, unresolved };
+};
@@ -0,0 +1,101 @@
+import { describe, expect, it } from "vitest";
+import { getRegulation } from "../config/regulations";
+import { REFERENCE_MATCHES, buildDecisionGraph, resolveRuleReference } from "./decisionGraph";
+import { normalizeResult } from "./resultSchema";
+
+const erisa = getRegulation("ERISA");
+
+const result = normalizeResult({
+  rules: [
+    {
+      id: "plan-assets",
+      ruleName: "Plan Asset Exceptions",
+      planAssetExceptionAvailable: true,
+      evidence: [{ pageNumber: 4, pageText: "Less than 25%" }, { pageNumber: 6, pageText: "VCOC" }],
+    },
+    { ruleName: "Explicit ERISA Prohibited", isExplicitlyExcluded: true, evidence: [] },
+    { ruleName: "Security Type", securityType: "Shares" },
+  ],
+  final_decision: { isERISAEligible: true, supportingRules: ["plan-assets", "Plan Asset Exceptions", 3, "Tax Status"] },
+});
+
+const steps = normalizeResult({
+  steps: {
+    steps: [
+      { step: 2, name: "Scope", verdict: "Positive" },
+      { step: 5, name: "Exemptions", verdict: "Negative" },
+    ],
+  },
+});
+
+describe("resolveRuleReference", () => {
+  it("matches by id, then name, ignoring case and spacing", () => {
+    expect(resolveRuleReference(result.rules, "plan-assets")).toEqual({ index: 0, match: REFERENCE_MATCHES.id });
+    expect(resolveRuleReference(result.rules, " explicit  ERISA prohibited ")).toEqual({
+      index: 1,
+      match: REFERENCE_MATCHES.name,
+    });
+  });
+
+  it("matches numbers by step number before position", () => {
+    expect(resolveRuleReference(steps.rules, 5)).toEqual({ index: 1, match: REFERENCE_MATCHES.step });
+    expect(resolveRuleReference(steps.rules, "1")).toEqual({ index: 0, match: REFERENCE_MATCHES.position });
+  });
+
+  it("returns null for references matching no rule", () => {
+    expect(resolveRuleReference(result.rules, "Tax Status")).toBeNull();
+    expect(resolveRuleReference(result.rules, 9)).toBeNull();
+    expect(resolveRuleReference(result.rules, 1.5)).toBeNull();
+  });
+});
+
+describe("buildDecisionGraph", () => {
+  const graph = buildDecisionGraph(result, erisa, true);
+
+  it("links cited rules once, in citation order, with their evidence", () => {
+    expect(graph.supporting.map(({ index, references, match }) => ({ index, references, match }))).toEqual([
+      { index: 0, references: ["plan-assets", "Plan Asset Exceptions"], match: REFERENCE_MATCHES.id },
+      { index: 2, references: [3], match: REFERENCE_MATCHES.position },
+    ]);
+    expect(graph.supporting[0].evidence).toEqual([
+      { key: "plan-assets:0", pageNumber: 4, evidence: "Less than 25%" },
+      { key: "plan-assets:1", pageNumber: 6, evidence: "VCOC" },
+    ]);
+  });
+
+  it("reads the leaning of a rule from the regulation's decision signals", () => {
+    expect(graph.supporting[0]).toMatchObject({
+      signals: [{ field: "planAssetExceptionAvailable", value: true, leaning: "for" }],
+      leaning: "for",
+      contradicts: false,
+    });
+    expect(graph.supporting[1]).toMatchObject({ signals: [], leaning: null, contradicts: false });
+  });
+
+  it("lists uncited rules contradicting the decision and unresolved references", () => {
+    expect(graph.contradicting.map((node) => [node.index, node.leaning])).toEqual([[1, "against"]]);
+    expect(graph.unresolved).toEqual(["Tax Status"]);
+  });
+
+  it("flags cited rules arguing the other way", () => {
+    const rejected = buildDecisionGraph(result, erisa, false);
+    expect(rejected.supporting[0].contradicts).toBe(true);
+    expect(rejected.contradicting).toEqual([]);
+  });
+
+  it("uses verdicts of step-based results", () => {
+    const stepGraph = buildDecisionGraph(
+      { ...steps, final_decision: { supportingRules: [2] } },
+      erisa,
+      true
+    );
+    expect(stepGraph.supporting.map((node) => [node.index, node.leaning])).toEqual([[0, "for"]]);
+    expect(stepGraph.contradicting.map((node) => [node.index, node.leaning])).toEqual([[1, "against"]]);
+  });
+
+  it("flags nothing without a decision", () => {
+    const undecided = buildDecisionGraph(result, erisa, null);
+    expect(undecided.contradicting).toEqual([]);
+    expect(undecided.supporting.every((node) => !node.contradicts)).toBe(true);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Browser downloads and printing of generated files
+ *
+ * Export file names are derived from the source document so downloads of
+ * different evaluations can be told apart:
+ *
+ *   "Nordea GMTN Programme.pdf" -> "Nordea_GMTN_Programme_ERISA_report.html"
+ */
+
+// Characters not allowed in file names on common systems
+const UNSAFE_FILE_NAME_CHARS = /[\\/:*?"<>|]+/g;
+
+const MAX_BASE_NAME_LENGTH = 80;
+
+/**
+ * Builds the name of an exported file
+ * @param {string|null} sourceName - Source document name
+ * @param {Object} options
+ * @param {string|null} [options.regulation] - Regulation id
+ * @param {string} options.kind - What the file holds, e.g. "evaluation" or "report"
+ * @param {string} options.extension - File extension without dot
+ * @returns {string} File name
+ */
+export const buildExportFileName = (sourceName, { regulation = null, kind, extension }) => {
+  const base = (sourceName || "evaluation")
+    .replace(/\.pdf$/i, "")
+    .replace(UNSAFE_FILE_NAME_CHARS, " ")
+    .trim()
+    .replace(/\s+/g, "_")
+    .slice(0, MAX_BASE_NAME_LENGTH) || "evaluation";
+  const parts = [base, regulation?.replace(/\s+/g, "_"), kind].filter(Boolean);
+  return `${parts.join("_")}.${extension}`;
+};
+
+/**
+ * Saves a blob through a temporary link
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Opens the print dialog for an HTML document, from which it can be
+ * saved as PDF
+ * The document is printed from a hidden frame, so no popup is needed
+ * @param {string} html - Complete HTML document
+ */
+export const printHtml = (html) => {
+  const frame = document.createElement("iframe");
+  frame.style.position = "fixed";
+  frame.style.width = "0";
+  frame.style.height = "0";
+  frame.style.border = "0";
+  frame.onload = () => {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    // The dialog blocks until closed in most browsers; keep the frame
+    // around a little longer for those where it does not
+    setTimeout(() => frame.remove(), 60 * 1000);
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+};
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Evidence strength of rules and confidence bands
+ *
+ * A rule's strength is derived from its citations, transaction evidence
+ * and reviewer-attached evidence included:
+ *
+ *   unsupported  no evidence at all
+ *   weak         a single citation, or none of the citations checked
+ *                against the PDF text was found there
+ *   strong       3+ citations on 2+ pages, every checked citation found
+ *   moderate     anything in between
+ *
+ * Citations are checked once the PDF viewer has searched the text (see
+ * evidenceMatches in RunEvaluationPage); until then only counts are used.
+ * Class names are complete literals so Tailwind keeps them in the build.
+ */
+
+import { getEvidenceKey } from "./resultSchema";
+
+export const STRENGTH_LEVELS = {
+  unsupported: { label: "Unsupported", icon: "⚠", pill: "bg-red-100 text-red-800 border-red-200" },
+  weak: { label: "Weak evidence", icon: "◔", pill: "bg-orange-100 text-orange-800 border-orange-200" },
+  moderate: { label: "Moderate evidence", icon: "◑", pill: "bg-yellow-100 text-yellow-800 border-yellow-200" },
+  strong: { label: "Strong evidence", icon: "●", pill: "bg-green-100 text-green-800 border-green-200" },
+};
+
+const STRONG_MIN_CITATIONS = 3;
+const STRONG_MIN_PAGES = 2;
+
+export const CONFIDENCE_BANDS = {
+  low: { label: "Low", bar: "bg-red-500", text: "text-red-700" },
+  medium: { label: "Medium", bar: "bg-amber-500", text: "text-amber-700" },
+  high: { label: "High", bar: "bg-green-500", text: "text-green-700" },
+};
+
+/**
+ * Measures the evidence behind a rule
+ * @param {Object} rule - Canonical rule, with the review applied
+ * @param {Object} evidenceMatches - Match results per evidence key
+ * @returns {Object} { count, pages, checked, located, level }
+ */
+export const getEvidenceStrength = (rule, evidenceMatches = {}) => {
+  const keys = [
+    ...rule.evidence.map((_, index) => getEvidenceKey(rule.id, index)),
+    ...(rule.transactionDetails ?? []).flatMap((transaction, transactionIndex) =>
+      transaction.evidence.map((_, index) => getEvidenceKey(rule.id, index, transactionIndex))),
+  ];
+  const pageNumbers = [
+    ...rule.evidence,
+    ...(rule.transactionDetails ?? []).flatMap((transaction) => transaction.evidence),
+  ].map((ev) => ev.pageNumber);
+
+  const checked = keys.filter((key) => evidenceMatches[key]);
+  const located = checked.filter((key) => evidenceMatches[key].found);
+  const count = keys.length;
+  const pages = new Set(pageNumbers).size;
+
+  let level = "moderate";
+  if (count === 0) level = "unsupported";
+  else if (count === 1 || (checked.length > 0 && located.length === 0)) level = "weak";
+  else if (count >= STRONG_MIN_CITATIONS && pages >= STRONG_MIN_PAGES && located.length === checked.length) level = "strong";
+
+  return { count, pages, checked: checked.length, located: located.length, level };
+};
+
+/**
+ * Places a confidence score in its band
+ * @param {number|null} score - Confidence between 0 and 1
+ * @param {{low: number, high: number}} thresholds - Lower bounds of the
+ *   medium and high bands
+ * @returns {string|null} CONFIDENCE_BANDS key, null without score
+ */
+export const getConfidenceBand = (score, { low, high }) => {
+  if (typeof score !== "number") return null;
+  if (score >= Math.max(low, high)) return "high";
+  if (score >= low) return "medium";
+  return "low";
+};
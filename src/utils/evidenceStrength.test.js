@@ -0,0 +1,87 @@
+import { describe, expect, it } from "vitest";
+import { getConfidenceBand, getEvidenceStrength } from "./evidenceStrength";
+
+/**
+ * Builds a canonical rule citing the given pages
+ * @param {number[]} pages - Page of each citation
+ * @param {number[][]} [transactionPages] - Pages cited by each transaction
+ * @returns {Object} Rule
+ */
+const ruleCiting = (pages, transactionPages = []) => ({
+  id: "rule",
+  evidence: pages.map((pageNumber) => ({ pageNumber, pageText: `Text on page ${pageNumber}` })),
+  transactionDetails: transactionPages.map((transactionEvidence) => ({
+    evidence: transactionEvidence.map((pageNumber) => ({ pageNumber, pageText: "Transaction text" })),
+  })),
+});
+
+describe("getEvidenceStrength", () => {
+  it("rates a rule without evidence as unsupported", () => {
+    expect(getEvidenceStrength(ruleCiting([]))).toEqual({
+      count: 0,
+      pages: 0,
+      checked: 0,
+      located: 0,
+      level: "unsupported",
+    });
+  });
+
+  it("rates a single citation as weak", () => {
+    expect(getEvidenceStrength(ruleCiting([4])).level).toBe("weak");
+  });
+
+  it("rates citations none of which was found in the PDF as weak", () => {
+    const matches = { "rule:0": { found: false }, "rule:1": { found: false } };
+    expect(getEvidenceStrength(ruleCiting([4, 5, 6]), matches)).toMatchObject({ checked: 2, located: 0, level: "weak" });
+  });
+
+  it("rates 3+ citations on 2+ pages, all found, as strong", () => {
+    const matches = { "rule:0": { found: true }, "rule:1": { found: true } };
+    expect(getEvidenceStrength(ruleCiting([4, 4, 7]), matches)).toEqual({
+      count: 3,
+      pages: 2,
+      checked: 2,
+      located: 2,
+      level: "strong",
+    });
+  });
+
+  it("rates anything in between as moderate", () => {
+    expect(getEvidenceStrength(ruleCiting([4, 7])).level).toBe("moderate");
+    expect(getEvidenceStrength(ruleCiting([4, 4, 4])).level).toBe("moderate");
+    const matches = { "rule:0": { found: true }, "rule:1": { found: false } };
+    expect(getEvidenceStrength(ruleCiting([4, 5, 6]), matches).level).toBe("moderate");
+  });
+
+  it("counts transaction evidence under its own keys", () => {
+    const matches = { "rule:t0:0": { found: true }, "rule:t1:0": { found: true } };
+    expect(getEvidenceStrength(ruleCiting([2], [[3], [3]]), matches)).toEqual({
+      count: 3,
+      pages: 2,
+      checked: 2,
+      located: 2,
+      level: "strong",
+    });
+  });
+});
+
+describe("getConfidenceBand", () => {
+  const thresholds = { low: 0.5, high: 0.8 };
+
+  it("places scores by the lower bounds of the bands", () => {
+    expect(getConfidenceBand(0.49, thresholds)).toBe("low");
+    expect(getConfidenceBand(0.5, thresholds)).toBe("medium");
+    expect(getConfidenceBand(0.79, thresholds)).toBe("medium");
+    expect(getConfidenceBand(0.8, thresholds)).toBe("high");
+  });
+
+  it("lets a high bound below the low bound cut off at the low bound", () => {
+    expect(getConfidenceBand(0.6, { low: 0.6, high: 0.3 })).toBe("high");
+    expect(getConfidenceBand(0.4, { low: 0.6, high: 0.3 })).toBe("low");
+  });
+
+  it("has no band without a score", () => {
+    expect(getConfidenceBand(null, thresholds)).toBeNull();
+    expect(getConfidenceBand(undefined, thresholds)).toBeNull();
+  });
+});
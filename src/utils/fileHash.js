@@ -0,0 +1,17 @@
+/**
+ * @fileoverview Content hashes identifying source documents
+ *
+ * The hash stays the same when a file is renamed or uploaded again, so it
+ * keys per-document data such as the printed page offset.
+ */
+
+/**
+ * Computes the SHA-256 digest of binary data
+ * @param {ArrayBuffer|Uint8Array|Blob} data - Document bytes
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+export const sha256Hex = async (data) => {
+  const buffer = data instanceof Blob ? await data.arrayBuffer() : data;
+  const digest = await crypto.subtle.digest("SHA-256", buffer);
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+};
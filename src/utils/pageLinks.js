@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Page links in markdown summaries
+ *
+ * A remark plugin turning page references such as "page 341", "pages 3-4"
+ * or "pp. 7, 9" into links to PAGE_LINK_PREFIX + page number, one per
+ * page. MarkdownSummary renders those links as buttons opening the PDF.
+ * Text inside existing links is left as written.
+ */
+
+// "page 5", "pages 12 and 14", "pages 3-4", "pp. 7, 9"
+const PAGE_REFERENCE = /\b(?:pages?|pp?\.)\s*\d+(?:\s*(?:,|and|&|to|-|–)\s*\d+)*/gi;
+const PAGE_NUMBER = /\d+/g;
+export const PAGE_LINK_PREFIX = "#page-";
+
+// Nodes whose text must stay as written
+const LITERAL_PARENTS = ["link", "linkReference"];
+
+/**
+ * Splits a text node into text and page link nodes
+ * @param {string} value - Text content
+ * @returns {Array<Object>} mdast nodes
+ */
+export const linkPageNumbers = (value) => {
+  const nodes = [];
+  let cursor = 0;
+
+  const pushText = (end) => {
+    if (end > cursor) nodes.push({ type: "text", value: value.slice(cursor, end) });
+    cursor = end;
+  };
+
+  for (const reference of value.matchAll(PAGE_REFERENCE)) {
+    for (const page of reference[0].matchAll(PAGE_NUMBER)) {
+      const start = reference.index + page.index;
+      pushText(start);
+      nodes.push({
+        type: "link",
+        url: `${PAGE_LINK_PREFIX}${page[0]}`,
+        children: [{ type: "text", value: page[0] }],
+      });
+      cursor = start + page[0].length;
+    }
+  }
+  pushText(value.length);
+  return nodes;
+};
+
+/**
+ * Remark plugin turning page references into page links
+ */
+export const remarkPageLinks = () => (tree) => {
+  const visit = (node) => {
+    if (!node.children || LITERAL_PARENTS.includes(node.type)) return;
+    node.children = node.children.flatMap((child) =>
+      child.type === "text" ? linkPageNumbers(child.value) : [child]
+    );
+    node.children.forEach(visit);
+  };
+  visit(tree);
+};
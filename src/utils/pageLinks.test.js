@@ -0,0 +1,82 @@
+import { describe, expect, it } from "vitest";
+import { linkPageNumbers, remarkPageLinks } from "./pageLinks";
+
+/**
+ * Builds a text node
+ * @param {string} value - Text
+ * @returns {Object} mdast text node
+ */
+const text = (value) => ({ type: "text", value });
+
+/**
+ * Builds a page link node
+ * @param {number} pageNumber - Linked page
+ * @returns {Object} mdast link node
+ */
+const pageLink = (pageNumber) => ({
+  type: "link",
+  url: `#page-${pageNumber}`,
+  children: [text(String(pageNumber))],
+});
+
+describe("linkPageNumbers", () => {
+  it("links a single page", () => {
+    expect(linkPageNumbers("See page 341.")).toEqual([text("See page "), pageLink(341), text(".")]);
+  });
+
+  it("links both ends of a page range", () => {
+    expect(linkPageNumbers("pages 3-4")).toEqual([text("pages "), pageLink(3), text("-"), pageLink(4)]);
+  });
+
+  it("links every page of a list", () => {
+    expect(linkPageNumbers("(pp. 7, 9)")).toEqual([
+      text("(pp. "),
+      pageLink(7),
+      text(", "),
+      pageLink(9),
+      text(")"),
+    ]);
+    expect(linkPageNumbers("Pages 12 and 14")).toEqual([text("Pages "), pageLink(12), text(" and "), pageLink(14)]);
+  });
+
+  it("leaves other numbers as text", () => {
+    expect(linkPageNumbers("Section 3, 25% of 2 pages")).toEqual([text("Section 3, 25% of 2 pages")]);
+  });
+});
+
+describe("remarkPageLinks", () => {
+  it("links references in nested text but leaves existing links as written", () => {
+    const tree = {
+      type: "root",
+      children: [
+        {
+          type: "paragraph",
+          children: [
+            text("See page 5 and "),
+            { type: "link", url: "https://example.com", children: [text("page 6")] },
+            { type: "strong", children: [text("p. 8")] },
+          ],
+        },
+      ],
+    };
+
+    remarkPageLinks()(tree);
+
+    expect(tree.children[0].children).toEqual([
+      text("See page "),
+      pageLink(5),
+      text(" and "),
+      { type: "link", url: "https://example.com", children: [text("page 6")] },
+      { type: "strong", children: [text("p. "), pageLink(8)] },
+    ]);
+  });
+
+  it("leaves text of link references as written", () => {
+    const reference = { type: "linkReference", identifier: "1", children: [text("page 6")] };
+    const tree = { type: "root", children: [{ type: "paragraph", children: [reference] }] };
+
+    remarkPageLinks()(tree);
+
+    expect(reference.children).toEqual([text("page 6")]);
+  });
+});
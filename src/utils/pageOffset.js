@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Detects the offset between printed and physical PDF pages
+ *
+ * Evidence cites printed page numbers, which usually differ from physical
+ * page positions because of covers and roman-numbered front matter:
+ *
+ *   physical page = printed page + offset
+ *
+ * Detection Order:
+ * ---------------
+ * 1. Page labels from the PDF catalogue, when the producer set them
+ * 2. Folio numbers: standalone numbers in the header or footer band of
+ *    sampled pages
+ *
+ * Each numbered page votes for an offset; the most common offset wins when
+ * enough pages agree.
+ */
+
+// Pages sampled for folio numbers, spread evenly across the document
+const FOLIO_SAMPLE_SIZE = 30;
+
+// Share of the page height at the top and bottom searched for folios
+const FOLIO_BAND = 0.12;
+
+// Minimum agreeing pages, and share of all votes, for a detected offset
+const MIN_VOTES = 3;
+const MIN_VOTE_SHARE = 0.5;
+
+// "12", "- 12 -", "Page 12"
+const FOLIO_PATTERN = /^(?:page\s+)?[-–—]?\s*(\d{1,4})\s*[-–—]?$/i;
+
+/**
+ * Picks the offset most pages agree on
+ * @param {number[]} votes - Offset suggested by each numbered page
+ * @returns {number|null} Winning offset, or null without clear agreement
+ */
+const pickOffset = (votes) => {
+  const counts = new Map();
+  votes.forEach((offset) => counts.set(offset, (counts.get(offset) ?? 0) + 1));
+
+  let best = null;
+  counts.forEach((count, offset) => {
+    if (!best || count > best.count) best = { offset, count };
+  });
+  if (!best || best.count < MIN_VOTES || best.count < votes.length * MIN_VOTE_SHARE) return null;
+  return best.offset;
+};
+
+/**
+ * Derives the offset from PDF page labels
+ * @param {string[]|null} labels - Result of getPageLabels(), one per page
+ * @returns {number|null}
+ */
+export const offsetFromPageLabels = (labels) => {
+  // Labels that merely repeat the physical numbering say nothing
+  if (!labels || labels.every((label, index) => label === String(index + 1))) return null;
+  const votes = labels
+    .map((label, index) => (/^\d+$/.test(label?.trim() ?? "") ? index + 1 - Number(label) : null))
+    .filter((offset) => offset !== null);
+  return pickOffset(votes);
+};
+
+/**
+ * Finds a printed folio number in a page's header or footer band
+ * Item positions are converted to viewport coordinates, which start at the
+ * top of the visible page whatever the page box origin and rotation
+ * @param {Array} items - pdf.js TextContent items
+ * @param {Object} viewport - pdf.js PageViewport of the page at scale 1
+ * @returns {number|null}
+ */
+export const findFolioNumber = (items, viewport) => {
+  for (const item of items) {
+    const match = FOLIO_PATTERN.exec(item.str?.trim() ?? "");
+    if (!match) continue;
+    const [, y] = viewport.convertToViewportPoint(item.transform[4], item.transform[5]);
+    if (y <= viewport.height * FOLIO_BAND || y >= viewport.height * (1 - FOLIO_BAND)) {
+      return Number(match[1]);
+    }
+  }
+  return null;
+};
+
+/**
+ * Infers the offset from folio numbers on sampled pages
+ * @param {Object} pdfDocument - Loaded pdf.js document
+ * @returns {Promise<number|null>}
+ */
+const offsetFromFolios = async (pdfDocument) => {
+  const { numPages } = pdfDocument;
+  const sampleSize = Math.min(FOLIO_SAMPLE_SIZE, numPages);
+  const pageNumbers = [...new Set(
+    Array.from({ length: sampleSize }, (_, i) =>
+      sampleSize === 1 ? 1 : Math.round(1 + (i * (numPages - 1)) / (sampleSize - 1))
+    )
+  )];
+
+  const votes = [];
+  for (const pageNumber of pageNumbers) {
+    const page = await pdfDocument.getPage(pageNumber);
+    const { items } = await page.getTextContent();
+    const folio = findFolioNumber(items, page.getViewport({ scale: 1 }));
+    if (folio !== null) votes.push(pageNumber - folio);
+  }
+  return pickOffset(votes);
+};
+
+/**
+ * Detects the printed page offset of a document
+ * @param {Object} pdfDocument - Loaded pdf.js document
+ * @returns {Promise<{offset: number, source: "labels"|"folios"}|null>}
+ *   null when neither method finds a consistent offset
+ */
+export const detectPageOffset = async (pdfDocument) => {
+  const fromLabels = offsetFromPageLabels(await pdfDocument.getPageLabels());
+  if (fromLabels !== null) return { offset: fromLabels, source: "labels" };
+
+  const fromFolios = await offsetFromFolios(pdfDocument);
+  if (fromFolios !== null) return { offset: fromFolios, source: "folios" };
+
+  return null;
+};
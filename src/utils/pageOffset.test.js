@@ -0,0 +1,95 @@
+import { describe, expect, it } from "vitest";
+import { detectPageOffset, findFolioNumber, offsetFromPageLabels } from "./pageOffset";
+
+/**
+ * Builds a stand-in for an unrotated pdf.js PageViewport at scale 1
+ * @param {number[]} viewBox - [x0, y0, x1, y1] page box in PDF units
+ * @returns {Object}
+ */
+const createViewport = ([x0, y0, x1, y1]) => ({
+  width: x1 - x0,
+  height: y1 - y0,
+  convertToViewportPoint: (x, y) => [x - x0, y1 - y],
+});
+
+const item = (str, y, x = 300) => ({ str, transform: [1, 0, 0, 1, x, y] });
+
+/**
+ * Builds a stand-in for a pdf.js document
+ * @param {Object} params
+ * @param {Array<string|null>} params.folios - Folio printed at the foot of each page
+ * @param {string[]|null} [params.labels] - Page labels
+ * @returns {Object}
+ */
+const createDocument = ({ folios, labels = null }) => ({
+  numPages: folios.length,
+  getPageLabels: async () => labels,
+  getPage: async (pageNumber) => ({
+    getViewport: () => createViewport([0, 0, 600, 800]),
+    getTextContent: async () => ({
+      items: [
+        item("Body text", 400),
+        ...(folios[pageNumber - 1] === null ? [] : [item(folios[pageNumber - 1], 30)]),
+      ],
+    }),
+  }),
+});
+
+describe("offsetFromPageLabels", () => {
+  it("derives the offset from numeric labels", () => {
+    expect(offsetFromPageLabels(["Cover", "i", "ii", "1", "2", "3", "4"])).toBe(3);
+  });
+
+  it("ignores labels repeating the physical numbering", () => {
+    expect(offsetFromPageLabels(["1", "2", "3", "4"])).toBeNull();
+    expect(offsetFromPageLabels(null)).toBeNull();
+  });
+
+  it("requires enough agreeing pages", () => {
+    expect(offsetFromPageLabels(["i", "1", "2"])).toBeNull();
+  });
+});
+
+describe("findFolioNumber", () => {
+  const viewport = createViewport([0, 0, 600, 800]);
+
+  it.each([["12"], ["- 12 -"], ["Page 12"], ["— 12 —"]])("reads %j in the footer", (folio) => {
+    expect(findFolioNumber([item(folio, 30)], viewport)).toBe(12);
+  });
+
+  it("reads folios in the header", () => {
+    expect(findFolioNumber([item("7", 770)], viewport)).toBe(7);
+  });
+
+  it("ignores numbers in the body of the page", () => {
+    expect(findFolioNumber([item("12", 400), item("2024 results", 30)], viewport)).toBeNull();
+  });
+
+  it("measures positions from the page box origin", () => {
+    // Page box from y = 100 to 900: y = 130 is in the footer, y = 750 in the body
+    const shifted = createViewport([0, 100, 600, 900]);
+    expect(findFolioNumber([item("12", 130)], shifted)).toBe(12);
+    expect(findFolioNumber([item("12", 880)], shifted)).toBe(12);
+    expect(findFolioNumber([item("12", 750)], shifted)).toBeNull();
+  });
+});
+
+describe("detectPageOffset", () => {
+  it("prefers page labels", async () => {
+    const pdfDocument = createDocument({
+      folios: ["1", "2", "3", "4", "5"],
+      labels: ["A", "B", "1", "2", "3"],
+    });
+    expect(await detectPageOffset(pdfDocument)).toEqual({ offset: 2, source: "labels" });
+  });
+
+  it("falls back to folio numbers", async () => {
+    const pdfDocument = createDocument({ folios: [null, null, "1", "2", "3", "4", null, "6"] });
+    expect(await detectPageOffset(pdfDocument)).toEqual({ offset: 2, source: "folios" });
+  });
+
+  it("returns null without a consistent offset", async () => {
+    const pdfDocument = createDocument({ folios: ["9", null, "40", "2", null] });
+    expect(await detectPageOffset(pdfDocument)).toBeNull();
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * @fileoverview Printable compliance report of an evaluation
+ *
+ * Produces one self-contained HTML document, downloaded as is or printed
+ * to PDF (see utils/download). Print styles start every rule on a new page.
+ *
+ * Report Structure:
+ * ----------------
+ * 1. Cover: document, regulation, dates, document hash, final decision
+ *    with confidence and sign-off
+ * 2. Final decision: reasoning, supporting rules or the summary
+ * 3. One section per rule: fields, review decision, transaction table for
+ *    "Contemplated Transactions", quoted evidence with page numbers
+ * 4. Reviewer notes: every review decision with its comment
+ *
+ * Reviewed values are reported, with the model's value next to any value
+ * the reviewer overrode.
+ */
+
+import { getEligibility } from "../config/regulations";
+import { buildDecisionGraph } from "./decisionGraph";
+import { RULE_META_KEYS, formatFieldLabel } from "./resultSchema";
+import { FINAL_DECISION_ID, REVIEW_ACTIONS, applyReview, formatReviewValue } from "./review";
+import { escapeHTML } from "./textMatch";
+
+const TRANSACTION_RULE_NAME = "Contemplated Transactions";
+
+const REPORT_STYLES = `
+  body { font-family: Georgia, "Times New Roman", serif; color: #1f2937; margin: 0; line-height: 1.5; }
+  main { max-width: 48rem; margin: 0 auto; padding: 2rem; }
+  h1 { font-size: 1.8rem; margin: 0.5rem 0 1.5rem; }
+  h2 { font-size: 1.3rem; border-bottom: 2px solid #1e3a8a; padding-bottom: 0.25rem; margin-top: 2.5rem; }
+  h3 { font-size: 1.05rem; margin-top: 1.5rem; }
+  .eyebrow { text-transform: uppercase; letter-spacing: 0.1em; color: #6b7280; font-size: 0.8rem; margin: 0; }
+  .cover { min-height: 90vh; display: flex; flex-direction: column; justify-content: center; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.4rem 1.5rem; margin: 0; }
+  dt { color: #6b7280; }
+  dd { margin: 0; word-break: break-all; }
+  .decision { margin-top: 2rem; padding: 1.25rem; border-radius: 0.5rem; font-size: 1.3rem; }
+  .decision.yes { background: #dcfce7; border: 1px solid #86efac; }
+  .decision.no { background: #fee2e2; border: 1px solid #fca5a5; }
+  .decision.unknown { background: #f3f4f6; border: 1px solid #d1d5db; }
+  .muted { color: #6b7280; font-size: 0.9rem; }
+  .model { color: #92400e; font-size: 0.85rem; margin-left: 0.5rem; }
+  table { width: 100%; border-collapse: collapse; margin: 0.75rem 0; font-size: 0.95rem; }
+  th, td { text-align: left; vertical-align: top; padding: 0.4rem 0.6rem; border-bottom: 1px solid #e5e7eb; }
+  th { background: #f3f4f6; }
+  table.fields th { width: 35%; background: none; color: #4b5563; font-weight: normal; }
+  blockquote { margin: 0.75rem 0; padding: 0.5rem 1rem; border-left: 4px solid #93c5fd; background: #f9fafb; }
+  blockquote cite { display: block; margin-top: 0.25rem; font-style: normal; color: #6b7280; font-size: 0.85rem; }
+  .review { padding: 0.6rem 1rem; border: 1px solid #fcd34d; background: #fffbeb; border-radius: 0.4rem; }
+  .summary { white-space: pre-wrap; }
+  @media print {
+    main { padding: 0; max-width: none; }
+    .cover { min-height: auto; height: 95vh; page-break-after: always; }
+    .rule { page-break-before: always; }
+    blockquote, tr, .review { page-break-inside: avoid; }
+  }
+`;
+
+/**
+ * Formats a timestamp for the report
+ * @param {string|Date|null} value - Timestamp
+ * @returns {string}
+ */
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "—");
+
+/**
+ * Shows a reviewed value, with the model's value when it was overridden
+ * @param {string} field - Field key
+ * @param {*} value - Reviewed value
+ * @param {Object} changes - Reviewer changes of the target
+ * @param {Object} original - Target as returned by the model
+ * @returns {string} HTML
+ */
+const renderValue = (field, value, changes, original) => {
+  const shown = Array.isArray(value) ? value.join(", ") : formatReviewValue(value);
+  if (!(field in changes)) return escapeHTML(shown);
+  return `${escapeHTML(shown)}<span class="model">(overridden; model: ${escapeHTML(formatReviewValue(original[field]))})</span>`;
+};
+
+/**
+ * Describes a review decision
+ * @param {Object|undefined} decision - Review decision
+ * @returns {string} HTML, empty without decision
+ */
+const renderDecision = (decision) => {
+  if (!decision) return "";
+  const by = decision.decidedBy ? ` by ${escapeHTML(decision.decidedBy)}` : "";
+  return `
+    <div class="review">
+      <strong>${escapeHTML(REVIEW_ACTIONS[decision.action])}</strong>${by}, ${escapeHTML(formatDate(decision.decidedAt))}
+      <div>${escapeHTML(decision.comment)}</div>
+    </div>`;
+};
+
+/**
+ * Lists quoted evidence with page numbers
+ * @param {Array} evidence - Evidence entries
+ * @returns {string} HTML
+ */
+const renderEvidence = (evidence) =>
+  evidence.map((ev) => `
+    <blockquote>
+      ${escapeHTML(ev.pageText)}
+      <cite>Page ${escapeHTML(ev.pageNumber)}${ev.addedByReviewer ? " · added by reviewer" : ""}</cite>
+    </blockquote>`).join("");
+
+/**
+ * Renders the transaction table of "Contemplated Transactions"
+ * @param {Array} transactions - transactionDetails entries
+ * @returns {string} HTML
+ */
+const renderTransactions = (transactions) => `
+  <h3>Transactions</h3>
+  <table>
+    <thead><tr><th>Transaction</th><th>Impact</th><th>Evidence</th></tr></thead>
+    <tbody>
+      ${transactions.map((transaction) => `
+        <tr>
+          <td>${escapeHTML(transaction.transaction)}</td>
+          <td>${escapeHTML(transaction.impact)}</td>
+          <td>${transaction.evidence.map((ev) =>
+            `<div>“${escapeHTML(ev.pageText)}” <span class="muted">(page ${escapeHTML(ev.pageNumber)})</span></div>`
+          ).join("")}</td>
+        </tr>`).join("")}
+    </tbody>
+  </table>`;
+
+/**
+ * Renders one rule section
+ * @param {Object} rule - Reviewed rule
+ * @param {Object} original - Rule as returned by the model
+ * @param {number} index - Position in the result
+ * @param {Object|undefined} decision - Review decision on the rule
+ * @returns {string} HTML
+ */
+const renderRule = (rule, original, index, decision) => {
+  const changes = decision?.changes ?? {};
+  const rows = Object.entries(rule)
+    .filter(([key, value]) =>
+      !RULE_META_KEYS.includes(key) &&
+      value !== null && value !== "" &&
+      !(Array.isArray(value) && value.length === 0) &&
+      (typeof value !== "object" || Array.isArray(value)))
+    .map(([key, value]) => `
+      <tr><th>${escapeHTML(formatFieldLabel(key))}</th><td>${renderValue(key, value, changes, original)}</td></tr>`)
+    .join("");
+  const heading = rule.step !== undefined ? `Step ${rule.step}` : `Rule ${index + 1}`;
+
+  return `
+    <section class="rule">
+      <h2>${escapeHTML(heading)}: ${escapeHTML(rule.ruleName)}</h2>
+      ${rows && `<table class="fields"><tbody>${rows}</tbody></table>`}
+      ${renderDecision(decision)}
+      ${rule.ruleName === TRANSACTION_RULE_NAME && rule.transactionDetails?.length
+        ? renderTransactions(rule.transactionDetails)
+        : ""}
+      ${rule.evidence.length > 0 ? `<h3>Evidence</h3>${renderEvidence(rule.evidence)}` : ""}
+    </section>`;
+};
+
+/**
+ * Lists the rules cited by the final decision and those contradicting it
+ * @param {Object} graph - Result of buildDecisionGraph
+ * @param {Array} rules - Reviewed rules
+ * @returns {string} HTML
+ */
+const renderDecisionGraph = (graph, rules) => {
+  const renderNodes = (nodes) => `<ul>${nodes.map((node) => {
+    const heading = node.rule.step !== undefined ? `Step ${node.rule.step}` : `Rule ${node.index + 1}`;
+    const pages = [...new Set(node.evidence.map((ev) => ev.pageNumber))].sort((a, b) => a - b);
+    return `
+      <li>${escapeHTML(heading)}: ${escapeHTML(node.rule.ruleName)}
+        <span class="muted">(${pages.length > 0 ? `${pages.length === 1 ? "page" : "pages"} ${escapeHTML(pages.join(", "))}` : "no evidence"})</span>
+        ${node.contradicts ? ` – <strong>contradicts the decision</strong>: ${escapeHTML(node.signals
+          .map(({ field, value }) => `${formatFieldLabel(field)} ${formatReviewValue(value)}`).join(", "))}` : ""}
+      </li>`;
+  }).join("")}</ul>`;
+
+  return [
+    graph.supporting.length > 0 ? `<h3>Supporting Rules</h3>${renderNodes(graph.supporting)}` : "",
+    graph.unresolved.length > 0
+      ? `<p class="muted">Cited but not found among the ${rules.length} rules: ${escapeHTML(graph.unresolved.join(", "))}</p>`
+      : "",
+    graph.contradicting.length > 0 ? `<h3>Contradicting Rules</h3>${renderNodes(graph.contradicting)}` : "",
+  ].join("");
+};
+
+/**
+ * Builds the report document
+ * @param {Object} params
+ * @param {Object} params.result - Canonical result as returned by the model
+ * @param {Object|null} params.review - Review of the result
+ * @param {Object|null} params.regulation - Regulation registry entry
+ * @param {string} params.fileName - Source document name
+ * @param {string|null} [params.fileHash] - Source document SHA-256
+ * @param {string|null} [params.evaluatedAt] - When the evaluation completed
+ * @returns {string} Complete HTML document
+ */
+export const buildReportHtml = ({ result, review, regulation, fileName, fileHash = null, evaluatedAt = null }) => {
+  const reviewed = applyReview(result, review);
+  const decisions = review?.decisions ?? {};
+  const finalDecision = reviewed.final_decision;
+  const finalChanges = decisions[FINAL_DECISION_ID]?.changes ?? {};
+  const eligible = getEligibility(regulation, finalDecision);
+  const decisionLabel = regulation?.decisionLabel ?? "Eligible";
+  const decisionClass = eligible === null ? "unknown" : eligible ? "yes" : "no";
+  const signOff = review?.signOff;
+
+  const reviewerNotes = Object.entries(decisions).map(([targetId, decision]) => {
+    const name = targetId === FINAL_DECISION_ID
+      ? "Final decision"
+      : result.rules.find((rule) => rule.id === targetId)?.ruleName ?? targetId;
+    return `<h3>${escapeHTML(name)}</h3>${renderDecision(decision)}`;
+  }).join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHTML(`${fileName} – ${regulation?.label ?? "Compliance"} evaluation`)}</title>
+  <style>${REPORT_STYLES}</style>
+</head>
+<body>
+<main>
+  <section class="cover">
+    <p class="eyebrow">${escapeHTML(regulation?.label ?? "Compliance")} evaluation report</p>
+    <h1>${escapeHTML(fileName)}</h1>
+    <dl>
+      <dt>Regulation</dt><dd>${escapeHTML(regulation?.title ?? "—")}</dd>
+      <dt>Evaluated</dt><dd>${escapeHTML(formatDate(evaluatedAt))}</dd>
+      <dt>Report generated</dt><dd>${escapeHTML(formatDate(new Date()))}</dd>
+      <dt>Document SHA-256</dt><dd>${escapeHTML(fileHash ?? "—")}</dd>
+      <dt>Result format</dt><dd>${escapeHTML(result.schemaVersion)}</dd>
+    </dl>
+    ${finalDecision ? `
+    <div class="decision ${decisionClass}">
+      ${escapeHTML(decisionLabel)}: <strong>${
+        regulation ? renderValue(regulation.decisionField, eligible, finalChanges, result.final_decision) : "—"
+      }</strong>
+      <div class="muted">Confidence score: ${escapeHTML(finalDecision.confidenceScore ?? "—")}</div>
+    </div>` : ""}
+    <p class="muted">${signOff
+      ? `Signed off by ${escapeHTML(signOff.signedBy)} on ${escapeHTML(formatDate(signOff.signedAt))}`
+      : "Not signed off"}</p>
+  </section>
+
+  <section>
+    <h2>${finalDecision ? "Final Decision" : "Summary"}</h2>
+    ${finalDecision ? `
+      ${renderDecision(decisions[FINAL_DECISION_ID])}
+      <h3>Reasoning</h3>
+      <p>${escapeHTML(finalDecision.reasoning ?? "—")}</p>
+      ${renderDecisionGraph(buildDecisionGraph(reviewed, regulation, eligible), reviewed.rules)}
+    ` : `<p class="summary">${escapeHTML(result.summary ?? "—")}</p>`}
+  </section>
+
+  ${reviewed.rules.map((rule, index) =>
+    renderRule(rule, result.rules[index], index, decisions[rule.id])).join("")}
+
+  ${reviewerNotes ? `<section class="rule"><h2>Reviewer Notes</h2>${reviewerNotes}</section>` : ""}
+</main>
+</body>
+</html>`;
+};
@@ -0,0 +1,338 @@
+/**
+ * @fileoverview Normalization layer for evaluation result formats
+ *
+ * Supported Formats:
+ * -----------------
+ * - rules-v1: { rules[], final_decision } with evidence[].pageText
+ * - steps-v0: { steps: { steps[] }, summary } with a verdict per step and
+ *   evidences[].evidence
+ *
+ * Every format is converted to one canonical shape consumed by
+ * EvaluationPanel and AdvancedPDFViewer:
+ *
+ * {
+ *   schemaVersion: string,        // Detected source format
+ *   document: string|null,        // Source document name if reported
+ *   rules: [{
+ *     id: string,                 // Unique within the result; letters, digits, - and _
+ *     ruleName: string,
+ *     step?: number,              // Step number of step-based results
+ *     ...fields,                  // Format-specific fields (booleans, verdict, details)
+ *     evidence: [{ pageNumber, pageText }],
+ *     transactionDetails?: [{ transaction, impact, evidence[] }]
+ *   }],
+ *   final_decision: Object|null,
+ *   summary: string|null          // Markdown narrative if reported
+ * }
+ *
+ * New formats are added with registerResultSchema().
+ */
+
+/**
+ * Rule keys describing structure rather than findings
+ * Renderers skip these when listing rule fields
+ */
+export const RULE_META_KEYS = ["id", "ruleName", "step", "evidence", "transactionDetails"];
+
+/**
+ * Turns a camelCase field key into a display label
+ * e.g. "hasERISALanguage" -> "Has E R I S A Language"
+ * @param {string} key - Rule or final decision field
+ * @returns {string} Label
+ */
+export const formatFieldLabel = (key) =>
+  key
+    .replace(/([A-Z])/g, " $1")
+    .split(" ")
+    .map((word, index) => (index === 0 ? word.charAt(0).toUpperCase() + word.slice(1) : word))
+    .join(" ")
+    .trim();
+
+/**
+ * Raised when a result matches no known format or fails validation
+ */
+export class ResultSchemaError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = "ResultSchemaError";
+    this.issues = issues;
+  }
+}
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Rule ids end up in evidence keys, review decisions and HTML attributes
+const RULE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Step numbers may be sent as integers or as digit strings, e.g. "3"
+const STEP_NUMBER_PATTERN = /^\d+$/;
+
+/**
+ * Builds a URL-safe identifier from a rule name
+ * @param {string} name - Rule name
+ * @returns {string} Slug
+ */
+const slugify = (name) =>
+  String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * Assigns unique ids, suffixing duplicates with their position
+ * @param {Array} rules - Normalized rules without ids
+ * @param {Function} getBaseId - Derives the preferred id for a rule
+ * @returns {Array} Rules with ids
+ */
+const withUniqueIds = (rules, getBaseId) => {
+  const seen = new Set();
+  return rules.map((rule, index) => {
+    let id = getBaseId(rule, index) || `rule-${index + 1}`;
+    if (seen.has(id)) id = `${id}-${index + 1}`;
+    seen.add(id);
+    return { ...rule, id };
+  });
+};
+
+/**
+ * Validates the ids results carry for their rules
+ * Ids are optional; present ones must be safe and unique
+ * @param {Array} ids - Id of each rule, undefined when absent
+ * @param {string} path - Location used in issue messages
+ * @returns {Array<string>} Validation issues
+ */
+const validateRuleIds = (ids, path) => {
+  const seen = new Set();
+  return ids.flatMap((id, idx) => {
+    if (id === undefined) return [];
+    if (typeof id !== "string" || !RULE_ID_PATTERN.test(id)) {
+      return [`${path}[${idx}].id must be a string of letters, digits, "-" or "_"`];
+    }
+    if (seen.has(id)) return [`${path}[${idx}].id "${id}" is used by another rule`];
+    seen.add(id);
+    return [];
+  });
+};
+
+/**
+ * Validates a list of evidence entries
+ * @param {*} evidence - Evidence array to check
+ * @param {string} textKey - Key holding the quoted text
+ * @param {string} path - Location used in issue messages
+ * @returns {Array<string>} Validation issues
+ */
+const validateEvidence = (evidence, textKey, path) => {
+  if (evidence === undefined || evidence === null) return [];
+  if (!Array.isArray(evidence)) return [`${path} must be an array`];
+
+  return evidence.flatMap((ev, idx) => {
+    const issues = [];
+    if (!isObject(ev)) return [`${path}[${idx}] must be an object`];
+    if (!Number.isInteger(ev.pageNumber)) issues.push(`${path}[${idx}].pageNumber must be an integer`);
+    if (typeof ev[textKey] !== "string") issues.push(`${path}[${idx}].${textKey} must be a string`);
+    return issues;
+  });
+};
+
+const rulesV1 = {
+  version: "rules-v1",
+
+  detect: (raw) => Array.isArray(raw?.rules),
+
+  validate: (raw) => {
+    const issues = [];
+    raw.rules.forEach((rule, idx) => {
+      if (!isObject(rule)) {
+        issues.push(`rules[${idx}] must be an object`);
+        return;
+      }
+      if (typeof rule.ruleName !== "string") issues.push(`rules[${idx}].ruleName must be a string`);
+      issues.push(...validateEvidence(rule.evidence, "pageText", `rules[${idx}].evidence`));
+      if (rule.transactionDetails !== undefined) {
+        if (!Array.isArray(rule.transactionDetails)) {
+          issues.push(`rules[${idx}].transactionDetails must be an array`);
+        } else {
+          rule.transactionDetails.forEach((transaction, tIdx) => {
+            issues.push(...validateEvidence(
+              transaction?.evidence,
+              "pageText",
+              `rules[${idx}].transactionDetails[${tIdx}].evidence`
+            ));
+          });
+        }
+      }
+    });
+    issues.push(...validateRuleIds(raw.rules.map((rule) => rule?.id), "rules"));
+    if (raw.final_decision !== undefined && raw.final_decision !== null && !isObject(raw.final_decision)) {
+      issues.push("final_decision must be an object");
+    }
+    return issues;
+  },
+
+  normalize: (raw) => ({
+    document: raw.document ?? null,
+    rules: withUniqueIds(
+      raw.rules.map((rule) => ({
+        ...rule,
+        evidence: rule.evidence ?? [],
+        ...(rule.transactionDetails && {
+          transactionDetails: rule.transactionDetails.map((transaction) => ({
+            ...transaction,
+            evidence: transaction.evidence ?? [],
+          })),
+        }),
+      })),
+      (rule) => rule.id ?? slugify(rule.ruleName)
+    ),
+    final_decision: raw.final_decision ?? null,
+    summary: raw.summary ?? null,
+  }),
+};
+
+const stepsV0 = {
+  version: "steps-v0",
+
+  detect: (raw) => Array.isArray(raw?.steps?.steps),
+
+  validate: (raw) => {
+    const issues = [];
+    raw.steps.steps.forEach((step, idx) => {
+      if (!isObject(step)) {
+        issues.push(`steps.steps[${idx}] must be an object`);
+        return;
+      }
+      if (typeof step.name !== "string") issues.push(`steps.steps[${idx}].name must be a string`);
+      if (step.step !== undefined && !(Number.isInteger(step.step) || STEP_NUMBER_PATTERN.test(step.step))) {
+        issues.push(`steps.steps[${idx}].step must be an integer`);
+      }
+      if (step.verdict !== undefined && typeof step.verdict !== "string") {
+        issues.push(`steps.steps[${idx}].verdict must be a string`);
+      }
+      issues.push(...validateEvidence(step.evidences, "evidence", `steps.steps[${idx}].evidences`));
+    });
+    if (raw.summary !== undefined && typeof raw.summary !== "string") {
+      issues.push("summary must be a string");
+    }
+    return issues;
+  },
+
+  normalize: (raw) => ({
+    document: raw.steps.document ?? null,
+    rules: withUniqueIds(
+      raw.steps.steps.map((step, idx) => ({
+        ruleName: step.name,
+        step: step.step !== undefined ? Number(step.step) : idx + 1,
+        verdict: step.verdict ?? null,
+        details: step.details ?? null,
+        evidence: (step.evidences ?? []).map((ev) => ({
+          pageNumber: ev.pageNumber,
+          pageText: ev.evidence,
+        })),
+      })),
+      (rule) => `step-${rule.step}`
+    ),
+    final_decision: null,
+    summary: raw.summary ?? null,
+  }),
+};
+
+// Checked in order; the first matching detector wins
+const RESULT_SCHEMAS = [rulesV1, stepsV0];
+
+/**
+ * Adds support for a new result format
+ * @param {Object} schema
+ * @param {string} schema.version - Unique format identifier
+ * @param {Function} schema.detect - (raw) => boolean
+ * @param {Function} schema.validate - (raw) => Array<string> of issues
+ * @param {Function} schema.normalize - (raw) => canonical result without schemaVersion
+ */
+export const registerResultSchema = (schema) => {
+  if (RESULT_SCHEMAS.some((existing) => existing.version === schema.version)) {
+    throw new Error(`Result schema "${schema.version}" is already registered.`);
+  }
+  // Newer formats take precedence over the built-in ones
+  RESULT_SCHEMAS.unshift(schema);
+};
+
+/**
+ * Identifies the format of a raw result
+ * @param {Object} raw - Result as returned by the backend
+ * @returns {string|null} Schema version or null when unknown
+ */
+export const detectResultVersion = (raw) => {
+  if (!isObject(raw)) return null;
+  return RESULT_SCHEMAS.find((schema) => schema.detect(raw))?.version ?? null;
+};
+
+/**
+ * Checks whether a result is already in canonical shape
+ * Canonical results with missing or unsafe rule ids are normalized again
+ * @param {Object} result - Result to check
+ * @returns {boolean}
+ */
+const isNormalized = (result) =>
+  isObject(result) &&
+  Array.isArray(result.rules) &&
+  RESULT_SCHEMAS.some((schema) => schema.version === result.schemaVersion) &&
+  result.rules.every((rule) => typeof rule?.id === "string") &&
+  validateRuleIds(result.rules.map((rule) => rule.id), "rules").length === 0;
+
+/**
+ * Converts any supported result into the canonical shape
+ * Already normalized results are returned unchanged
+ * @param {Object} raw - Result as returned by the backend or loaded from file
+ * @returns {Object} Canonical result
+ * @throws {ResultSchemaError} When the format is unknown or invalid
+ */
+export const normalizeResult = (raw) => {
+  if (isNormalized(raw)) return raw;
+
+  const schema = isObject(raw) && RESULT_SCHEMAS.find((candidate) => candidate.detect(raw));
+  if (!schema) {
+    throw new ResultSchemaError("Unrecognized evaluation result format.");
+  }
+
+  const issues = schema.validate(raw);
+  if (issues.length > 0) {
+    throw new ResultSchemaError(`Invalid ${schema.version} evaluation result.`, issues);
+  }
+
+  return { schemaVersion: schema.version, ...schema.normalize(raw) };
+};
+
+/**
+ * Builds the stable key identifying one evidence entry of a result
+ * @param {string} ruleId - Rule id
+ * @param {number} evidenceIndex - Index within the evidence list
+ * @param {number} [transactionIndex] - Index of the transaction owning the evidence
+ * @returns {string} Evidence key
+ */
+export const getEvidenceKey = (ruleId, evidenceIndex, transactionIndex) =>
+  transactionIndex === undefined
+    ? `${ruleId}:${evidenceIndex}`
+    : `${ruleId}:t${transactionIndex}:${evidenceIndex}`;
+
+/**
+ * Extracts evidence entries for PDF highlighting
+ * @param {Object} result - Canonical result
+ * @returns {Array} Flattened evidence entries
+ *   { key, ruleId, ruleName, ruleIndex, pageNumber, evidence }
+ */
+export const getAllEvidences = (result) => {
+  if (!result?.rules) return [];
+
+  return result.rules.flatMap((rule, ruleIndex) => [
+    ...rule.evidence.map((ev, index) => ({ ev, key: getEvidenceKey(rule.id, index) })),
+    ...(rule.transactionDetails ?? []).flatMap((transaction, transactionIndex) =>
+      transaction.evidence.map((ev, index) => ({ ev, key: getEvidenceKey(rule.id, index, transactionIndex) }))
+    ),
+  ].map(({ ev, key }) => ({
+    key,
+    ruleId: rule.id,
+    ruleName: rule.ruleName,
+    ruleIndex,
+    pageNumber: ev.pageNumber,
+    evidence: ev.pageText,
+  })));
+};
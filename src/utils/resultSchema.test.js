@@ -0,0 +1,130 @@
+import { describe, expect, it } from "vitest";
+import {
+  ResultSchemaError,
+  detectResultVersion,
+  getAllEvidences,
+  getEvidenceKey,
+  normalizeResult,
+} from "./resultSchema";
+
+const rulesResult = {
+  document: "plan.pdf",
+  rules: [
+    {
+      ruleName: "Plan Asset Exceptions",
+      isPlanAsset: false,
+      evidence: [{ pageNumber: 3, pageText: "The assets are not plan assets." }],
+    },
+    {
+      id: "benefit-plan",
+      ruleName: "Benefit Plan Investor",
+      transactionDetails: [{ transaction: "Subscription", evidence: [{ pageNumber: 5, pageText: "Subscriptions" }] }],
+    },
+  ],
+  final_decision: { isERISAEligible: true },
+};
+
+const stepsResult = {
+  steps: {
+    document: "fund.pdf",
+    steps: [
+      { step: "2", name: "Scope", verdict: "Positive", evidences: [{ pageNumber: 1, evidence: "In scope." }] },
+      { name: "Exemptions", verdict: "Negative" },
+    ],
+  },
+  summary: "**Eligible**",
+};
+
+describe("detectResultVersion", () => {
+  it("recognizes the built-in formats", () => {
+    expect(detectResultVersion(rulesResult)).toBe("rules-v1");
+    expect(detectResultVersion(stepsResult)).toBe("steps-v0");
+  });
+
+  it("returns null for unknown input", () => {
+    expect(detectResultVersion({ verdicts: [] })).toBeNull();
+    expect(detectResultVersion(null)).toBeNull();
+    expect(detectResultVersion([])).toBeNull();
+  });
+});
+
+describe("normalizeResult", () => {
+  it("converts rules-v1 results, deriving missing ids from rule names", () => {
+    const result = normalizeResult(rulesResult);
+
+    expect(result.schemaVersion).toBe("rules-v1");
+    expect(result.document).toBe("plan.pdf");
+    expect(result.rules.map((rule) => rule.id)).toEqual(["plan-asset-exceptions", "benefit-plan"]);
+    expect(result.rules[1].evidence).toEqual([]);
+    expect(result.final_decision).toEqual({ isERISAEligible: true });
+    expect(result.summary).toBeNull();
+  });
+
+  it("converts steps-v0 results, coercing step numbers", () => {
+    const result = normalizeResult(stepsResult);
+
+    expect(result.schemaVersion).toBe("steps-v0");
+    expect(result.document).toBe("fund.pdf");
+    expect(result.rules.map(({ id, step }) => ({ id, step }))).toEqual([
+      { id: "step-2", step: 2 },
+      { id: "step-2-2", step: 2 },
+    ]);
+    expect(result.rules[0].evidence).toEqual([{ pageNumber: 1, pageText: "In scope." }]);
+    expect(result.final_decision).toBeNull();
+    expect(result.summary).toBe("**Eligible**");
+  });
+
+  it("suffixes duplicate ids with the rule position", () => {
+    const result = normalizeResult({ rules: [{ ruleName: "Scope" }, { ruleName: "Scope" }] });
+    expect(result.rules.map((rule) => rule.id)).toEqual(["scope", "scope-2"]);
+  });
+
+  it("returns normalized results unchanged", () => {
+    const result = normalizeResult(rulesResult);
+    expect(normalizeResult(result)).toBe(result);
+  });
+
+  it("rejects unknown formats", () => {
+    expect(() => normalizeResult({ verdicts: [] })).toThrow(ResultSchemaError);
+  });
+
+  it.each([
+    ["an unsafe id", { rules: [{ id: "a\" onclick=\"x", ruleName: "A" }] }, "rules[0].id must be"],
+    ["a duplicate id", { rules: [{ id: "a", ruleName: "A" }, { id: "a", ruleName: "B" }] }, "rules[1].id \"a\""],
+    ["a missing rule name", { rules: [{ evidence: [] }] }, "rules[0].ruleName must be a string"],
+    ["a fractional page number", { rules: [{ ruleName: "A", evidence: [{ pageNumber: 1.5, pageText: "x" }] }] },
+      "rules[0].evidence[0].pageNumber must be an integer"],
+    ["a non-numeric step", { steps: { steps: [{ step: "two", name: "A" }] } }, "steps.steps[0].step must be an integer"],
+  ])("lists the issues of a result with %s", (_, raw, issue) => {
+    let error;
+    try {
+      normalizeResult(raw);
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(ResultSchemaError);
+    expect(error.issues.some((message) => message.startsWith(issue))).toBe(true);
+  });
+
+  it("normalizes canonical results with unsafe ids again", () => {
+    const result = normalizeResult(rulesResult);
+    const tampered = { ...result, rules: [{ ...result.rules[0], id: "<b>" }] };
+    expect(() => normalizeResult(tampered)).toThrow(ResultSchemaError);
+  });
+});
+
+describe("getAllEvidences", () => {
+  it("flattens rule and transaction evidence with stable keys", () => {
+    const evidences = getAllEvidences(normalizeResult(rulesResult));
+
+    expect(evidences.map(({ key, ruleIndex, pageNumber }) => ({ key, ruleIndex, pageNumber }))).toEqual([
+      { key: getEvidenceKey("plan-asset-exceptions", 0), ruleIndex: 0, pageNumber: 3 },
+      { key: getEvidenceKey("benefit-plan", 0, 0), ruleIndex: 1, pageNumber: 5 },
+    ]);
+    expect(evidences[1].key).toBe("benefit-plan:t0:0");
+  });
+
+  it("returns nothing without a result", () => {
+    expect(getAllEvidences(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,420 @@
+/**
+ * @fileoverview Human review of an evaluation result
+ *
+ * A review records the reviewer's decision on each rule and on the final
+ * decision, plus evidence the reviewer attached from the PDF. It is kept
+ * next to the unchanged model result; applyReview() derives the reviewed
+ * result when needed.
+ *
+ * Review shape:
+ * {
+ *   decisions: {
+ *     [targetId]: {                  // Rule id or FINAL_DECISION_ID
+ *       action: "accept" | "reject" | "override",
+ *       changes: { [field]: value }, // Overridden values, override only
+ *       comment: string,             // Mandatory justification
+ *       decidedBy: string|null,      // Reviewer name from Settings
+ *       decidedAt: string            // ISO timestamp
+ *     }
+ *   },
+ *   addedEvidence: {
+ *     [ruleId]: [{ pageNumber, pageText, addedBy, addedAt }]  // Printed page numbers
+ *   },
+ *   signOff: { signedBy, signedAt, eligible } | null,
+ *   updatedAt: string|null
+ * }
+ *
+ * Any change after sign-off clears it; the audit log keeps the history.
+ */
+
+import { RULE_META_KEYS, normalizeResult } from "./resultSchema";
+
+// Decision target of the result's final_decision
+export const FINAL_DECISION_ID = "final_decision";
+
+export const REVIEW_ACTIONS = {
+  accept: "Accepted",
+  reject: "Rejected",
+  override: "Overridden",
+};
+
+/**
+ * Creates a review without decisions
+ * @returns {Object} Empty review
+ */
+export const createReview = () => ({ decisions: {}, addedEvidence: {}, signOff: null, updatedAt: null });
+
+/**
+ * Checks whether a review holds any reviewer input
+ * @param {Object|null} review - Review to check
+ * @returns {boolean}
+ */
+export const hasReviewContent = (review) =>
+  Boolean(review) && (
+    Boolean(review.signOff) ||
+    Object.keys(review.decisions).length > 0 ||
+    Object.values(review.addedEvidence).some((entries) => entries.length > 0)
+  );
+
+/**
+ * Lists the fields a reviewer may override
+ * Boolean findings, and the verdict of step-based results
+ * @param {Object} target - Canonical rule or final_decision
+ * @returns {Array<string>} Field names
+ */
+export const getOverridableFields = (target) =>
+  Object.entries(target ?? {})
+    .filter(([key, value]) =>
+      !RULE_META_KEYS.includes(key) && (typeof value === "boolean" || key === "verdict"))
+    .map(([key]) => key);
+
+/**
+ * Formats a finding value for display
+ * @param {*} value - Boolean or text value
+ * @returns {string}
+ */
+export const formatReviewValue = (value) => {
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  return value ?? "—";
+};
+
+/**
+ * Finds the target object of a decision
+ * @param {Object} result - Canonical result
+ * @param {string} targetId - Rule id or FINAL_DECISION_ID
+ * @returns {Object|null}
+ */
+const getTarget = (result, targetId) =>
+  targetId === FINAL_DECISION_ID
+    ? result.final_decision
+    : result.rules.find((rule) => rule.id === targetId) ?? null;
+
+/**
+ * Validates a decision before it is recorded
+ * @param {Object} decision - { action, changes, comment }
+ * @param {Object} target - Rule or final_decision the decision applies to
+ * @returns {Array<string>} Validation issues, empty when valid
+ */
+export const validateDecision = (decision, target) => {
+  const issues = [];
+  if (!REVIEW_ACTIONS[decision.action]) issues.push("Choose accept, reject or override.");
+  if (typeof decision.comment !== "string" || !decision.comment.trim()) issues.push("A comment is required for every review decision.");
+  if (decision.action === "override") {
+    const changed = Object.entries(decision.changes ?? {})
+      .filter(([field, value]) => target?.[field] !== value);
+    if (changed.length === 0) issues.push("An override must change at least one value.");
+  }
+  return issues;
+};
+
+/**
+ * Records or replaces the decision on one target
+ * @param {Object} review - Current review
+ * @param {string} targetId - Rule id or FINAL_DECISION_ID
+ * @param {Object|null} decision - { action, changes, comment, decidedBy }, null to clear
+ * @returns {Object} Updated review
+ */
+export const setReviewDecision = (review, targetId, decision) => {
+  const decisions = { ...review.decisions };
+  if (decision) {
+    decisions[targetId] = {
+      action: decision.action,
+      changes: decision.action === "override" ? decision.changes : {},
+      comment: decision.comment.trim(),
+      decidedBy: decision.decidedBy ?? null,
+      decidedAt: new Date().toISOString(),
+    };
+  } else {
+    delete decisions[targetId];
+  }
+  return { ...review, decisions, signOff: null, updatedAt: new Date().toISOString() };
+};
+
+/**
+ * Drops the decisions on targets whose model findings were replaced,
+ * e.g. by a rule re-run; attached evidence is kept
+ * @param {Object} review - Current review
+ * @param {Array<string>} targetIds - Rule ids or FINAL_DECISION_ID
+ * @returns {Object} Updated review
+ */
+export const discardDecisions = (review, targetIds) => ({
+  ...review,
+  decisions: Object.fromEntries(
+    Object.entries(review.decisions).filter(([targetId]) => !targetIds.includes(targetId))
+  ),
+  signOff: null,
+  updatedAt: new Date().toISOString(),
+});
+
+/**
+ * Attaches evidence selected in the PDF to a rule
+ * @param {Object} review - Current review
+ * @param {string} ruleId - Rule receiving the evidence
+ * @param {{pageNumber: number, pageText: string, addedBy: string|null}} evidence -
+ *   Printed page, quoted text and reviewer name
+ * @returns {Object} Updated review
+ */
+export const addReviewEvidence = (review, ruleId, { pageNumber, pageText, addedBy = null }) => ({
+  ...review,
+  addedEvidence: {
+    ...review.addedEvidence,
+    [ruleId]: [
+      ...(review.addedEvidence[ruleId] ?? []),
+      { pageNumber, pageText, addedBy, addedAt: new Date().toISOString() },
+    ],
+  },
+  signOff: null,
+  updatedAt: new Date().toISOString(),
+});
+
+/**
+ * Removes evidence the reviewer attached
+ * @param {Object} review - Current review
+ * @param {string} ruleId - Rule owning the evidence
+ * @param {number} index - Position within the rule's added evidence
+ * @returns {Object} Updated review
+ */
+export const removeReviewEvidence = (review, ruleId, index) => ({
+  ...review,
+  addedEvidence: {
+    ...review.addedEvidence,
+    [ruleId]: (review.addedEvidence[ruleId] ?? []).filter((_, i) => i !== index),
+  },
+  signOff: null,
+  updatedAt: new Date().toISOString(),
+});
+
+/**
+ * Explains why a review cannot be signed off yet
+ * A rejected final decision keeps the model's values, so signing it off
+ * would record the eligibility the reviewer disputed; an override states
+ * the correct one
+ * @param {Object|null} review - Current review
+ * @returns {string|null} Reason, null when sign-off is possible
+ */
+export const getSignOffBlocker = (review) =>
+  review?.decisions[FINAL_DECISION_ID]?.action === "reject"
+    ? "The final decision was rejected. Override it with the correct decision before signing off."
+    : null;
+
+/**
+ * Records the reviewer's sign-off of the reviewed decision
+ * @param {Object} review - Current review
+ * @param {{signedBy: string, eligible: boolean|null}} signOff - Reviewer name
+ *   and the eligibility being signed off
+ * @returns {Object} Updated review
+ * @throws {Error} When the review cannot be signed off (see getSignOffBlocker)
+ */
+export const signOffReview = (review, { signedBy, eligible }) => {
+  const blocker = getSignOffBlocker(review);
+  if (blocker) throw new Error(blocker);
+  return {
+    ...review,
+    signOff: { signedBy, signedAt: new Date().toISOString(), eligible },
+    updatedAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Derives the reviewed result
+ * Overridden values replace the model's, and attached evidence follows
+ * the model's evidence with addedByReviewer set, so existing evidence
+ * keys stay valid
+ * @param {Object|null} result - Canonical result
+ * @param {Object|null} review - Review of the result
+ * @returns {Object|null} Canonical result with the review applied
+ */
+export const applyReview = (result, review) => {
+  if (!result || !hasReviewContent(review)) return result;
+  const { decisions, addedEvidence } = review;
+
+  return {
+    ...result,
+    rules: result.rules.map((rule) => {
+      const added = addedEvidence[rule.id] ?? [];
+      return {
+        ...rule,
+        ...decisions[rule.id]?.changes,
+        evidence: [
+          ...rule.evidence,
+          ...added.map(({ pageNumber, pageText }) => ({ pageNumber, pageText, addedByReviewer: true })),
+        ],
+      };
+    }),
+    final_decision: result.final_decision && {
+      ...result.final_decision,
+      ...decisions[FINAL_DECISION_ID]?.changes,
+    },
+  };
+};
+
+/**
+ * Lists every value the review changed
+ * @param {Object} result - Canonical result
+ * @param {Object|null} review - Review of the result
+ * @returns {Array} { targetId, targetName, field, from, to, comment }
+ */
+export const getReviewChanges = (result, review) => {
+  if (!result || !review) return [];
+
+  return Object.entries(review.decisions).flatMap(([targetId, decision]) => {
+    const target = getTarget(result, targetId);
+    if (!target) return [];
+    const targetName = targetId === FINAL_DECISION_ID ? "Final decision" : target.ruleName;
+
+    return Object.entries(decision.changes)
+      .filter(([field, value]) => target[field] !== value)
+      .map(([field, value]) => ({
+        targetId,
+        targetName,
+        field,
+        from: target[field],
+        to: value,
+        comment: decision.comment,
+      }));
+  });
+};
+
+/**
+ * Builds the exported form of a result
+ * The model result is kept as is; the review and its changes are added
+ * under "review" when there is one
+ * @param {Object} result - Canonical result
+ * @param {Object|null} review - Review of the result
+ * @returns {Object} Result ready for JSON export
+ */
+export const withReview = (result, review) =>
+  hasReviewContent(review)
+    ? { ...result, review: { ...review, changes: getReviewChanges(result, review) } }
+    : result;
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const textOrNull = (value) => (typeof value === "string" ? value : null);
+
+/**
+ * Checks an imported decision before it is kept
+ * Overrides may only change the fields a reviewer could, to values of the
+ * same type: booleans for findings, text for a verdict
+ * @param {*} decision - Decision read from an export
+ * @param {Object} target - Rule or final_decision the decision applies to
+ * @returns {Array<string>} Validation issues, empty when valid
+ */
+const validateImportedDecision = (decision, target) => {
+  if (!isObject(decision)) return ["Not a review decision."];
+  if (decision.action !== "override") return validateDecision(decision, target);
+
+  const { changes } = decision;
+  if (!isObject(changes)) return ["An override needs an object of changed values."];
+  const overridable = getOverridableFields(target);
+  const invalidFields = Object.keys(changes).filter((field) =>
+    !overridable.includes(field) ||
+    typeof changes[field] !== (typeof target[field] === "boolean" ? "boolean" : "string"));
+  if (invalidFields.length > 0) {
+    return [`${invalidFields.join(", ")} cannot be overridden with the values given.`];
+  }
+  return validateDecision(decision, target);
+};
+
+/**
+ * Keeps the well-formed evidence a reviewer attached to existing rules
+ * @param {*} addedEvidence - Attached evidence read from an export
+ * @param {Object} result - Canonical result
+ * @param {Array<string>} issues - Receives a message per dropped entry
+ * @returns {Object} ruleId -> [{ pageNumber, pageText, addedBy, addedAt }]
+ */
+const sanitizeAddedEvidence = (addedEvidence, result, issues) => {
+  if (addedEvidence === undefined) return {};
+  if (!isObject(addedEvidence)) {
+    issues.push("Attached evidence dropped: it must be an object.");
+    return {};
+  }
+
+  const sanitized = {};
+  Object.entries(addedEvidence).forEach(([ruleId, entries]) => {
+    if (!result.rules.some((rule) => rule.id === ruleId)) {
+      issues.push(`Evidence attached to ${ruleId} dropped: the result has no such rule.`);
+      return;
+    }
+    if (!Array.isArray(entries)) {
+      issues.push(`Evidence attached to ${ruleId} dropped: it must be a list.`);
+      return;
+    }
+    sanitized[ruleId] = entries.flatMap((entry, index) => {
+      if (!isObject(entry) || !Number.isInteger(entry.pageNumber) || typeof entry.pageText !== "string") {
+        issues.push(`Evidence ${index + 1} attached to ${ruleId} dropped: it needs a page number and text.`);
+        return [];
+      }
+      return [{
+        pageNumber: entry.pageNumber,
+        pageText: entry.pageText,
+        addedBy: textOrNull(entry.addedBy),
+        addedAt: textOrNull(entry.addedAt),
+      }];
+    });
+  });
+  return sanitized;
+};
+
+/**
+ * Separates an exported result from its review
+ * Reverses withReview() when archived results are imported. Decisions on
+ * unknown targets or failing validation, malformed attached evidence and a
+ * sign-off the review does not allow are dropped and reported in issues.
+ * @param {Object} exported - Parsed export
+ * @returns {{ result: Object, review: Object|null, issues: Array<string> }}
+ * @throws {ResultSchemaError} When a reviewed result is in no known format
+ */
+export const splitReview = (exported) => {
+  if (!exported?.review) return { result: exported, review: null, issues: [] };
+  const { review, ...result } = exported;
+  if (!isObject(review)) return { result, review: null, issues: ["Review dropped: it must be an object."] };
+
+  // Decisions refer to the ids of the canonical result
+  const canonical = normalizeResult(result);
+  const issues = [];
+
+  const decisions = {};
+  Object.entries(isObject(review.decisions) ? review.decisions : {}).forEach(([targetId, decision]) => {
+    const target = getTarget(canonical, targetId);
+    const decisionIssues = target
+      ? validateImportedDecision(decision, target)
+      : ["The result has no such rule."];
+    if (decisionIssues.length > 0) {
+      issues.push(`Decision on ${targetId} dropped: ${decisionIssues.join(" ")}`);
+      return;
+    }
+    decisions[targetId] = {
+      action: decision.action,
+      changes: decision.action === "override" ? decision.changes : {},
+      comment: decision.comment.trim(),
+      decidedBy: textOrNull(decision.decidedBy),
+      decidedAt: textOrNull(decision.decidedAt),
+    };
+  });
+
+  const imported = {
+    decisions,
+    addedEvidence: sanitizeAddedEvidence(review.addedEvidence, canonical, issues),
+    signOff: null,
+    updatedAt: textOrNull(review.updatedAt),
+  };
+
+  const { signOff } = review;
+  if (signOff !== undefined && signOff !== null) {
+    const blocker = getSignOffBlocker(imported);
+    const isWellFormed = isObject(signOff) &&
+      typeof signOff.signedBy === "string" &&
+      typeof signOff.signedAt === "string" &&
+      (typeof signOff.eligible === "boolean" || signOff.eligible === null);
+    if (blocker) {
+      issues.push(`Sign-off dropped: ${blocker}`);
+    } else if (!isWellFormed) {
+      issues.push("Sign-off dropped: it needs the reviewer, the time and the eligibility signed off.");
+    } else {
+      imported.signOff = { signedBy: signOff.signedBy, signedAt: signOff.signedAt, eligible: signOff.eligible };
+    }
+  }
+
+  return { result, review: imported, issues };
+};
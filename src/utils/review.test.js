@@ -0,0 +1,222 @@
+import { describe, expect, it } from "vitest";
+import { normalizeResult } from "./resultSchema";
+import {
+  FINAL_DECISION_ID,
+  addReviewEvidence,
+  applyReview,
+  createReview,
+  getReviewChanges,
+  getSignOffBlocker,
+  hasReviewContent,
+  setReviewDecision,
+  signOffReview,
+  splitReview,
+  validateDecision,
+  withReview,
+} from "./review";
+
+const result = normalizeResult({
+  rules: [
+    { id: "scope", ruleName: "Scope", isInScope: true, evidence: [{ pageNumber: 1, pageText: "In scope." }] },
+    { id: "exemption", ruleName: "Exemption", isExempt: false },
+  ],
+  final_decision: { isERISAEligible: true },
+});
+
+const override = (changes, comment = "Checked against page 2") => ({ action: "override", changes, comment });
+
+describe("validateDecision", () => {
+  it("accepts a complete decision", () => {
+    expect(validateDecision({ action: "accept", comment: "Agreed" }, result.rules[0])).toEqual([]);
+    expect(validateDecision(override({ isInScope: false }), result.rules[0])).toEqual([]);
+  });
+
+  it("requires a known action and a comment", () => {
+    expect(validateDecision({ action: "approve", comment: " " }, result.rules[0])).toEqual([
+      "Choose accept, reject or override.",
+      "A comment is required for every review decision.",
+    ]);
+  });
+
+  it("requires an override to change a value", () => {
+    expect(validateDecision(override({ isInScope: true }), result.rules[0])).toEqual([
+      "An override must change at least one value.",
+    ]);
+    expect(validateDecision({ action: "override", comment: "x" }, result.rules[0])).toHaveLength(1);
+  });
+});
+
+describe("applyReview", () => {
+  it("returns the result unchanged without review input", () => {
+    expect(applyReview(result, createReview())).toBe(result);
+    expect(applyReview(result, null)).toBe(result);
+  });
+
+  it("applies overrides and appends reviewer evidence", () => {
+    let review = setReviewDecision(createReview(), "scope", override({ isInScope: false }));
+    review = setReviewDecision(review, FINAL_DECISION_ID, override({ isERISAEligible: false }));
+    review = addReviewEvidence(review, "scope", { pageNumber: 4, pageText: "Out of scope.", addedBy: "Ana" });
+
+    const reviewed = applyReview(result, review);
+
+    expect(reviewed.rules[0].isInScope).toBe(false);
+    expect(reviewed.rules[0].evidence).toEqual([
+      { pageNumber: 1, pageText: "In scope." },
+      { pageNumber: 4, pageText: "Out of scope.", addedByReviewer: true },
+    ]);
+    expect(reviewed.rules[1]).toEqual(result.rules[1]);
+    expect(reviewed.final_decision).toEqual({ isERISAEligible: false });
+    expect(result.rules[0].isInScope).toBe(true);
+  });
+
+  it("ignores the changes of accepted and rejected decisions", () => {
+    const review = setReviewDecision(createReview(), "scope", { ...override({ isInScope: false }), action: "reject" });
+    expect(review.decisions.scope.changes).toEqual({});
+    expect(applyReview(result, review).rules[0].isInScope).toBe(true);
+  });
+});
+
+describe("getReviewChanges", () => {
+  it("lists each overridden value with the reviewer's comment", () => {
+    const review = setReviewDecision(createReview(), "exemption", override({ isExempt: true }, "See page 7"));
+    expect(getReviewChanges(result, review)).toEqual([
+      { targetId: "exemption", targetName: "Exemption", field: "isExempt", from: false, to: true, comment: "See page 7" },
+    ]);
+  });
+});
+
+describe("sign-off", () => {
+  it("records who signed off which eligibility", () => {
+    const review = signOffReview(createReview(), { signedBy: "Ana", eligible: true });
+    expect(review.signOff).toMatchObject({ signedBy: "Ana", eligible: true });
+    expect(hasReviewContent(review)).toBe(true);
+  });
+
+  it("is blocked while the final decision is rejected", () => {
+    const review = setReviewDecision(createReview(), FINAL_DECISION_ID, { action: "reject", comment: "Wrong" });
+
+    expect(getSignOffBlocker(review)).toMatch(/rejected/);
+    expect(() => signOffReview(review, { signedBy: "Ana", eligible: true })).toThrow(getSignOffBlocker(review));
+  });
+
+  it("is possible once the rejected decision is overridden", () => {
+    const review = setReviewDecision(createReview(), FINAL_DECISION_ID, override({ isERISAEligible: false }));
+    expect(getSignOffBlocker(review)).toBeNull();
+    expect(getSignOffBlocker(null)).toBeNull();
+  });
+
+  it("is cleared by any later change", () => {
+    const signed = signOffReview(createReview(), { signedBy: "Ana", eligible: true });
+    expect(setReviewDecision(signed, "scope", { action: "accept", comment: "Ok" }).signOff).toBeNull();
+    expect(addReviewEvidence(signed, "scope", { pageNumber: 2, pageText: "x" }).signOff).toBeNull();
+  });
+});
+
+describe("withReview / splitReview", () => {
+  it("round-trips a reviewed result through export", () => {
+    const review = setReviewDecision(createReview(), "scope", override({ isInScope: false }));
+    const exported = withReview(result, review);
+
+    expect(exported.review.changes).toHaveLength(1);
+    const { result: imported, review: importedReview, issues } = splitReview(JSON.parse(JSON.stringify(exported)));
+    expect(imported).toEqual(result);
+    expect(importedReview.decisions).toEqual(review.decisions);
+    expect(issues).toEqual([]);
+  });
+
+  it("exports results without review input unchanged", () => {
+    expect(withReview(result, createReview())).toBe(result);
+    expect(splitReview(result)).toEqual({ result, review: null, issues: [] });
+  });
+
+  it("drops and reports invalid imported decisions", () => {
+    const { review, issues } = splitReview({
+      ...result,
+      review: {
+        decisions: {
+          scope: { action: "approve", comment: "Ok" },
+          exemption: { action: "override", comment: "No changes" },
+          [FINAL_DECISION_ID]: { action: "override", changes: "isERISAEligible", comment: "x" },
+          missing: { action: "accept", comment: "Fine" },
+        },
+      },
+    });
+
+    expect(review.decisions).toEqual({});
+    expect(issues).toEqual([
+      "Decision on scope dropped: Choose accept, reject or override.",
+      "Decision on exemption dropped: An override needs an object of changed values.",
+      "Decision on final_decision dropped: An override needs an object of changed values.",
+      "Decision on missing dropped: The result has no such rule.",
+    ]);
+  });
+
+  it("only imports overrides of reviewable fields with values of their type", () => {
+    const { review, issues } = splitReview({
+      ...result,
+      review: {
+        decisions: {
+          scope: override({ evidence: [], ruleName: "Renamed" }),
+          exemption: override({ isExempt: "yes" }),
+          [FINAL_DECISION_ID]: override({ isERISAEligible: false }),
+        },
+      },
+    });
+
+    expect(Object.keys(review.decisions)).toEqual([FINAL_DECISION_ID]);
+    expect(issues).toEqual([
+      "Decision on scope dropped: evidence, ruleName cannot be overridden with the values given.",
+      "Decision on exemption dropped: isExempt cannot be overridden with the values given.",
+    ]);
+    expect(() => applyReview(result, review)).not.toThrow();
+  });
+
+  it("reports a comment that is not text instead of failing the import", () => {
+    const { review, issues } = splitReview({
+      ...result,
+      review: { decisions: { scope: { action: "accept", comment: 42, changes: { isInScope: false } } } },
+    });
+
+    expect(review.decisions).toEqual({});
+    expect(issues).toEqual(["Decision on scope dropped: A comment is required for every review decision."]);
+  });
+
+  it("keeps only well-formed evidence attached to known rules", () => {
+    const { review, issues } = splitReview({
+      ...result,
+      review: {
+        addedEvidence: {
+          scope: [{ pageNumber: 2, pageText: "Kept", addedBy: "Ana" }, { pageNumber: "2", pageText: "Dropped" }],
+          exemption: "page 3",
+          missing: [{ pageNumber: 1, pageText: "Dropped" }],
+        },
+      },
+    });
+
+    expect(review.addedEvidence).toEqual({ scope: [{ pageNumber: 2, pageText: "Kept", addedBy: "Ana", addedAt: null }] });
+    expect(issues).toHaveLength(3);
+    expect(hasReviewContent(review)).toBe(true);
+  });
+
+  it("drops a sign-off of a rejected final decision", () => {
+    const { review, issues } = splitReview({
+      ...result,
+      review: {
+        decisions: { [FINAL_DECISION_ID]: { action: "reject", comment: "Wrong" } },
+        signOff: { signedBy: "Ana", signedAt: "2024-01-01T00:00:00.000Z", eligible: true },
+      },
+    });
+
+    expect(review.signOff).toBeNull();
+    expect(review.decisions[FINAL_DECISION_ID].action).toBe("reject");
+    expect(issues).toEqual([`Sign-off dropped: ${getSignOffBlocker(review)}`]);
+  });
+
+  it("keeps a valid sign-off", () => {
+    const signOff = { signedBy: "Ana", signedAt: "2024-01-01T00:00:00.000Z", eligible: false };
+    const { review, issues } = splitReview({ ...result, review: { signOff } });
+
+    expect(review.signOff).toEqual(signOff);
+    expect(issues).toEqual([]);
+  });
+});
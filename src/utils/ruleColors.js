@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Colour assigned to each rule for evidence highlights
+ *
+ * Colours are picked by rule position in the result so a rule keeps its
+ * colour in the PDF viewer legend, the highlights and EvaluationPanel.
+ * Class names are complete literals so Tailwind keeps them in the build.
+ */
+
+const RULE_COLORS = [
+  { highlight: "bg-yellow-300", swatch: "bg-yellow-400" },
+  { highlight: "bg-sky-300", swatch: "bg-sky-400" },
+  { highlight: "bg-lime-300", swatch: "bg-lime-400" },
+  { highlight: "bg-pink-300", swatch: "bg-pink-400" },
+  { highlight: "bg-orange-300", swatch: "bg-orange-400" },
+  { highlight: "bg-violet-300", swatch: "bg-violet-400" },
+  { highlight: "bg-teal-300", swatch: "bg-teal-400" },
+  { highlight: "bg-red-300", swatch: "bg-red-400" },
+  { highlight: "bg-indigo-300", swatch: "bg-indigo-400" },
+  { highlight: "bg-amber-300", swatch: "bg-amber-400" },
+  { highlight: "bg-emerald-300", swatch: "bg-emerald-400" },
+  { highlight: "bg-fuchsia-300", swatch: "bg-fuchsia-400" },
+];
+
+/**
+ * Returns the colour classes of a rule
+ * @param {number} ruleIndex - Position of the rule in result.rules
+ * @returns {{ highlight: string, swatch: string }} Tailwind background classes
+ */
+export const getRuleColor = (ruleIndex) => RULE_COLORS[ruleIndex % RULE_COLORS.length];
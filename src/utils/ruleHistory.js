@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Single-rule re-runs and their version history
+ *
+ * A re-run replaces one rule of the canonical result with the backend's
+ * new answer (see services/evaluationApi rerunRule). Every version of a
+ * re-run rule is kept, the model's first answer included, so earlier
+ * findings stay visible after the result is updated.
+ *
+ * History shape:
+ * {
+ *   versions: {
+ *     [ruleId]: [{                   // Oldest first, last is current
+ *       version: number,
+ *       rule: Object,                // Canonical rule
+ *       finalDecision: Object|null,  // final_decision in effect with this version
+ *       evaluatedAt: string|null,    // ISO timestamp
+ *       requestedBy: string|null,    // Reviewer name, null for the first answer
+ *       changes: [{ field, from, to }], // Against the previous version
+ *       pages: { added, removed }       // Evidence pages against the previous version
+ *     }]
+ *   },
+ *   finalDecisionStale: boolean      // A re-run did not refresh final_decision
+ * }
+ */
+
+import { compareResults } from "./compareResults";
+
+/**
+ * Creates a history without re-runs
+ * @returns {Object} Empty history
+ */
+export const createRuleHistory = () => ({ versions: {}, finalDecisionStale: false });
+
+/**
+ * Merges a re-run into the result
+ * The rule keeps its id and step so review data and evidence keys of other
+ * rules stay valid
+ * @param {Object} result - Current canonical result
+ * @param {string} ruleId - Re-run rule
+ * @param {Object} rerun - Canonical partial result returned by the backend
+ * @returns {{ result: Object, finalDecisionRefreshed: boolean }}
+ * @throws {Error} When the re-run does not answer for the rule
+ */
+export const mergeRuleRerun = (result, ruleId, rerun) => {
+  const current = result.rules.find((rule) => rule.id === ruleId);
+  if (rerun.schemaVersion !== result.schemaVersion) {
+    throw new Error(`The re-run returned a ${rerun.schemaVersion} result for a ${result.schemaVersion} evaluation.`);
+  }
+  const fresh = rerun.rules.find((rule) => rule.ruleName === current.ruleName)
+    ?? (rerun.rules.length === 1 ? rerun.rules[0] : null);
+  if (!fresh) throw new Error(`The re-run did not return "${current.ruleName}".`);
+
+  const rule = {
+    ...fresh,
+    id: current.id,
+    ruleName: current.ruleName,
+    ...(current.step !== undefined && { step: current.step }),
+  };
+  const finalDecisionRefreshed = Boolean(rerun.final_decision);
+
+  return {
+    result: {
+      ...result,
+      rules: result.rules.map((candidate) => (candidate.id === ruleId ? rule : candidate)),
+      final_decision: rerun.final_decision ?? result.final_decision,
+    },
+    finalDecisionRefreshed,
+  };
+};
+
+/**
+ * Adds the new version of a re-run rule to the history
+ * The first re-run of a rule also records the model's first answer
+ * @param {Object|null} history - Current history
+ * @param {Object} params
+ * @param {Object} params.before - Result before the re-run
+ * @param {Object} params.after - Result after the re-run
+ * @param {string} params.ruleId - Re-run rule
+ * @param {boolean} params.finalDecisionRefreshed - Whether final_decision was updated
+ * @param {string|null} [params.initialEvaluatedAt] - When the full evaluation completed
+ * @param {string|null} [params.requestedBy] - Reviewer name
+ * @param {Object|null} [params.regulation] - Registry entry, for decision comparisons
+ * @returns {Object} Updated history
+ */
+export const addRuleVersion = (history, {
+  before,
+  after,
+  ruleId,
+  finalDecisionRefreshed,
+  initialEvaluatedAt = null,
+  requestedBy = null,
+  regulation = null,
+}) => {
+  const current = history ?? createRuleHistory();
+  const previous = current.versions[ruleId] ?? [{
+    version: 1,
+    rule: before.rules.find((rule) => rule.id === ruleId),
+    finalDecision: before.final_decision,
+    evaluatedAt: initialEvaluatedAt,
+    requestedBy: null,
+    changes: [],
+    pages: { added: [], removed: [] },
+  }];
+  const rule = after.rules.find((candidate) => candidate.id === ruleId);
+  const [row] = compareResults(
+    { rules: [previous[previous.length - 1].rule], final_decision: null },
+    { rules: [rule], final_decision: null },
+    regulation
+  ).rows;
+
+  return {
+    versions: {
+      ...current.versions,
+      [ruleId]: [...previous, {
+        version: previous.length + 1,
+        rule,
+        finalDecision: after.final_decision,
+        evaluatedAt: new Date().toISOString(),
+        requestedBy,
+        changes: row.fieldChanges,
+        pages: { added: row.pages.added, removed: row.pages.removed },
+      }],
+    },
+    finalDecisionStale: Boolean(after.final_decision) && !finalDecisionRefreshed,
+  };
+};
@@ -0,0 +1,249 @@
+/**
+ * @fileoverview Tabular exports of evaluations for spreadsheets
+ *
+ * Evaluations are flattened into three tables:
+ * - Summary: one row per evaluation with its final decision
+ * - Rules: one row per rule per evaluation (key finding, details,
+ *   evidence count, pages)
+ * - Evidence: one row per evidence item, including transaction evidence
+ *
+ * Reviewed values are exported (see utils/review), with the model's
+ * decision kept next to the reviewed one in the summary.
+ *
+ * Each table is downloadable as CSV; all three together as an Excel
+ * workbook in SpreadsheetML 2003, which Excel and LibreOffice open
+ * without any library.
+ *
+ * Cells hold model and PDF text, so nothing may run as a formula: CSV text
+ * starting with a formula character is prefixed with an apostrophe, and
+ * workbook text is written as String cells, which are never evaluated.
+ * Characters XML 1.0 does not allow, such as control characters left in
+ * PDF text, are dropped from the workbook so it stays readable.
+ */
+
+import { getEligibility } from "../config/regulations";
+import { formatFieldLabel } from "./resultSchema";
+import { REVIEW_ACTIONS, applyReview, formatReviewValue, getOverridableFields } from "./review";
+import { escapeHTML } from "./textMatch";
+
+export const TABLE_NAMES = {
+  summary: "Summary",
+  rules: "Rules",
+  evidence: "Evidence",
+};
+
+const SUMMARY_COLUMNS = [
+  "Document", "SHA-256", "Regulation", "Evaluated", "Decision", "Model decision",
+  "Confidence", "Rules", "Evidence items", "Signed off by", "Signed off",
+];
+const RULE_COLUMNS = [
+  "Document", "Regulation", "Rule #", "Rule", "Key field", "Key value",
+  "Details", "Evidence count", "Pages", "Review",
+];
+const EVIDENCE_COLUMNS = [
+  "Document", "Regulation", "Rule #", "Rule", "Transaction", "Page", "Text", "Added by reviewer",
+];
+
+/**
+ * Formats a finding for a cell; missing values stay empty
+ * @param {*} value - Boolean, verdict or null
+ * @returns {string}
+ */
+const formatFinding = (value) => (value === null || value === undefined ? "" : formatReviewValue(value));
+
+/**
+ * Lists the pages cited by evidence entries
+ * @param {Array} evidence - Evidence entries
+ * @returns {string} Sorted, distinct page numbers
+ */
+const formatPages = (evidence) =>
+  [...new Set(evidence.map((ev) => ev.pageNumber))].sort((a, b) => a - b).join(", ");
+
+/**
+ * Flattens evaluations into the summary, rules and evidence tables
+ * @param {Array<Object>} evaluations
+ * @param {Object} evaluations[].result - Canonical result as returned by the model
+ * @param {Object|null} evaluations[].review - Review of the result
+ * @param {Object|null} evaluations[].regulation - Regulation registry entry
+ * @param {string} evaluations[].fileName - Source document name
+ * @param {string|null} [evaluations[].fileHash] - Source document SHA-256
+ * @param {string|null} [evaluations[].evaluatedAt] - When the evaluation completed
+ * @returns {Object} { summary, rules, evidence }, each { columns, rows }
+ */
+export const buildExportTables = (evaluations) => {
+  const summary = [];
+  const rules = [];
+  const evidence = [];
+
+  evaluations.forEach(({ result, review, regulation, fileName, fileHash = null, evaluatedAt = null }) => {
+    const reviewed = applyReview(result, review);
+    const regulationId = regulation?.id ?? "";
+    let evidenceCount = 0;
+
+    reviewed.rules.forEach((rule, index) => {
+      const ruleNumber = rule.step ?? index + 1;
+      const [keyField] = getOverridableFields(result.rules[index]);
+      const transactionEvidence = (rule.transactionDetails ?? []).flatMap((transaction) =>
+        transaction.evidence.map((ev) => ({ ...ev, transaction: transaction.transaction }))
+      );
+      const allEvidence = [...rule.evidence, ...transactionEvidence];
+      evidenceCount += allEvidence.length;
+
+      rules.push([
+        fileName,
+        regulationId,
+        ruleNumber,
+        rule.ruleName,
+        keyField ? formatFieldLabel(keyField) : "",
+        keyField ? formatFinding(rule[keyField]) : "",
+        rule.details ?? "",
+        allEvidence.length,
+        formatPages(allEvidence),
+        REVIEW_ACTIONS[review?.decisions?.[rule.id]?.action] ?? "",
+      ]);
+
+      allEvidence.forEach((ev) => {
+        evidence.push([
+          fileName,
+          regulationId,
+          ruleNumber,
+          rule.ruleName,
+          ev.transaction ?? "",
+          ev.pageNumber,
+          ev.pageText,
+          ev.addedByReviewer ? "Yes" : "",
+        ]);
+      });
+    });
+
+    summary.push([
+      fileName,
+      fileHash ?? "",
+      regulationId,
+      evaluatedAt ?? "",
+      formatFinding(getEligibility(regulation, reviewed.final_decision)),
+      formatFinding(getEligibility(regulation, result.final_decision)),
+      reviewed.final_decision?.confidenceScore ?? "",
+      reviewed.rules.length,
+      evidenceCount,
+      review?.signOff?.signedBy ?? "",
+      review?.signOff?.signedAt ?? "",
+    ]);
+  });
+
+  return {
+    summary: { columns: SUMMARY_COLUMNS, rows: summary },
+    rules: { columns: RULE_COLUMNS, rows: rules },
+    evidence: { columns: EVIDENCE_COLUMNS, rows: evidence },
+  };
+};
+
+// Leading characters spreadsheets read as the start of a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quotes a CSV cell when needed (RFC 4180)
+ * Text that would start a formula is prefixed with an apostrophe
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+const toCsvCell = (value) => {
+  const raw = String(value ?? "");
+  const text = typeof value === "number" || !FORMULA_PREFIX.test(raw) ? raw : `'${raw}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes a table as CSV
+ * Starts with a byte order mark so Excel reads the file as UTF-8
+ * @param {Object} table - { columns, rows }
+ * @returns {string}
+ */
+export const toCsv = ({ columns, rows }) =>
+  `\uFEFF${[columns, ...rows].map((row) => row.map(toCsvCell).join(",")).join("\r\n")}\r\n`;
+
+/**
+ * Checks whether XML 1.0 allows a character
+ * @param {number} code - Code point
+ * @returns {boolean}
+ */
+const isXmlChar = (code) =>
+  code === 0x9 || code === 0xA || code === 0xD ||
+  (code >= 0x20 && code <= 0xD7FF) ||
+  (code >= 0xE000 && code <= 0xFFFD) ||
+  code >= 0x10000;
+
+/**
+ * Escapes text for XML content and attributes
+ * Characters XML does not allow, including unpaired surrogates, are dropped
+ * @param {*} value - Value to write
+ * @returns {string}
+ */
+const escapeXml = (value) =>
+  escapeHTML(Array.from(String(value ?? "")).filter((char) => isXmlChar(char.codePointAt(0))).join(""));
+
+/**
+ * Renders one SpreadsheetML row; numbers stay numeric and everything else
+ * is a String cell, so text such as "=HYPERLINK(…)" is shown, not run
+ * @param {Array} row - Cell values
+ * @param {string} [styleId] - Style applied to every cell
+ * @returns {string} XML
+ */
+const toXmlRow = (row, styleId) => {
+  const style = styleId ? ` ss:StyleID="${styleId}"` : "";
+  const cells = row.map((value) => {
+    const type = typeof value === "number" && Number.isFinite(value) ? "Number" : "String";
+    return `<Cell${style}><Data ss:Type="${type}">${escapeXml(value)}</Data></Cell>`;
+  });
+  return `<Row>${cells.join("")}</Row>`;
+};
+
+/**
+ * Serializes tables as an Excel workbook, one worksheet per table
+ * @param {Object} tables - Sheet name -> { columns, rows }
+ * @returns {string} SpreadsheetML 2003 document
+ */
+export const toSpreadsheetXml = (tables) => {
+  const sheets = Object.entries(tables).map(([name, { columns, rows }]) => `
+  <Worksheet ss:Name="${escapeXml(name)}">
+    <Table>
+      ${toXmlRow(columns, "header")}
+      ${rows.map((row) => toXmlRow(row)).join("\n      ")}
+    </Table>
+  </Worksheet>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<?mso-application progid="Excel.Sheet"?>
+<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet"
+  xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">
+  <Styles>
+    <Style ss:ID="header"><Font ss:Bold="1"/></Style>
+  </Styles>${sheets.join("")}
+</Workbook>
+`;
+};
+
+/**
+ * Builds the contents of a tabular export
+ * @param {Object} tables - Result of buildExportTables
+ * @param {string} format - "xls" for the workbook, or a TABLE_NAMES key for its CSV
+ * @returns {{ blob: Blob, kind: string, extension: string }} File contents and naming parts
+ */
+export const buildTabularExport = (tables, format) => {
+  if (format === "xls") {
+    const workbook = toSpreadsheetXml(Object.fromEntries(
+      Object.entries(TABLE_NAMES).map(([key, name]) => [name, tables[key]])
+    ));
+    return {
+      blob: new Blob([workbook], { type: "application/vnd.ms-excel" }),
+      kind: "tables",
+      extension: "xls",
+    };
+  }
+  if (!(format in TABLE_NAMES)) throw new Error(`Unknown export format "${format}".`);
+  return {
+    blob: new Blob([toCsv(tables[format])], { type: "text/csv" }),
+    kind: format,
+    extension: "csv",
+  };
+};
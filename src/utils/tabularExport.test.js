@@ -0,0 +1,84 @@
+import { describe, expect, it } from "vitest";
+import { getRegulation } from "../config/regulations";
+import { normalizeResult } from "./resultSchema";
+import { createReview, setReviewDecision } from "./review";
+import { buildExportTables, toCsv, toSpreadsheetXml } from "./tabularExport";
+
+const result = normalizeResult({
+  rules: [
+    {
+      id: "exceptions",
+      ruleName: "Plan Asset Exceptions",
+      planAssetExceptionAvailable: true,
+      details: "=1+1",
+      evidence: [{ pageNumber: 4, pageText: "25% test" }, { pageNumber: 2, pageText: "VCOC" }],
+      transactionDetails: [{ transaction: "Subscription", evidence: [{ pageNumber: 9, pageText: "@SUM(A1)" }] }],
+    },
+  ],
+  final_decision: { isERISAEligible: true, confidenceScore: 0.9 },
+});
+
+const table = (rows) => ({ columns: ["Name", "Value"], rows });
+
+describe("buildExportTables", () => {
+  it("flattens an evaluation into summary, rule and evidence rows with reviewed values", () => {
+    const review = setReviewDecision(createReview(), "final_decision", {
+      action: "override",
+      changes: { isERISAEligible: false },
+      comment: "See page 4",
+    });
+    const tables = buildExportTables([{
+      result,
+      review,
+      regulation: getRegulation("ERISA"),
+      fileName: "fund.pdf",
+    }]);
+
+    expect(tables.summary.rows).toEqual([
+      ["fund.pdf", "", "ERISA", "", "No", "Yes", 0.9, 1, 3, "", ""],
+    ]);
+    expect(tables.rules.rows[0]).toEqual([
+      "fund.pdf", "ERISA", 1, "Plan Asset Exceptions", "Plan Asset Exception Available", "Yes",
+      "=1+1", 3, "2, 4, 9", "",
+    ]);
+    expect(tables.evidence.rows.map((row) => [row[4], row[5]])).toEqual([["", 4], ["", 2], ["Subscription", 9]]);
+  });
+});
+
+describe("toCsv", () => {
+  it("starts with a byte order mark and quotes cells when needed", () => {
+    expect(toCsv(table([["a,b", "say \"hi\""], ["line\nbreak", null]]))).toBe(
+      "\uFEFFName,Value\r\n\"a,b\",\"say \"\"hi\"\"\"\r\n\"line\nbreak\",\r\n"
+    );
+  });
+
+  it.each(["=1+1", "+1", "-1", "@SUM(A1)", "\tx", "\rx"])("keeps %j from running as a formula", (text) => {
+    const [, row] = toCsv(table([[text, "x"]])).slice(1).split("\r\n");
+    expect(row.replace(/^"|"?,x$/g, "")).toBe(`'${text}`);
+  });
+
+  it("leaves negative numbers and other text alone", () => {
+    expect(toCsv(table([[-1, "a=b"]]))).toBe("\uFEFFName,Value\r\n-1,a=b\r\n");
+  });
+});
+
+describe("toSpreadsheetXml", () => {
+  it("writes numbers as numbers and everything else as text", () => {
+    const xml = toSpreadsheetXml({ Rules: table([["=HYPERLINK(\"x\")", 3]]) });
+
+    expect(xml).toContain('<Data ss:Type="String">=HYPERLINK(&quot;x&quot;)</Data>');
+    expect(xml).toContain('<Data ss:Type="Number">3</Data>');
+  });
+
+  it("drops characters XML does not allow", () => {
+    const xml = toSpreadsheetXml({ Evidence: table([["a\u0000b\u0008c\u000Bd\u000Ce\uD800f\uFFFE", "tab\there"]]) });
+
+    expect(xml).toContain('<Data ss:Type="String">abcdef</Data>');
+    expect(xml).toContain('<Data ss:Type="String">tab\there</Data>');
+  });
+
+  it("escapes markup", () => {
+    expect(toSpreadsheetXml({ Rules: table([["<b>&</b>", 1]]) }))
+      .toContain('<Data ss:Type="String">&lt;b&gt;&amp;&lt;/b&gt;</Data>');
+  });
+});
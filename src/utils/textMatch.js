@@ -0,0 +1,330 @@
+/**
+ * @fileoverview Locates evidence passages in a PDF page's text layer
+ *
+ * Matching Steps:
+ * --------------
+ * 1. Page text items (pdf.js getTextContent) are concatenated into one
+ *    comparable string, remembering the source item and offset of every
+ *    character
+ * 2. Page text and evidence are normalized the same way: NFKC (ligatures),
+ *    lowercase, typographic quotes and dashes folded, line-break hyphens
+ *    and all whitespace removed
+ * 3. An exact search is tried first; otherwise short anchors from the
+ *    evidence vote for the most likely position and a semi-global edit
+ *    distance alignment around it finds the precise span
+ * 4. The span is mapped back to character ranges within text items, which
+ *    customTextRenderer wraps in <mark> elements
+ *
+ * Confidence is 1 - editDistance / evidenceLength; spans below
+ * MIN_MATCH_CONFIDENCE are reported as not found.
+ *
+ * Full-text search uses the same normalized text, so queries also match
+ * across text items, line breaks and typographic variants.
+ */
+
+export const MIN_MATCH_CONFIDENCE = 0.6;
+
+const CHAR_REPLACEMENTS = {
+  "‘": "'", "’": "'", "‚": "'", "‛": "'", "′": "'", "`": "'",
+  "“": "\"", "”": "\"", "„": "\"", "‟": "\"", "″": "\"",
+  "«": "\"", "»": "\"",
+  "‐": "-", "‑": "-", "‒": "-", "–": "-", "—": "-", "−": "-",
+  "­": "",
+};
+
+// Anchors occurring more often than this are too common to vote
+const MAX_ANCHOR_OCCURRENCES = 5;
+
+// Votes within this distance are treated as the same position
+const DIAGONAL_BUCKET = 8;
+
+/**
+ * Converts one character to its comparable form
+ * @param {string} char - Single character
+ * @returns {string} Zero or more normalized characters
+ */
+const normalizeChar = (char) => {
+  if (char in CHAR_REPLACEMENTS) return CHAR_REPLACEMENTS[char];
+  return char.normalize("NFKC").toLowerCase().replace(/\s/g, "");
+};
+
+/**
+ * Normalizes free text such as an evidence quote
+ * @param {string} text - Text to normalize
+ * @returns {string} Comparable text
+ */
+export const normalizeText = (text) =>
+  Array.from(String(text ?? "").replace(/(\p{L})-\s+(\p{Ll})/gu, "$1$2"), normalizeChar).join("");
+
+/**
+ * Checks whether a text item is the last one on its line
+ * pdf.js marks line ends on the item itself or with an empty EOL item
+ */
+const endsLine = (items, index) =>
+  items[index].hasEOL || (items[index + 1]?.str === "" && items[index + 1]?.hasEOL);
+
+/**
+ * Concatenates page text items into comparable text
+ * @param {Array} items - pdf.js TextContent items
+ * @returns {{ text: string, positions: Array<{itemIndex: number, offset: number}> }}
+ *   Normalized text and the source of each of its characters
+ */
+export const buildPageText = (items) => {
+  const chars = [];
+  const positions = [];
+
+  items.forEach((item, itemIndex) => {
+    const str = item.str ?? "";
+    // Drop the hyphen of a word broken across lines
+    const end = endsLine(items, itemIndex) && /\p{L}-$/u.test(str) ? str.length - 1 : str.length;
+
+    for (let offset = 0; offset < end; offset++) {
+      for (const char of normalizeChar(str[offset])) {
+        chars.push(char);
+        positions.push({ itemIndex, offset });
+      }
+    }
+  });
+
+  return { text: chars.join(""), positions };
+};
+
+/**
+ * Estimates where a needle starts in the haystack by anchor voting
+ * @param {string} haystack - Normalized page text
+ * @param {string} needle - Normalized evidence
+ * @returns {number|null} Estimated start index
+ */
+const estimateStart = (haystack, needle) => {
+  const anchorLength = Math.min(12, Math.max(4, Math.floor(needle.length / 3)));
+  const stride = Math.max(1, Math.floor(anchorLength / 2));
+  const buckets = new Map();
+
+  for (let anchorStart = 0; anchorStart + anchorLength <= needle.length; anchorStart += stride) {
+    const anchor = needle.slice(anchorStart, anchorStart + anchorLength);
+    const hits = [];
+    for (let pos = haystack.indexOf(anchor); pos !== -1; pos = haystack.indexOf(anchor, pos + 1)) {
+      hits.push(pos);
+      if (hits.length > MAX_ANCHOR_OCCURRENCES) break;
+    }
+    if (hits.length === 0 || hits.length > MAX_ANCHOR_OCCURRENCES) continue;
+
+    hits.forEach((pos) => {
+      const diagonal = pos - anchorStart;
+      const bucket = Math.round(diagonal / DIAGONAL_BUCKET);
+      const votes = buckets.get(bucket) ?? [];
+      votes.push(diagonal);
+      buckets.set(bucket, votes);
+    });
+  }
+
+  let best = null;
+  buckets.forEach((votes) => {
+    if (!best || votes.length > best.length) best = votes;
+  });
+  if (!best) return null;
+
+  const sorted = [...best].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Finds where a pattern ends when aligned anywhere in text
+ * Semi-global edit distance: the whole pattern must align, text gaps
+ * before and after the match are free
+ * @param {string} text - Text to search
+ * @param {string} pattern - Pattern to align
+ * @returns {{ end: number, distance: number }}
+ */
+const alignEnd = (text, pattern) => {
+  let previous = new Int32Array(text.length + 1);
+  let current = new Int32Array(text.length + 1);
+
+  for (let i = 1; i <= pattern.length; i++) {
+    current[0] = i;
+    const patternChar = pattern[i - 1];
+    for (let j = 1; j <= text.length; j++) {
+      const substitution = previous[j - 1] + (patternChar === text[j - 1] ? 0 : 1);
+      current[j] = Math.min(substitution, previous[j] + 1, current[j - 1] + 1);
+    }
+    [previous, current] = [current, previous];
+  }
+
+  let end = 0;
+  for (let j = 1; j <= text.length; j++) {
+    if (previous[j] < previous[end]) end = j;
+  }
+  return { end, distance: previous[end] };
+};
+
+const reverse = (text) => Array.from(text).reverse().join("");
+
+/**
+ * Locates a needle in a haystack, tolerating small differences
+ * @param {string} haystack - Normalized page text
+ * @param {string} needle - Normalized evidence
+ * @returns {{ start: number, end: number, confidence: number }|null}
+ *   Matched span in haystack indices, or null when not found
+ */
+export const locateText = (haystack, needle) => {
+  if (!needle || !haystack) return null;
+
+  const exact = haystack.indexOf(needle);
+  if (exact !== -1) return { start: exact, end: exact + needle.length, confidence: 1 };
+
+  const estimate = estimateStart(haystack, needle);
+  if (estimate === null) return null;
+
+  const slack = Math.ceil(needle.length * 0.25) + DIAGONAL_BUCKET;
+  const windowStart = Math.max(0, estimate - slack);
+  const windowEnd = Math.min(haystack.length, estimate + needle.length + slack);
+  const window = haystack.slice(windowStart, windowEnd);
+
+  const { end, distance } = alignEnd(window, needle);
+  const confidence = 1 - distance / needle.length;
+  if (confidence < MIN_MATCH_CONFIDENCE) return null;
+
+  // Aligning the reversed strings from the end yields the start
+  const { end: reversedLength } = alignEnd(reverse(window.slice(0, end)), reverse(needle));
+  return {
+    start: windowStart + end - reversedLength,
+    end: windowStart + end,
+    confidence,
+  };
+};
+
+/**
+ * Converts a span of page text into per-item character ranges
+ * @param {Array} positions - Positions from buildPageText
+ * @param {number} start - Span start (inclusive)
+ * @param {number} end - Span end (exclusive)
+ * @returns {Array<{itemIndex: number, start: number, end: number}>}
+ */
+export const toItemRanges = (positions, start, end) => {
+  const ranges = new Map();
+  for (let k = start; k < end; k++) {
+    const { itemIndex, offset } = positions[k];
+    const range = ranges.get(itemIndex);
+    if (range) {
+      range.end = offset + 1;
+    } else {
+      ranges.set(itemIndex, { itemIndex, start: offset, end: offset + 1 });
+    }
+  }
+  return [...ranges.values()];
+};
+
+/**
+ * Matches evidence passages against one page
+ * @param {Array} items - pdf.js TextContent items of the page
+ * @param {Array<{key: string, evidence: string}>} evidences - Passages expected on the page
+ * @returns {{ rangesByItem: Map<number, Array>, results: Object }}
+ *   rangesByItem maps item index to [{ start, end, key }];
+ *   results maps evidence key to { found, confidence }
+ */
+export const matchEvidencesOnPage = (items, evidences) => {
+  const { text, positions } = buildPageText(items);
+  const rangesByItem = new Map();
+  const results = {};
+
+  evidences.forEach(({ key, evidence }) => {
+    const match = locateText(text, normalizeText(evidence));
+    results[key] = { found: Boolean(match), confidence: match?.confidence ?? 0 };
+    if (!match) return;
+
+    toItemRanges(positions, match.start, match.end).forEach(({ itemIndex, start, end }) => {
+      const itemRanges = rangesByItem.get(itemIndex) ?? [];
+      itemRanges.push({ start, end, key });
+      rangesByItem.set(itemIndex, itemRanges);
+    });
+  });
+
+  return { rangesByItem, results };
+};
+
+/**
+ * Finds every occurrence of a normalized query in page text
+ * @param {string} text - Normalized page text from buildPageText
+ * @param {string} needle - Normalized query
+ * @returns {Array<{start: number, end: number}>} Non-overlapping spans
+ */
+export const findOccurrences = (text, needle) => {
+  const occurrences = [];
+  if (!needle) return occurrences;
+  for (let pos = text.indexOf(needle); pos !== -1; pos = text.indexOf(needle, pos + needle.length)) {
+    occurrences.push({ start: pos, end: pos + needle.length });
+  }
+  return occurrences;
+};
+
+/**
+ * Extracts the original text around a span for result lists
+ * @param {Array} items - pdf.js TextContent items of the page
+ * @param {Array} positions - Positions from buildPageText
+ * @param {number} start - Span start (inclusive)
+ * @param {number} end - Span end (exclusive)
+ * @param {number} [context=40] - Characters kept on each side
+ * @returns {{ before: string, match: string, after: string }}
+ */
+export const getSnippet = (items, positions, start, end, context = 40) => {
+  const first = positions[start];
+  const last = positions[end - 1];
+  let joined = "";
+  let matchStart = 0;
+  let matchEnd = 0;
+
+  const fromItem = Math.max(0, first.itemIndex - 3);
+  const toItem = Math.min(items.length - 1, last.itemIndex + 3);
+  for (let itemIndex = fromItem; itemIndex <= toItem; itemIndex++) {
+    if (joined && !/\s$/.test(joined)) joined += " ";
+    if (itemIndex === first.itemIndex) matchStart = joined.length + first.offset;
+    if (itemIndex === last.itemIndex) matchEnd = joined.length + last.offset + 1;
+    joined += items[itemIndex].str ?? "";
+  }
+
+  return {
+    before: joined.slice(Math.max(0, matchStart - context), matchStart).trimStart(),
+    match: joined.slice(matchStart, matchEnd),
+    after: joined.slice(matchEnd, matchEnd + context).trimEnd(),
+  };
+};
+
+/**
+ * Escapes text for HTML content and quoted attribute values
+ * @param {*} text - Raw text; null and undefined give an empty string
+ * @returns {string} Escaped text
+ */
+export const escapeHTML = (text) =>
+  String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Renders a text item with highlighted ranges for customTextRenderer
+ * Overlapping ranges are split so every character is wrapped at most once
+ * @param {string} str - Text item content
+ * @param {Array<{start: number, end: number, key: string}>} ranges - Ranges to highlight
+ * @param {Function} getMarkAttributes - (keys) => attribute string for a <mark>
+ *   covering the given evidence keys
+ * @returns {string} HTML
+ */
+export const renderHighlightedText = (str, ranges, getMarkAttributes) => {
+  if (!ranges?.length) return escapeHTML(str);
+
+  const boundaries = [...new Set([0, str.length, ...ranges.flatMap((r) => [r.start, r.end])])]
+    .filter((boundary) => boundary >= 0 && boundary <= str.length)
+    .sort((a, b) => a - b);
+
+  let html = "";
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const from = boundaries[i];
+    const to = boundaries[i + 1];
+    const segment = escapeHTML(str.slice(from, to));
+    const keys = ranges.filter((r) => r.start <= from && r.end >= to).map((r) => r.key);
+    html += keys.length > 0 ? `<mark ${getMarkAttributes(keys)}>${segment}</mark>` : segment;
+  }
+  return html;
+};
@@ -0,0 +1,116 @@
+import { describe, expect, it } from "vitest";
+import {
+  buildPageText,
+  escapeHTML,
+  findOccurrences,
+  locateText,
+  matchEvidencesOnPage,
+  normalizeText,
+  toItemRanges,
+} from "./textMatch";
+
+const item = (str, hasEOL = false) => ({ str, hasEOL });
+
+describe("normalizeText", () => {
+  it("folds case, whitespace, ligatures and typographic punctuation", () => {
+    expect(normalizeText("The “Plan’s”\n ﬁduciary – Assets")).toBe("the\"plan's\"fiduciary-assets");
+  });
+
+  it("joins words hyphenated across lines", () => {
+    expect(normalizeText("invest-\nment")).toBe("investment");
+  });
+
+  it("treats missing text as empty", () => {
+    expect(normalizeText(undefined)).toBe("");
+  });
+});
+
+describe("buildPageText", () => {
+  it("maps every character back to its text item", () => {
+    const { text, positions } = buildPageText([item("Ab "), item("c")]);
+
+    expect(text).toBe("abc");
+    expect(positions).toEqual([
+      { itemIndex: 0, offset: 0 },
+      { itemIndex: 0, offset: 1 },
+      { itemIndex: 1, offset: 0 },
+    ]);
+  });
+
+  it("drops the hyphen of a word broken at a line end", () => {
+    const { text } = buildPageText([item("invest-", true), item("ment")]);
+    expect(text).toBe("investment");
+  });
+});
+
+describe("locateText", () => {
+  const page = normalizeText("Section 4. The assets of the fund shall not be deemed plan assets under ERISA.");
+
+  it("finds exact matches with full confidence", () => {
+    const needle = normalizeText("shall not be deemed plan assets");
+    const match = locateText(page, needle);
+
+    expect(match).toEqual({ start: page.indexOf(needle), end: page.indexOf(needle) + needle.length, confidence: 1 });
+  });
+
+  it("tolerates small differences in the quoted text", () => {
+    const needle = normalizeText("the assets of the fund shal not be deemed plan asets");
+    const match = locateText(page, needle);
+
+    expect(match).not.toBeNull();
+    expect(match.confidence).toBeGreaterThan(0.9);
+    expect(match.confidence).toBeLessThan(1);
+    expect(page.slice(match.start, match.end)).toBe(normalizeText("the assets of the fund shall not be deemed plan assets"));
+  });
+
+  it("reports passages that are not on the page", () => {
+    expect(locateText(page, normalizeText("The investor is a governmental plan"))).toBeNull();
+  });
+
+  it("returns null for empty input", () => {
+    expect(locateText(page, "")).toBeNull();
+    expect(locateText("", "assets")).toBeNull();
+  });
+});
+
+describe("toItemRanges", () => {
+  it("splits a span into per-item character ranges", () => {
+    const { positions } = buildPageText([item("plan "), item("assets")]);
+    expect(toItemRanges(positions, 2, 7)).toEqual([
+      { itemIndex: 0, start: 2, end: 4 },
+      { itemIndex: 1, start: 0, end: 3 },
+    ]);
+  });
+});
+
+describe("matchEvidencesOnPage", () => {
+  it("reports found passages and their highlighted ranges", () => {
+    const items = [item("The fund is not", true), item("a plan asset vehicle.")];
+    const { rangesByItem, results } = matchEvidencesOnPage(items, [
+      { key: "scope:0", evidence: "fund is not a plan asset" },
+      { key: "scope:1", evidence: "governmental plan exemption" },
+    ]);
+
+    expect(results).toEqual({
+      "scope:0": { found: true, confidence: 1 },
+      "scope:1": { found: false, confidence: 0 },
+    });
+    expect(rangesByItem.get(0)).toEqual([{ start: 4, end: 15, key: "scope:0" }]);
+    expect(rangesByItem.get(1)).toEqual([{ start: 0, end: 12, key: "scope:0" }]);
+  });
+});
+
+describe("findOccurrences", () => {
+  it("lists non-overlapping occurrences", () => {
+    expect(findOccurrences("aaaa", "aa")).toEqual([{ start: 0, end: 2 }, { start: 2, end: 4 }]);
+    expect(findOccurrences("abc", "")).toEqual([]);
+  });
+});
+
+describe("escapeHTML", () => {
+  it("escapes markup and attribute quotes", () => {
+    expect(escapeHTML(`<a title="x" data-y='z'>&</a>`)).toBe(
+      "&lt;a title=&quot;x&quot; data-y=&#39;z&#39;&gt;&amp;&lt;/a&gt;"
+    );
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Verdicts of step-based results
+ *
+ * Steps carry a free-text verdict. Known wordings are mapped onto four
+ * verdicts so they can be styled, counted and filtered consistently:
+ *
+ *   Positive     <- "Positive", "Permissive"
+ *   Negative     <- "Negative"
+ *   Ambiguous    <- "Ambiguous"
+ *   Not Present  <- "Not Present", "Not Mentioned"
+ *
+ * Unrecognized wordings are kept as written and shown without styling.
+ * Class names are complete literals so Tailwind keeps them in the build.
+ */
+
+export const VERDICTS = {
+  positive: {
+    label: "Positive",
+    icon: "✓",
+    pill: "bg-green-100 text-green-800 border-green-200",
+  },
+  negative: {
+    label: "Negative",
+    icon: "✗",
+    pill: "bg-red-100 text-red-800 border-red-200",
+  },
+  ambiguous: {
+    label: "Ambiguous",
+    icon: "?",
+    pill: "bg-amber-100 text-amber-800 border-amber-200",
+  },
+  notPresent: {
+    label: "Not Present",
+    icon: "∅",
+    pill: "bg-gray-100 text-gray-700 border-gray-300",
+  },
+};
+
+// Lower-cased wording -> VERDICTS key
+const VERDICT_ALIASES = {
+  positive: "positive",
+  permissive: "positive",
+  negative: "negative",
+  ambiguous: "ambiguous",
+  "not present": "notPresent",
+  "not mentioned": "notPresent",
+};
+
+/**
+ * Maps a verdict wording onto a VERDICTS key
+ * @param {string|null} verdict - Verdict as returned by the model
+ * @returns {string|null} VERDICTS key, null when unrecognized or absent
+ */
+export const getVerdictKey = (verdict) =>
+  VERDICT_ALIASES[String(verdict ?? "").trim().replace(/\s+/g, " ").toLowerCase()] ?? null;
+
+/**
+ * Counts the rules per verdict
+ * @param {Array} rules - Canonical rules
+ * @returns {Object|null} VERDICTS key (or "other") -> count, null when no
+ *   rule has a verdict
+ */
+export const tallyVerdicts = (rules) => {
+  const withVerdict = rules.filter((rule) => typeof rule.verdict === "string");
+  if (withVerdict.length === 0) return null;
+
+  const tally = Object.fromEntries(Object.keys(VERDICTS).map((key) => [key, 0]));
+  withVerdict.forEach((rule) => {
+    const key = getVerdictKey(rule.verdict) ?? "other";
+    tally[key] = (tally[key] ?? 0) + 1;
+  });
+  return tally;
+};
@@ -0,0 +1,50 @@
+import { describe, expect, it } from "vitest";
+import { getVerdictKey, tallyVerdicts } from "./verdicts";
+
+describe("getVerdictKey", () => {
+  it("maps known wordings and their aliases", () => {
+    expect(getVerdictKey("Positive")).toBe("positive");
+    expect(getVerdictKey("Permissive")).toBe("positive");
+    expect(getVerdictKey("Negative")).toBe("negative");
+    expect(getVerdictKey("Ambiguous")).toBe("ambiguous");
+    expect(getVerdictKey("Not Present")).toBe("notPresent");
+    expect(getVerdictKey("Not Mentioned")).toBe("notPresent");
+  });
+
+  it("ignores case and surrounding or repeated whitespace", () => {
+    expect(getVerdictKey("  NOT\n  mentioned ")).toBe("notPresent");
+    expect(getVerdictKey("negative\t")).toBe("negative");
+  });
+
+  it("returns null for unknown or missing verdicts", () => {
+    expect(getVerdictKey("Likely")).toBeNull();
+    expect(getVerdictKey("")).toBeNull();
+    expect(getVerdictKey(null)).toBeNull();
+    expect(getVerdictKey(undefined)).toBeNull();
+  });
+});
+
+describe("tallyVerdicts", () => {
+  it("counts every verdict, unknown wordings as other", () => {
+    const rules = [
+      { verdict: "Positive" },
+      { verdict: "permissive" },
+      { verdict: "Not Mentioned" },
+      { verdict: "Likely" },
+      { verdict: "Unclear" },
+      { verdict: null },
+      {},
+    ];
+
+    expect(tallyVerdicts(rules)).toEqual({ positive: 2, negative: 0, ambiguous: 0, notPresent: 1, other: 2 });
+  });
+
+  it("leaves out other when every wording is known", () => {
+    expect(tallyVerdicts([{ verdict: "Negative" }])).toEqual({ positive: 0, negative: 1, ambiguous: 0, notPresent: 0 });
+  });
+
+  it("returns null when no rule has a verdict", () => {
+    expect(tallyVerdicts([])).toBeNull();
+    expect(tallyVerdicts([{ ruleName: "Security Type" }, { verdict: null }])).toBeNull();
+  });
+});